@@ -4,16 +4,59 @@
 const CONFIG = {
   MIN_SEARCH_LENGTH: 2,
   MAX_SEARCH_RESULTS: 10,
+  MAX_FORMER_NAME_RESULTS: 5,
+  MAX_PERSON_RESULTS: 100,
+  MAX_TEXT_RESULTS: 5, // Streets whose descriptions match, below the name results
+  MIN_TEXT_SEARCH_LENGTH: 3,
   DEBOUNCE_MS: 200,
   MAP_CENTER: [-34.6037, -58.3816],
   MAP_DEFAULT_ZOOM: 13,
   MAP_MAX_ZOOM: 16,
   MAP_PADDING: [50, 50],
+  STREET_TILES_PATH: './data/streets', // Written by scripts/build_street_tiles.js
+  STREET_TILES_PADDING: 0.25, // Load cells this far beyond the view (fraction of its size)
+  STREET_SEGMENTS_PATH: './data/street_segments.json', // Written by scripts/build_street_segments.js
+  SEARCH_INDEX_PATH: './data/search_index.json', // Written by scripts/build_search_index.js
+  BIO_IMAGE_WIDTH: 96, // Width of the Commons thumbnail on biography cards
+  NEARBY_RADIUS_M: 150, // Streets listed around a click or the user's location
+  NEARBY_MAX_RESULTS: 12,
+  NEARBY_SUMMARY_LENGTH: 140, // Characters of the one-line origin of each nearby street
+  TOUR_CORNER_RADIUS_M: 40, // A tour click this close to a corner adds the corner, not the street
   COLORS: {
     DEFAULT: '#3182ce',
     WITH_HISTORY: '#38a169',
     HIGHLIGHT: '#e53e3e',
-    LOCATION: '#e53e3e'
+    LOCATION: '#e53e3e',
+    YEAR_CURRENT: '#38a169',
+    YEAR_FORMER: '#805ad5',
+    YEAR_UNNAMED: '#a0aec0',
+    YEAR_UNCERTAIN: '#dd6b20',
+    NO_DATA: '#a0aec0',
+    // Color modes of the street layer (see COLOR_MODES)
+    DECADES: ['#0d0887', '#5302a3', '#8b0aa5', '#b83289', '#db5c68', '#f48849', '#febd2a'],
+    RENAMED: ['#90cdf4', '#f6ad55', '#ed8936', '#c05621', '#7b341e'],
+    CATEGORIES: {
+      military: '#c53030',
+      writer: '#805ad5',
+      scientist: '#2b6cb0',
+      person: '#d69e2e',
+      place: '#38a169',
+      event: '#dd6b20',
+      nature: '#319795',
+      other: '#4a5568'
+    },
+    WITH_WIKIPEDIA: '#805ad5',
+    WITHOUT_WIKIPEDIA: '#f6ad55',
+    TOUR: '#2c5282'
+  },
+  // First years of the bins of the "naming decade" color mode; most streets
+  // were named between the 1893 ordinance and the 1940s
+  NAMING_YEAR_BREAKS: [1890, 1910, 1930, 1950, 1970, 1990],
+  // Year slider for viewing street names as they were in the past
+  TIMELINE: {
+    MIN_YEAR: 1730, // Earliest dated names in the source are from the 1730s
+    MAX_YEAR: 2003, // Publication of the source book
+    DEFAULT_YEAR: 1893
   },
   // Buenos Aires bounding box for geolocation validation
   BOUNDS: {
@@ -25,13 +68,42 @@ const CONFIG = {
 };
 
 let map;
-let streetData = {};
+let streetIndex = buildStreetIndex([]); // OSM name -> history record
 let streetsLayer;
-let streetLayers = {}; // Map street names to their layers for highlighting
+let streetLayers = {}; // Map street names to their loaded layers (one per cell) for highlighting
+let streetTiles = null; // Tile index: levels, their cells and each street's bounding box and length
+let tileLevel = null; // Tile level currently on the map
+const loadedTiles = new Map(); // Cell key -> loading promise, for the current level
 let allStreetNames = []; // For search
-let highlightedLayer = null;
+let searchEntries = []; // Street names prepared for ranked search
+let osmNameByNormalized = new Map(); // Normalized name -> OSM street name
+let historicalNames = []; // Former names index (old_name -> became)
+let personIndex = []; // People honored by current or former street names
+let personBios = {}; // Normalized person name -> Wikidata facts (data/wikidata.json)
+let highlightedStreetNames = []; // OSM street names currently highlighted
 let searchSelectedIndex = -1; // For keyboard navigation
 let locationMarker = null; // For geolocation
+let timelineYear = null; // Year shown by the time slider, null when off
+const timelineCache = new Map(); // current_name -> name timeline
+let historicalByName = new Map(); // Normalized old name -> historical_names entries (honorees.js)
+let colorMode = 'history'; // Key of COLOR_MODES used for streets
+const categoryCache = new Map(); // current_name -> honoree category
+let streetFilters = readFilters(new URLSearchParams()); // Filter panel state, none active
+const filterCache = new Map(); // OSM name -> passes the filters, cleared when they change
+let streetSegments = null; // Promise of the former names' stretches by current_name, loaded on first use
+let segmentLayer = null; // Stretch of a former name drawn over its street
+const nearbyIndex = createSpatialIndex(); // Segments of the detail cells loaded for nearby lookups (nearby.js)
+const nearbyTiles = new Map(); // Detail cell key -> loading promise, for nearbyIndex
+let nearbyPoint = null; // [lng, lat] of the last nearby lookup
+let nearbyLayer = null; // Radius of that lookup and the corner shown, on the map
+let tourStops = []; // Stops of the walking tour, { point: [lng, lat], names } (tours.js)
+let tourTitle = '';
+let tourMode = false; // Clicks on the map add tour stops instead of showing streets
+let tourLayer = null; // Lines and numbered markers of the tour
+let collections = []; // Thematic collections with their street records (collections.js)
+let bookData = { streets: [], historical_names: [] }; // calles_buenos_aires_final.json, which full-text results point into
+let fullTextIndex = null; // Full-text index (fulltext.js) once loaded
+let fullTextIndexLoading = null; // Its loading promise, started by the first long enough search
 
 // URL/Permalink utilities
 function getStreetFromURL() {
@@ -55,6 +127,80 @@ function clearURLStreet() {
   history.pushState({}, '', url);
 }
 
+function getColorModeFromURL() {
+  const mode = new URLSearchParams(window.location.search).get('color');
+  return COLOR_MODES[mode] ? mode : 'history';
+}
+
+// Filters in the URL use the field names of the filter panel:
+// ?history=1&renamed=3&from=1900&to=1950&profession=poeta&wikipedia=1
+function readFilters(params) {
+  const readNumber = key => {
+    const value = parseInt(params.get(key), 10);
+    return Number.isFinite(value) ? value : null;
+  };
+  return {
+    history: params.get('history') === '1',
+    renamed: readNumber('renamed'),
+    from: readNumber('from'),
+    to: readNumber('to'),
+    profession: (params.get('profession') || '').trim(),
+    wikipedia: params.get('wikipedia') === '1'
+  };
+}
+
+function getFiltersFromURL() {
+  return readFilters(new URLSearchParams(window.location.search));
+}
+
+// Like the color mode, filters are part of the permalink but not of the history
+function updateURLFilters() {
+  const url = new URL(window.location);
+  Object.entries(streetFilters).forEach(([key, value]) => {
+    if (value === true) {
+      url.searchParams.set(key, '1');
+    } else if (value !== null && value !== false && value !== '') {
+      url.searchParams.set(key, value);
+    } else {
+      url.searchParams.delete(key);
+    }
+  });
+  history.replaceState(history.state, '', url);
+}
+
+function getTourFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  return { stops: decodeTour(params.get('tour')), title: (params.get('title') || '').trim() };
+}
+
+// The tour is shared like a street (?tour=...&title=...), but editing it
+// doesn't add browser history entries
+function updateURLTour() {
+  const url = new URL(window.location);
+  if (tourStops.length > 0) {
+    url.searchParams.set('tour', encodeTour(tourStops));
+  } else {
+    url.searchParams.delete('tour');
+  }
+  if (tourStops.length > 0 && tourTitle) {
+    url.searchParams.set('title', tourTitle);
+  } else {
+    url.searchParams.delete('title');
+  }
+  history.replaceState(history.state, '', url);
+}
+
+// The color mode is part of the permalink but not of the browser history
+function updateURLColorMode() {
+  const url = new URL(window.location);
+  if (colorMode === 'history') {
+    url.searchParams.delete('color');
+  } else {
+    url.searchParams.set('color', colorMode);
+  }
+  history.replaceState(history.state, '', url);
+}
+
 // Escape HTML to prevent XSS
 function escapeHtml(text) {
   if (!text) return '';
@@ -164,6 +310,7 @@ function locateUser() {
 
       locationMarker.bindPopup('Tu ubicación').openPopup();
       map.setView([latitude, longitude], 15);
+      showNearbyStreets([longitude, latitude]);
     },
     (error) => {
       if (button) button.classList.remove('loading');
@@ -211,6 +358,12 @@ function initMap() {
   // Add geolocation control
   initGeolocation();
 
+  // Add year slider
+  initTimeline();
+
+  // Add color mode switcher
+  initColorModes();
+
   // Load street data
   loadStreetData();
 }
@@ -218,23 +371,49 @@ function initMap() {
 // Load the historical street data
 async function loadStreetData() {
   try {
-    const response = await fetch('./data/calles_buenos_aires_final.json');
-    const data = await response.json();
-
-    // Create lookup by all normalized variants of street name
-    data.streets.forEach(street => {
-      const variants = getNameVariants(street.current_name);
-      variants.forEach(variant => {
-        if (!streetData[variant]) {
-          streetData[variant] = street;
-        }
-      });
-    });
-
-    console.log(`Loaded ${data.streets.length} streets with ${Object.keys(streetData).length} lookup keys`);
+    const [data, overrides, bios, collectionsFile] = await Promise.all([
+      fetch('./data/calles_buenos_aires_final.json').then(response => response.json()),
+      loadNameOverrides(),
+      loadPersonBios(),
+      loadCollections()
+    ]);
+    personBios = bios;
+    bookData = data;
+
+    // Create lookup by OSM name, honoring the manual overrides
+    streetIndex = buildStreetIndex(data.streets, overrides);
+
+    // Index former names so they can be searched too
+    historicalNames = (data.historical_names || []).map((entry, index) => ({
+      ...entry,
+      normalized: normalizeStreetName(entry.old_name),
+      search: createSearchEntry(entry.old_name, { index })
+    }));
+
+    personIndex = buildPersonIndex(data);
+    historicalByName = indexHistoricalNames(data.historical_names);
+    const streetsByName = new Map(data.streets.map(street => [street.current_name, street]));
+    collections = resolveCollections(collectionsFile, data.streets, historicalByName)
+      .map(collection => ({ ...collection, streets: collection.streets.map(name => streetsByName.get(name)) }));
+
+    console.log(`Loaded ${data.streets.length} streets with ${streetIndex.byKey.size} lookup keys and ${streetIndex.byOsmName.size} overridden OSM names`);
+    console.log(`Loaded ${historicalNames.length} former street names`);
+    console.log(`Indexed ${personIndex.length} people honored by street names (${Object.keys(personBios).length} with Wikidata)`);
+    console.log(`Loaded ${collections.length} street collections`);
 
     // Load GeoJSON streets if available
-    await loadStreetsGeoJSON();
+    await loadStreetTiles();
+
+    // Shared tour (permalink)
+    const urlTour = getTourFromURL();
+    if (urlTour.stops.length > 0) {
+      tourStops = urlTour.stops;
+      tourTitle = urlTour.title;
+      drawTour();
+      const bounds = L.latLngBounds(tourStops.map(({ point }) => [point[1], point[0]]));
+      map.fitBounds(bounds, { padding: CONFIG.MAP_PADDING, maxZoom: CONFIG.MAP_MAX_ZOOM });
+      if (!getStreetFromURL()) startTour();
+    }
 
     hideLoading();
   } catch (error) {
@@ -244,101 +423,170 @@ async function loadStreetData() {
   }
 }
 
-// Normalize street name for matching
-function normalizeStreetName(name) {
-  if (!name) return '';
-  let n = name
-    .toUpperCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '') // Remove accents
-    .replace(/[,.]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
+// Manual historical-to-OSM name matches; the map works without them
+async function loadNameOverrides() {
+  try {
+    const response = await fetch('./data/name_overrides.json');
+    if (!response.ok) return {};
+    const { overrides } = await response.json();
+    return overrides;
+  } catch (error) {
+    console.log('Name overrides not available:', error.message);
+    return {};
+  }
+}
+
+// Wikidata facts about the people honored; the map works without them
+async function loadPersonBios() {
+  try {
+    const response = await fetch('./data/wikidata.json');
+    if (!response.ok) return {};
+    const { people } = await response.json();
+    return people;
+  } catch (error) {
+    console.log('Wikidata people not available:', error.message);
+    return {};
+  }
+}
+
+// Thematic collections of streets; the map works without them
+async function loadCollections() {
+  try {
+    const response = await fetch('./data/collections.json');
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (error) {
+    console.log('Street collections not available:', error.message);
+    return null;
+  }
+}
 
-  // Remove common prefixes
-  n = n.replace(/^(AVENIDA|AV\.?|CALLE|PASAJE|PASEO)\s+/i, '');
+// History record for an OSM street name, if any
+function getStreetHistory(streetName) {
+  return findStreetForOsmName(streetIndex, streetName);
+}
 
-  // Remove titles
-  n = n.replace(/\b(DOCTOR|DR\.?|CORONEL|GENERAL|TENIENTE|CAPITAN|ALMIRANTE|INGENIERO|ING\.?|PRESIDENTE|DIPUTADO NACIONAL|MECANICO MILITAR)\s+/gi, '');
+// Find the OSM street name for a historical or current street name
+function findOsmStreetName(name) {
+  if (!name) return null;
+  for (const variant of getNameVariants(name)) {
+    const osmName = osmNameByNormalized.get(variant);
+    if (osmName) return osmName;
+  }
+  return null;
+}
 
-  return n;
+// Find the current street whose full name (not just the surname) matches
+function findCurrentStreetByName(normalizedName) {
+  const street = streetIndex.byKey.get(normalizedName);
+  if (!street) return null;
+  const fullForms = getNameVariants(street.current_name, { includeSurname: false });
+  return fullForms.has(normalizedName) ? street : null;
 }
 
-// Get all possible normalized forms of a name
-function getNameVariants(name) {
-  const variants = new Set();
-  const base = normalizeStreetName(name);
-  variants.add(base);
+// Build the person index from the person objects attached to former names.
+// Each person lists the former names that honored them (and the street that
+// carries that stretch today) plus any current street with the same name.
+function buildPersonIndex(data) {
+  const people = new Map();
+
+  const addFormerName = (person, formerName, became, description) => {
+    const key = normalizeStreetName(person.name);
+    if (!people.has(key)) {
+      people.set(key, {
+        name: person.name,
+        dates: person.dates || null,
+        profession: person.profession || null,
+        normalized: key,
+        streets: []
+      });
+    }
+    const entry = people.get(key);
+    const normalizedFormer = normalizeStreetName(formerName);
+    const duplicate = entry.streets.some(s =>
+      s.kind === 'former' &&
+      normalizeStreetName(s.name) === normalizedFormer &&
+      (!s.became || !became || getNameVariants(became).has(normalizeStreetName(s.became)) ||
+        getNameVariants(s.became).has(normalizeStreetName(became)))
+    );
+    if (!duplicate) {
+      entry.streets.push({ kind: 'former', name: formerName, became, description });
+    }
+  };
 
-  // For "LASTNAME, FIRSTNAME" pattern, also try "FIRSTNAME LASTNAME"
-  if (name.includes(', ')) {
-    const parts = name.split(', ');
-    if (parts.length === 2) {
-      const reversed = `${parts[1]} ${parts[0]}`;
-      variants.add(normalizeStreetName(reversed));
+  (data.historical_names || []).forEach(h => {
+    if (h.person && h.person.name) {
+      addFormerName(h.person, h.old_name, h.became, h.description);
     }
-  }
+  });
 
-  // Try just the last part after comma
-  if (name.includes(', ')) {
-    variants.add(normalizeStreetName(name.split(', ')[0]));
-  }
+  data.streets.forEach(street => {
+    (street.former_names || []).forEach(former => {
+      if (former.person && former.person.name) {
+        addFormerName(former.person, former.name, street.current_name, former.description);
+      }
+    });
+  });
+
+  // Current streets that still carry a name that once honored the person
+  people.forEach(entry => {
+    const seen = new Set();
+    entry.streets.filter(s => s.kind === 'former').forEach(s => {
+      const current = findCurrentStreetByName(normalizeStreetName(s.name));
+      if (current && !seen.has(current.current_name)) {
+        seen.add(current.current_name);
+        entry.streets.unshift({ kind: 'current', name: current.current_name });
+      }
+    });
+  });
 
-  return variants;
+  return Array.from(people.values()).sort((a, b) => a.name.localeCompare(b.name, 'es'));
 }
 
-// Load Buenos Aires streets GeoJSON
-async function loadStreetsGeoJSON() {
+// Load the street tile index: every street name and its bounding box, so
+// search, selection and permalinks work before any geometry is downloaded
+async function loadStreetTiles() {
   try {
-    const response = await fetch('./data/buenos_aires_streets.geojson');
+    const response = await fetch(`${CONFIG.STREET_TILES_PATH}/index.json`);
     if (!response.ok) {
-      console.log('Streets GeoJSON not found - click on map to see instructions');
+      console.log('Street tiles not found - run npm run tiles');
       return;
     }
 
-    const geojson = await response.json();
-
-    const streetNamesSet = new Set();
-
-    streetsLayer = L.geoJSON(geojson, {
-      style: {
-        color: CONFIG.COLORS.DEFAULT,
-        weight: 2,
-        opacity: 0.7
-      },
-      onEachFeature: (feature, layer) => {
-        const streetName = feature.properties.name;
-        if (streetName) {
-          const normalizedName = normalizeStreetName(streetName);
-          const historyData = streetData[normalizedName];
-
-          // Track layers by street name for search/highlight
-          if (!streetLayers[streetName]) {
-            streetLayers[streetName] = [];
-          }
-          streetLayers[streetName].push(layer);
-          streetNamesSet.add(streetName);
-
-          if (historyData) {
-            layer.setStyle({ color: CONFIG.COLORS.WITH_HISTORY, weight: 3 });
-            layer.on('click', () => {
-              selectStreet(streetName);
-            });
-            layer.bindTooltip(streetName, { sticky: true });
-          } else {
-            // Show tooltip for streets without history
-            layer.bindTooltip(`${streetName} (sin información histórica)`, { sticky: true });
-            layer.on('click', () => {
-              selectStreet(streetName);
-            });
-          }
-        }
-      }
-    }).addTo(map);
+    streetTiles = await response.json();
+    streetTiles.levels.forEach(level => {
+      level.cellSet = new Set(level.cells);
+    });
 
     // Build searchable street list
-    allStreetNames = Array.from(streetNamesSet).sort();
-    console.log(`Streets layer loaded with ${allStreetNames.length} unique names`);
+    allStreetNames = Object.keys(streetTiles.streets).sort();
+    allStreetNames.forEach(streetName => {
+      const normalizedName = normalizeStreetName(streetName);
+      if (!osmNameByNormalized.has(normalizedName)) {
+        osmNameByNormalized.set(normalizedName, streetName);
+      }
+    });
+    searchEntries = allStreetNames.map(name => createSearchEntry(name, { hasHistory: !!getStreetHistory(name) }));
+    console.log(`Street index loaded with ${allStreetNames.length} unique names`);
+
+    // Filters from the URL apply to the first cells already
+    initFilters();
+
+    streetsLayer = L.layerGroup().addTo(map);
+    map.on('moveend', updateVisibleTiles);
+    updateVisibleTiles();
+
+    // Clicking the map away from a street lists the streets around, or
+    // adds a stop when building a tour
+    map.on('click', (e) => {
+      if (!isWithinBuenosAires(e.latlng.lat, e.latlng.lng)) return;
+      const point = [e.latlng.lng, e.latlng.lat];
+      if (tourMode) {
+        addTourStopAt(point);
+      } else {
+        showNearbyStreets(point);
+      }
+    });
 
     // Initialize search
     initSearch();
@@ -355,10 +603,113 @@ async function loadStreetsGeoJSON() {
       }
     }
   } catch (error) {
-    console.log('Could not load streets GeoJSON:', error.message);
+    console.log('Could not load street tiles:', error.message);
+  }
+}
+
+// Tile level for a zoom: the last one whose min_zoom it reaches
+function getTileLevel(zoom) {
+  return streetTiles.levels.reduce((found, level) => (zoom >= level.min_zoom ? level : found), streetTiles.levels[0]);
+}
+
+// Keys of the level's cells that cover the visible map, with some margin
+function getVisibleCells(level) {
+  return getCellsInBounds(level, map.getBounds().pad(CONFIG.STREET_TILES_PADDING));
+}
+
+function getCellsInBounds(level, bounds) {
+  const [originLng, originLat] = streetTiles.origin;
+  const minCol = Math.floor((bounds.getWest() - originLng) / level.cell_size);
+  const maxCol = Math.floor((bounds.getEast() - originLng) / level.cell_size);
+  const minRow = Math.floor((bounds.getSouth() - originLat) / level.cell_size);
+  const maxRow = Math.floor((bounds.getNorth() - originLat) / level.cell_size);
+
+  const keys = [];
+  for (let col = minCol; col <= maxCol; col++) {
+    for (let row = minRow; row <= maxRow; row++) {
+      const key = `${col}_${row}`;
+      if (level.cellSet.has(key)) keys.push(key);
+    }
+  }
+  return keys;
+}
+
+// Load the cells in view; switching level drops the other level's geometry
+function updateVisibleTiles() {
+  const level = getTileLevel(map.getZoom());
+  if (level !== tileLevel) {
+    streetsLayer.clearLayers();
+    streetLayers = {};
+    loadedTiles.clear();
+    tileLevel = level;
+  }
+
+  getVisibleCells(level).forEach(key => {
+    if (!loadedTiles.has(key)) {
+      loadedTiles.set(key, loadStreetTile(level, key));
+    }
+  });
+}
+
+async function loadStreetTile(level, key) {
+  try {
+    const response = await fetch(`${CONFIG.STREET_TILES_PATH}/${level.name}/${key}.json`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const geojson = await response.json();
+    if (level !== tileLevel) return; // Zoomed to another level while loading
+
+    const tile = L.geoJSON(geojson, {
+      style: feature => getCurrentStreetStyle(feature.properties.name),
+      onEachFeature: addStreetFeature
+    }).addTo(streetsLayer);
+
+    // Streets hidden by the filters stay in the tile, off the map
+    tile.eachLayer(layer => {
+      if (!isStreetVisible(layer.feature.properties.name)) map.removeLayer(layer);
+    });
+  } catch (error) {
+    console.log(`Could not load street tile ${level.name}/${key}:`, error.message);
+    if (level === tileLevel) loadedTiles.delete(key); // Retry on the next move
   }
 }
 
+// Track a street's geometry in a cell by name for search/highlight
+function addStreetFeature(feature, layer) {
+  const streetName = feature.properties.name;
+  if (!streetLayers[streetName]) {
+    streetLayers[streetName] = [];
+  }
+  streetLayers[streetName].push(layer);
+
+  layer.bindTooltip(getStreetTooltip(streetName), { sticky: true });
+  layer.on('click', (e) => {
+    L.DomEvent.stopPropagation(e); // Not a click on the map (nearby streets)
+    if (tourMode) {
+      addTourStop({ point: [e.latlng.lng, e.latlng.lat], names: [streetName] });
+    } else {
+      selectStreet(streetName);
+    }
+  });
+}
+
+// Bounds of a street from the tile index, whether or not its segments are loaded
+function getStreetBounds(streetName) {
+  const street = streetTiles && streetTiles.streets[streetName];
+  if (!street) return null;
+  const [west, south, east, north] = street.bbox;
+  return L.latLngBounds([south, west], [north, east]);
+}
+
+// "longitud: 4,3 km" for a street in the tile index, empty if unknown
+function createStreetLengthLine(streetName) {
+  const street = streetTiles && streetTiles.streets[streetName];
+  if (!street || !street.length) return '';
+  const length = street.length < 1000
+    ? `${Math.round(street.length / 10) * 10} m`
+    : `${(street.length / 1000).toLocaleString('es-AR', { minimumFractionDigits: 1, maximumFractionDigits: 1 })} km`;
+  return `<p class="street-length">longitud: ${length}</p>`;
+}
+
 // Show message for streets without historical data
 function showNoHistoryMessage(streetName) {
   const panel = document.getElementById('info-panel');
@@ -367,10 +718,13 @@ function showNoHistoryMessage(streetName) {
 
   nameEl.textContent = streetName;
   historyEl.innerHTML = `
+    ${createStreetLengthLine(streetName)}
     <div class="section">
       <p class="no-history-message">No hay información histórica disponible para esta calle en nuestra base de datos.</p>
       <p style="margin-top: 10px; font-size: 0.9rem; color: #666;">
-        Las calles en <span style="color: ${CONFIG.COLORS.WITH_HISTORY}; font-weight: bold;">verde</span> tienen información histórica.
+        ${colorMode === 'history'
+          ? `Las calles en <span style="color: ${CONFIG.COLORS.WITH_HISTORY}; font-weight: bold;">verde</span> tienen información histórica.`
+          : 'Las calles en gris claro no tienen información histórica.'}
       </p>
     </div>
     ${createShareButton(streetName)}
@@ -422,15 +776,53 @@ function attachShareHandler() {
   }
 }
 
+const MONTH_NAMES = [
+  'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio',
+  'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'
+];
+
+// "1930-06-27" -> "27 de junio de 1930"
+function formatLegalDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return `${day} de ${MONTH_NAMES[month - 1]} de ${year}`;
+}
+
+// Clean citation from the structured `legal` field built by
+// scripts/parse_legal_basis.js
+function formatLegalCitation(legal) {
+  const formatAct = (act) => [
+    act.number ? `N° ${escapeHtml(act.number)}` : '',
+    act.date ? `del ${formatLegalDate(act.date)}` : ''
+  ].filter(Boolean).join(' ');
+
+  const acts = [legal, ...(legal.other_acts || [])].map(formatAct).filter(Boolean);
+  let html = `<p class="legal-citation"><strong>${escapeHtml(legal.type)}</strong> ${acts.join(' y ')}</p>`;
+
+  if (legal.bulletin) {
+    html += `<p class="legal-bulletin">${escapeHtml(legal.bulletin.name)} N° ${escapeHtml(legal.bulletin.number)}</p>`;
+  }
+  return html;
+}
+
 // Show street information in the panel
-function showStreetInfo(street, streetName) {
+// formerName is the historical_names entry the user searched for, if any
+function showStreetInfo(street, streetName, formerName = null) {
   const panel = document.getElementById('info-panel');
   const nameEl = document.getElementById('street-name');
   const historyEl = document.getElementById('street-history');
 
   nameEl.textContent = street.current_name;
 
-  let html = '';
+  let html = createStreetLengthLine(streetName);
+
+  // Former name that led here from the search
+  if (formerName) {
+    html += `<div class="section matched-former-name">
+      <div class="section-title">Antes llamada</div>
+      <span class="previous-name matched">${escapeHtml(formerName.old_name)}</span>
+      ${formerName.description ? `<p>${escapeHtml(formerName.description)}</p>` : ''}
+    </div>`;
+  }
 
   // Description
   if (street.description) {
@@ -441,27 +833,42 @@ function showStreetInfo(street, streetName) {
   }
 
   // Legal basis
-  if (street.legal_basis) {
+  if (street.legal && street.legal.status !== 'failed') {
+    html += `<div class="section">
+      <div class="section-title">Base legal</div>
+      ${formatLegalCitation(street.legal)}
+    </div>`;
+  } else if (street.legal_basis) {
     html += `<div class="section">
       <div class="section-title">Base legal</div>
       <p>${escapeHtml(street.legal_basis)}</p>
     </div>`;
   }
 
+  // Name timeline
+  html += createTimelineSection(street);
+
   // Previous names
-  const previousNames = street.previous_names || street.old_names || [];
+  const previousNames = street.former_names || [];
   if (previousNames.length > 0) {
     html += `<div class="section previous-names">
       <div class="section-title">Nombres anteriores</div>`;
 
+    const matchedNormalized = formerName ? formerName.normalized : null;
+    const chipClass = (name) =>
+      normalizeStreetName(name) === matchedNormalized ? 'previous-name matched' : 'previous-name';
+
     previousNames.forEach(name => {
-      if (typeof name === 'string') {
-        html += `<span class="previous-name">${escapeHtml(name)}</span>`;
-      } else if (name.name) {
-        html += `<span class="previous-name">${escapeHtml(name.name)}</span>`;
-        if (name.description) {
-          html += `<p style="margin-top: 8px; font-size: 0.9rem;">${escapeHtml(name.description)}</p>`;
-        }
+      html += `<span class="${chipClass(name.name)}">${escapeHtml(name.name)}</span>`;
+      if (name.segment) {
+        html += createSegmentLink(street, streetName, name);
+      }
+      if (name.person && name.person.name) {
+        html += createPersonLink(name.person);
+        html += createBioCard(personBios[normalizeStreetName(name.person.name)]);
+      }
+      if (name.description) {
+        html += `<p style="margin-top: 8px; font-size: 0.9rem;">${escapeHtml(name.description)}</p>`;
       }
     });
 
@@ -486,175 +893,1599 @@ function showStreetInfo(street, streetName) {
   attachShareHandler();
 }
 
-// Close the info panel
-function clearHighlightedStreet() {
-  if (highlightedLayer && previousStreetName) {
-    const prevNormalized = normalizeStreetName(previousStreetName);
-    const hadHistory = !!streetData[prevNormalized];
-    highlightedLayer.forEach(layer => {
-      layer.setStyle({
-        color: hadHistory ? CONFIG.COLORS.WITH_HISTORY : CONFIG.COLORS.DEFAULT,
-        weight: hadHistory ? 3 : 2
-      });
-    });
-    highlightedLayer = null;
-    previousStreetName = null;
-  }
+// Inline link that opens a person in the person index
+function createPersonLink(person) {
+  const details = [person.dates, person.profession].filter(Boolean).join(', ');
+  return `<button class="person-link" data-person="${escapeHtml(normalizeStreetName(person.name))}">
+    ${escapeHtml(person.name)}${details ? ` <span class="person-details">(${escapeHtml(details)})</span>` : ''}
+  </button>`;
 }
 
-function closePanel({ shouldUpdateUrl = true } = {}) {
-  document.getElementById('info-panel').classList.add('hidden');
-  clearHighlightedStreet();
-  if (shouldUpdateUrl) {
-    clearURLStreet();
-  }
+// Wikidata date (YYYY, YYYY-MM or YYYY-MM-DD, negative before Christ) in words
+function formatBioDate(date) {
+  const [, minus, year, month, day] = /^(-?)(\d+)(?:-(\d\d))?(?:-(\d\d))?$/.exec(date) || [];
+  if (!year) return date;
+  const yearText = minus ? `${year} a. C.` : year;
+  if (!month) return yearText;
+  const monthText = `${MONTH_NAMES[Number(month) - 1]} de ${yearText}`;
+  return day ? `${Number(day)} de ${monthText}` : monthText;
 }
 
-function hideLoading() {
-  document.getElementById('loading').classList.add('hidden');
+// Biography card from the person's Wikidata item: portrait, dates,
+// occupations and links. Empty when the person was not found on Wikidata.
+function createBioCard(bio) {
+  if (!bio) return '';
+
+  const dates = [bio.birth, bio.death].map(date => (date ? formatBioDate(date) : '?'));
+  const facts = [(bio.occupations || []).join(', '), (bio.nationalities || []).join(', ')].filter(Boolean).join(' · ');
+  const image = bio.image
+    ? `<img class="bio-image" src="https://commons.wikimedia.org/wiki/Special:FilePath/${encodeURIComponent(bio.image)}?width=${CONFIG.BIO_IMAGE_WIDTH}" alt="${escapeHtml(bio.name)}" loading="lazy">`
+    : '';
+  const links = [
+    isValidWikipediaUrl(bio.wikipedia) ? `<a href="${escapeHtml(bio.wikipedia)}" target="_blank" rel="noopener noreferrer">Wikipedia</a>` : '',
+    `<a href="https://www.wikidata.org/wiki/${encodeURIComponent(bio.qid)}" target="_blank" rel="noopener noreferrer">Wikidata</a>`
+  ].filter(Boolean).join(' · ');
+
+  return `<div class="bio-card">
+    ${image}
+    <div class="bio-body">
+      ${bio.description ? `<p class="bio-description">${escapeHtml(bio.description)}</p>` : ''}
+      ${bio.birth || bio.death ? `<p class="bio-dates">${escapeHtml(dates.join(' – '))}</p>` : ''}
+      ${facts ? `<p class="bio-facts">${escapeHtml(facts)}</p>` : ''}
+      <p class="bio-links">${links}</p>
+    </div>
+  </div>`;
 }
 
-// Search functionality
-function initSearch() {
-  const input = document.getElementById('search-input');
-  const results = document.getElementById('search-results');
-
-  // Debounced search handler
-  const debouncedSearch = debounce((query) => {
-    if (query.length < CONFIG.MIN_SEARCH_LENGTH) {
-      results.classList.remove('visible');
-      return;
-    }
-    showSearchResults(query);
-  }, CONFIG.DEBOUNCE_MS);
-
-  input.addEventListener('input', (e) => {
-    searchSelectedIndex = -1;
-    debouncedSearch(e.target.value.trim());
-  });
-
-  input.addEventListener('focus', () => {
-    if (input.value.trim().length >= CONFIG.MIN_SEARCH_LENGTH) {
-      results.classList.add('visible');
-    }
-  });
-
-  // Keyboard navigation for search results
-  input.addEventListener('keydown', (e) => {
-    const items = results.querySelectorAll('.search-result-item[data-street]');
-    if (items.length === 0) return;
+// Show the searchable index of people honored by street names
+function showPersonIndex(query = '') {
+  const panel = document.getElementById('info-panel');
+  const nameEl = document.getElementById('street-name');
+  const historyEl = document.getElementById('street-history');
 
-    if (e.key === 'ArrowDown') {
-      e.preventDefault();
-      searchSelectedIndex = Math.min(searchSelectedIndex + 1, items.length - 1);
-      updateSearchSelection(items);
-    } else if (e.key === 'ArrowUp') {
-      e.preventDefault();
-      searchSelectedIndex = Math.max(searchSelectedIndex - 1, -1);
-      updateSearchSelection(items);
-    } else if (e.key === 'Enter' && searchSelectedIndex >= 0) {
-      e.preventDefault();
-      const streetName = items[searchSelectedIndex].dataset.street;
-      selectStreet(streetName);
-      results.classList.remove('visible');
-      input.value = streetName;
-      searchSelectedIndex = -1;
-    }
-  });
+  clearHighlightedStreet();
+  nameEl.textContent = 'Personas homenajeadas';
+  historyEl.innerHTML = `
+    <div class="section">
+      <input type="text" id="person-search" class="panel-search" placeholder="Buscar persona o profesión..." autocomplete="off" aria-label="Buscar persona" value="${escapeHtml(query)}">
+      <div id="person-list" class="person-list"></div>
+    </div>
+  `;
 
-  // Event delegation for search results (fixes memory leak)
-  results.addEventListener('click', (e) => {
-    const item = e.target.closest('.search-result-item[data-street]');
-    if (item) {
-      const streetName = item.dataset.street;
-      selectStreet(streetName);
-      results.classList.remove('visible');
-      input.value = streetName;
-    }
-  });
+  const input = document.getElementById('person-search');
+  input.addEventListener('input', debounce(() => renderPersonList(input.value.trim()), CONFIG.DEBOUNCE_MS));
+  renderPersonList(query);
 
-  // Hide results when clicking outside
-  document.addEventListener('click', (e) => {
-    if (!e.target.closest('#search-container')) {
-      results.classList.remove('visible');
-      searchSelectedIndex = -1;
-    }
-  });
+  panel.classList.remove('hidden');
+  input.focus();
 }
 
-// Update visual selection in search results
-function updateSearchSelection(items) {
-  items.forEach((item, index) => {
-    if (index === searchSelectedIndex) {
-      item.classList.add('selected');
-      item.setAttribute('aria-selected', 'true');
-      item.scrollIntoView({ block: 'nearest' });
-    } else {
-      item.classList.remove('selected');
-      item.setAttribute('aria-selected', 'false');
-    }
-  });
-}
+function renderPersonList(query) {
+  const list = document.getElementById('person-list');
+  if (!list) return;
 
-function showSearchResults(query) {
-  const results = document.getElementById('search-results');
   const normalizedQuery = normalizeStreetName(query);
-
-  // Filter streets matching the query
-  const matches = allStreetNames.filter(name => {
-    const normalized = normalizeStreetName(name);
-    return normalized.includes(normalizedQuery);
-  }).slice(0, CONFIG.MAX_SEARCH_RESULTS);
-
-  searchSelectedIndex = -1;
+  const matches = personIndex.filter(person =>
+    !normalizedQuery ||
+    person.normalized.includes(normalizedQuery) ||
+    normalizeStreetName(person.profession).includes(normalizedQuery)
+  );
 
   if (matches.length === 0) {
-    results.innerHTML = '<div class="search-result-item" role="option">No se encontraron calles</div>';
-  } else {
-    results.innerHTML = matches.map((name, index) => {
-      const normalizedName = normalizeStreetName(name);
-      const hasHistory = !!streetData[normalizedName];
-      return `
-        <div class="search-result-item" data-street="${escapeHtml(name)}" role="option" aria-selected="false" id="search-option-${index}">
-          <span class="street-name">${escapeHtml(name)}</span>
-          ${hasHistory ? '<span class="has-history">con historia</span>' : ''}
-        </div>
-      `;
-    }).join('');
+    list.innerHTML = '<p class="no-history-message">No se encontraron personas</p>';
+    return;
   }
 
-  results.classList.add('visible');
+  list.innerHTML = matches.slice(0, CONFIG.MAX_PERSON_RESULTS).map(person => `
+    <button class="person-item" data-person="${escapeHtml(person.normalized)}">
+      <span class="person-name">${escapeHtml(person.name)}</span>
+      ${person.dates ? `<span class="person-dates">${escapeHtml(person.dates)}</span>` : ''}
+      ${person.profession ? `<span class="person-profession">${escapeHtml(person.profession)}</span>` : ''}
+      <span class="person-count">${person.streets.length} ${person.streets.length === 1 ? 'calle' : 'calles'}</span>
+    </button>
+  `).join('') + (matches.length > CONFIG.MAX_PERSON_RESULTS
+    ? `<p class="person-more">y ${matches.length - CONFIG.MAX_PERSON_RESULTS} más. Refiná la búsqueda.</p>`
+    : '');
 }
 
-let previousStreetName = null;
+// Show a person and highlight every street named after them
+function selectPerson(normalizedName) {
+  const person = personIndex.find(p => p.normalized === normalizedName);
+  if (!person) return;
 
-function selectStreet(streetName, shouldUpdateURL = true) {
-  // Clear previous highlight
-  if (highlightedLayer && previousStreetName) {
-    const prevNormalized = normalizeStreetName(previousStreetName);
-    const hadHistory = !!streetData[prevNormalized];
-    highlightedLayer.forEach(layer => {
-      layer.setStyle({
-        color: hadHistory ? CONFIG.COLORS.WITH_HISTORY : CONFIG.COLORS.DEFAULT,
-        weight: hadHistory ? 3 : 2
-      });
-    });
+  const panel = document.getElementById('info-panel');
+  const nameEl = document.getElementById('street-name');
+  const historyEl = document.getElementById('street-history');
+
+  const streets = person.streets.map(street => ({
+    ...street,
+    osmName: findOsmStreetName(street.kind === 'current' ? street.name : street.became)
+  }));
+
+  const osmNames = Array.from(new Set(streets.map(s => s.osmName).filter(Boolean)));
+  const bounds = highlightStreets(osmNames);
+  if (bounds.isValid()) {
+    map.fitBounds(bounds, { padding: CONFIG.MAP_PADDING, maxZoom: CONFIG.MAP_MAX_ZOOM });
   }
 
-  // Highlight selected street
-  const layers = streetLayers[streetName];
-  if (layers && layers.length > 0) {
-    // Calculate bounds of all segments
-    const bounds = L.latLngBounds();
-    layers.forEach(layer => {
-      layer.setStyle({ color: CONFIG.COLORS.HIGHLIGHT, weight: 5 });
-      bounds.extend(layer.getBounds());
-    });
-    highlightedLayer = layers;
-    previousStreetName = streetName;
+  nameEl.textContent = person.name;
+
+  const details = [person.dates, person.profession].filter(Boolean).join(' · ');
+  let html = `<div class="section">
+    <button class="back-to-people">← Todas las personas</button>
+    ${details ? `<p class="person-card-details">${escapeHtml(details)}</p>` : ''}
+    ${createBioCard(personBios[person.normalized])}
+  </div>`;
+
+  const renderStreet = (street, index) => {
+    const label = street.kind === 'current'
+      ? escapeHtml(street.name)
+      : `${escapeHtml(street.name)} <span class="became">${street.became ? `→ hoy ${escapeHtml(street.became)}` : '→ calle desaparecida'}</span>`;
+    const tag = street.osmName
+      ? `<button class="person-street" data-person="${escapeHtml(person.normalized)}" data-street-index="${index}">${label}</button>`
+      : `<span class="person-street unavailable">${label}</span>`;
+    return `<li>${tag}${street.description ? `<p>${escapeHtml(street.description)}</p>` : ''}</li>`;
+  };
 
-    // Update URL for sharing
-    if (shouldUpdateURL) {
+  const current = [];
+  const former = [];
+  streets.forEach((street, index) => {
+    (street.kind === 'current' ? current : former).push(renderStreet(street, index));
+  });
+
+  if (current.length > 0) {
+    html += `<div class="section">
+      <div class="section-title">Calle actual con el mismo nombre</div>
+      <ul class="person-streets">${current.join('')}</ul>
+    </div>`;
+  }
+  if (former.length > 0) {
+    html += `<div class="section">
+      <div class="section-title">Nombres anteriores en su homenaje</div>
+      <ul class="person-streets">${former.join('')}</ul>
+    </div>`;
+  }
+  if (osmNames.length > 0) {
+    html += `<p class="person-map-note">${osmNames.length === 1 ? 'La calle está resaltada' : `Las ${osmNames.length} calles están resaltadas`} en el mapa.</p>`;
+  }
+
+  historyEl.innerHTML = html;
+  panel.classList.remove('hidden');
+  panel.focus();
+}
+
+// Open the street behind an entry of the person view
+function selectPersonStreet(normalizedName, index) {
+  const person = personIndex.find(p => p.normalized === normalizedName);
+  const street = person && person.streets[index];
+  if (!street) return;
+
+  if (street.kind === 'current') {
+    selectStreet(findOsmStreetName(street.name));
+  } else {
+    selectStreet(findOsmStreetName(street.became), true, {
+      old_name: street.name,
+      description: street.description,
+      normalized: normalizeStreetName(street.name)
+    });
+  }
+}
+
+// Show the list of thematic collections
+function showCollectionIndex() {
+  const panel = document.getElementById('info-panel');
+  const nameEl = document.getElementById('street-name');
+  const historyEl = document.getElementById('street-history');
+
+  clearHighlightedStreet();
+  nameEl.textContent = 'Colecciones';
+  historyEl.innerHTML = collections.length === 0
+    ? '<p class="no-history-message">No hay colecciones disponibles</p>'
+    : `<div class="section">${collections.map(collection => `
+      <button class="collection-item" data-collection="${escapeHtml(collection.id)}">
+        <span class="collection-title">${escapeHtml(collection.title)}</span>
+        <span class="collection-count">${collection.streets.length} ${collection.streets.length === 1 ? 'calle' : 'calles'}</span>
+        <span class="collection-intro">${escapeHtml(truncateText(collection.intro, CONFIG.NEARBY_SUMMARY_LENGTH))}</span>
+      </button>
+    `).join('')}</div>`;
+
+  panel.classList.remove('hidden');
+}
+
+// Show a collection with all its streets highlighted, and step through
+// them from the first
+function selectCollection(id) {
+  const collection = collections.find(c => c.id === id);
+  if (!collection) return;
+
+  const osmNames = Array.from(new Set(collection.streets.map(street => findOsmStreetName(street.current_name)).filter(Boolean)));
+  const bounds = highlightStreets(osmNames);
+  if (bounds.isValid()) {
+    map.fitBounds(bounds, { padding: CONFIG.MAP_PADDING, maxZoom: CONFIG.MAP_MAX_ZOOM });
+  }
+  showCollectionStreet(id, 0, false);
+}
+
+// Show one street of a collection, zooming to it unless told otherwise; the
+// whole collection stays highlighted
+function showCollectionStreet(id, position, shouldZoom = true) {
+  const collection = collections.find(c => c.id === id);
+  const street = collection && collection.streets[position];
+  if (!street) return;
+
+  const panel = document.getElementById('info-panel');
+  const nameEl = document.getElementById('street-name');
+  const historyEl = document.getElementById('street-history');
+
+  const osmName = findOsmStreetName(street.current_name);
+  const streetBounds = osmName && getStreetBounds(osmName);
+  if (shouldZoom && streetBounds) {
+    map.fitBounds(streetBounds, { padding: CONFIG.MAP_PADDING, maxZoom: CONFIG.MAP_MAX_ZOOM });
+  }
+
+  const total = collection.streets.length;
+  const stepButton = (target, label) => `<button class="collection-step" data-collection="${escapeHtml(id)}" data-position="${target}" ${target < 0 || target >= total ? 'disabled' : ''}>${label}</button>`;
+  const list = collection.streets.map((s, i) => `<li>
+      <button class="collection-step${i === position ? ' current' : ''}" data-collection="${escapeHtml(id)}" data-position="${i}" ${i === position ? 'aria-current="true"' : ''}>${escapeHtml(s.current_name)}</button>
+    </li>`).join('');
+
+  nameEl.textContent = collection.title;
+  historyEl.innerHTML = `
+    <div class="section">
+      <button class="back-to-collections">← Todas las colecciones</button>
+      <p class="collection-intro">${escapeHtml(collection.intro)}</p>
+    </div>
+    <div class="section collection-current">
+      <div class="collection-stepper">
+        ${stepButton(position - 1, '← Anterior')}
+        <span>${position + 1} de ${total}</span>
+        ${stepButton(position + 1, 'Siguiente →')}
+      </div>
+      <p class="collection-street-name">${escapeHtml(street.current_name)}</p>
+      <p class="nearby-origin">${escapeHtml(getOriginSummary(street))}</p>
+      ${osmName
+        ? `<button class="collection-open" data-osm-name="${escapeHtml(osmName)}">Ver la historia completa</button>`
+        : '<p class="nearby-note">Esta calle no está en el mapa.</p>'}
+    </div>
+    <div class="section">
+      <div class="section-title">${collection.curated ? 'Calles de la colección' : 'Calles que cumplen el criterio'}</div>
+      <ol class="collection-streets">${list}</ol>
+    </div>
+  `;
+
+  panel.classList.remove('hidden');
+}
+
+// Fill nearbyIndex with the full-detail cells within radius meters of a
+// [lng, lat] point; each cell is fetched once
+function loadNearbyCells([lng, lat], radius) {
+  const level = streetTiles.levels[streetTiles.levels.length - 1];
+  const keys = getCellsInBounds(level, L.latLng(lat, lng).toBounds(radius * 2));
+  return Promise.all(keys.map(key => {
+    if (!nearbyTiles.has(key)) {
+      nearbyTiles.set(key, fetch(`${CONFIG.STREET_TILES_PATH}/${level.name}/${key}.json`)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then(geojson => geojson.features.forEach(feature => {
+          addStreetLines(nearbyIndex, feature.properties.name, feature.geometry.coordinates);
+        }))
+        .catch(error => {
+          console.log(`Could not load street tile ${level.name}/${key}:`, error.message);
+          nearbyTiles.delete(key); // Retry on the next lookup
+        }));
+    }
+    return nearbyTiles.get(key);
+  }));
+}
+
+function truncateText(text, length) {
+  return text.length <= length ? text : `${text.slice(0, length - 1).trimEnd()}…`;
+}
+
+// One line on where a current name comes from: the person it honors, what
+// the book says the name means or, failing both, its former names
+function getOriginSummary(street) {
+  const person = getHonoredPerson(street, historicalByName);
+  const etymology = getNameEtymology(street, historicalByName);
+  const formerNames = (street.former_names || []).map(name => name.name);
+  const year = getNamingYear(street);
+
+  let summary;
+  if (person) {
+    summary = [`Homenaje a ${person.name}${person.dates ? ` (${person.dates})` : ''}`, person.profession].filter(Boolean).join(', ');
+  } else if (etymology) {
+    summary = etymology[0].toUpperCase() + etymology.slice(1);
+  } else if (formerNames.length > 0) {
+    summary = `Antes: ${formerNames.join(', ')}`;
+  } else if (year) {
+    summary = `Con este nombre desde ${year}; el libro no explica su origen.`;
+  } else {
+    summary = 'El libro no explica su origen.';
+  }
+  return truncateText(summary, CONFIG.NEARBY_SUMMARY_LENGTH);
+}
+
+// Mark the radius of a lookup, and optionally a corner, on the map
+function showNearbyLayer(point, corner = null) {
+  if (nearbyLayer) map.removeLayer(nearbyLayer);
+  nearbyLayer = L.layerGroup([
+    L.circle([point[1], point[0]], {
+      radius: CONFIG.NEARBY_RADIUS_M,
+      color: CONFIG.COLORS.LOCATION,
+      weight: 1,
+      dashArray: '4 4',
+      fillOpacity: 0.05,
+      interactive: false
+    })
+  ]).addTo(map);
+  if (corner) {
+    L.circleMarker([corner[1], corner[0]], {
+      radius: 7,
+      fillColor: CONFIG.COLORS.HIGHLIGHT,
+      color: '#fff',
+      weight: 2,
+      fillOpacity: 0.9,
+      interactive: false
+    }).addTo(nearbyLayer);
+  }
+}
+
+function clearNearby() {
+  if (nearbyLayer) map.removeLayer(nearbyLayer);
+  nearbyLayer = null;
+  nearbyPoint = null;
+}
+
+// "a 40 m"
+function formatDistance(distance) {
+  return `a ${Math.max(5, Math.round(distance / 5) * 5)} m`;
+}
+
+// List the streets within CONFIG.NEARBY_RADIUS_M of a [lng, lat] point,
+// closest first, with where their names come from
+async function showNearbyStreets(point) {
+  if (!streetTiles) return;
+  nearbyPoint = point;
+  clearSegment();
+  clearHighlightedStreet();
+  showNearbyLayer(point);
+
+  await loadNearbyCells(point, CONFIG.NEARBY_RADIUS_M);
+  if (nearbyPoint !== point) return; // Another lookup started, or the panel closed, while loading
+
+  const found = findNearbyStreets(nearbyIndex, point, CONFIG.NEARBY_RADIUS_M);
+  const nearby = found.filter(street => streetMatchesFilters(street.name)).slice(0, CONFIG.NEARBY_MAX_RESULTS);
+  const hiddenCount = found.filter(street => !streetMatchesFilters(street.name)).length;
+
+  const panel = document.getElementById('info-panel');
+  const nameEl = document.getElementById('street-name');
+  const historyEl = document.getElementById('street-history');
+  nameEl.textContent = 'Calles cercanas';
+
+  let html = '';
+  if (nearby.length === 0) {
+    html += `<div class="section"><p class="no-history-message">No hay calles a menos de ${CONFIG.NEARBY_RADIUS_M} m.</p></div>`;
+  } else {
+    const items = nearby.map(({ name, distance }) => {
+      const street = getStreetHistory(name);
+      return `<li>
+        <button class="nearby-street" data-street="${escapeHtml(name)}">
+          <span class="nearby-name">${escapeHtml(name)}</span>
+          <span class="nearby-distance">${formatDistance(distance)}</span>
+        </button>
+        <p class="nearby-origin">${escapeHtml(street ? getOriginSummary(street) : 'Sin historia en el libro.')}</p>
+      </li>`;
+    });
+    html += `<div class="section"><ul class="nearby-streets">${items.join('')}</ul></div>`;
+  }
+  if (nearby.length >= 2) {
+    html += `<button class="nearby-intersection" data-first="${escapeHtml(nearby[0].name)}" data-second="${escapeHtml(nearby[1].name)}">
+      La esquina de ${escapeHtml(nearby[0].name)} y ${escapeHtml(nearby[1].name)}</button>`;
+  }
+  if (hiddenCount > 0) {
+    html += `<p class="nearby-note">Los filtros ocultan ${hiddenCount} ${hiddenCount === 1 ? 'calle cercana' : 'calles cercanas'}.</p>`;
+  }
+
+  historyEl.innerHTML = html;
+  panel.classList.remove('hidden');
+  panel.focus();
+}
+
+// Both streets of the corner nearest the last lookup, side by side
+function showIntersection(firstName, secondName) {
+  if (!nearbyPoint) return;
+  const corner = findIntersection(nearbyIndex, firstName, secondName, nearbyPoint, CONFIG.NEARBY_RADIUS_M);
+  highlightStreets([firstName, secondName]);
+  showNearbyLayer(nearbyPoint, corner && corner.point);
+  if (corner) map.panTo([corner.point[1], corner.point[0]]);
+
+  const renderStreet = (name) => {
+    const street = getStreetHistory(name);
+    if (!street) {
+      return `<div class="section">
+        <div class="section-title"><button class="nearby-street" data-street="${escapeHtml(name)}">${escapeHtml(name)}</button></div>
+        <p class="nearby-origin">Sin historia en el libro.</p>
+      </div>`;
+    }
+    const year = getNamingYear(street);
+    const formerNames = (street.former_names || [])
+      .map(formerName => `<span class="previous-name">${escapeHtml(formerName.name)}</span>`).join('');
+    return `<div class="section">
+      <div class="section-title"><button class="nearby-street" data-street="${escapeHtml(name)}">${escapeHtml(street.current_name)}</button></div>
+      <p class="nearby-origin">${escapeHtml(getOriginSummary(street))}</p>
+      ${year ? `<p class="nearby-origin">Nombre actual desde ${year}.</p>` : ''}
+      ${formerNames ? `<p class="nearby-origin">Nombres anteriores:</p>${formerNames}` : ''}
+    </div>`;
+  };
+
+  document.getElementById('street-name').textContent = `${firstName} y ${secondName}`;
+  document.getElementById('street-history').innerHTML = `
+    <div class="section">
+      <button class="back-to-nearby">← Calles cercanas</button>
+      <p class="nearby-note">${corner
+        ? 'La esquina está marcada en el mapa.'
+        : 'Estas calles no se cruzan cerca de aquí; son las dos más cercanas.'}</p>
+    </div>
+    ${renderStreet(firstName)}
+    ${renderStreet(secondName)}
+  `;
+}
+
+const DEFAULT_TOUR_TITLE = 'Recorrido por las calles de Buenos Aires';
+
+// Straight lines between the stops and a numbered marker on each
+function drawTour() {
+  if (tourLayer) map.removeLayer(tourLayer);
+  tourLayer = null;
+  if (tourStops.length === 0) return;
+
+  const latLngs = tourStops.map(({ point }) => [point[1], point[0]]);
+  tourLayer = L.layerGroup([
+    L.polyline(latLngs, { color: CONFIG.COLORS.TOUR, weight: 3, dashArray: '6 6', interactive: false })
+  ]);
+  tourStops.forEach((stop, i) => {
+    L.marker(latLngs[i], {
+      icon: L.divIcon({ className: 'tour-stop-marker', html: `${i + 1}`, iconSize: [24, 24] }),
+      title: `${i + 1}. ${getStopTitle(stop)}`,
+      keyboard: false
+    }).addTo(tourLayer);
+  });
+  tourLayer.addTo(map);
+}
+
+function updateTour() {
+  drawTour();
+  updateURLTour();
+  if (tourMode) showTourPanel();
+}
+
+function addTourStop({ point, names }) {
+  if (tourStops.length >= MAX_TOUR_STOPS) {
+    showLocationMessage(`Un recorrido tiene hasta ${MAX_TOUR_STOPS} paradas`);
+    return;
+  }
+  tourStops.push({ point: point.map(value => Math.round(value * 1e5) / 1e5), names });
+  updateTour();
+}
+
+// A click away from the streets adds the corner of the two closest streets
+// if it is that close to it, or else the closest street
+async function addTourStopAt(point) {
+  await loadNearbyCells(point, CONFIG.NEARBY_RADIUS_M);
+  const [first, second] = findNearbyStreets(nearbyIndex, point, CONFIG.NEARBY_RADIUS_M);
+  if (!first) {
+    showLocationMessage('No hay calles cerca de ese punto');
+    return;
+  }
+  const corner = second && findIntersection(nearbyIndex, first.name, second.name, point, CONFIG.TOUR_CORNER_RADIUS_M);
+  addTourStop(corner
+    ? { point: corner.point, names: [first.name, second.name] }
+    : { point: first.point, names: [first.name] });
+}
+
+// One line per stop: what the names of its streets honor
+function getStopSummary(stop) {
+  return stop.names
+    .map(name => getStreetHistory(name))
+    .filter(Boolean)
+    .map(getOriginSummary)
+    .join(' / ');
+}
+
+// The book's data for the streets of a stop, for the booklet
+function getStopDetails(stop) {
+  return {
+    ...stop,
+    summary: getStopSummary(stop),
+    streets: stop.names.map(name => {
+      const street = getStreetHistory(name);
+      if (!street) return { name, summary: 'Sin historia en el libro.' };
+      return {
+        name: street.current_name,
+        summary: getOriginSummary(street),
+        year: getNamingYear(street),
+        formerNames: (street.former_names || []).map(formerName => ({ name: formerName.name, description: formerName.description })),
+        description: street.description
+      };
+    })
+  };
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// "Paseo por San Telmo" -> "paseo-por-san-telmo"
+function getTourFilename(extension) {
+  const slug = foldName(tourTitle || DEFAULT_TOUR_TITLE).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'recorrido'}.${extension}`;
+}
+
+function exportTour(format) {
+  const title = tourTitle || DEFAULT_TOUR_TITLE;
+  const stops = tourStops.map(getStopDetails);
+  if (format === 'gpx') {
+    downloadFile(getTourFilename('gpx'), buildGPX(title, stops), 'application/gpx+xml');
+  } else {
+    downloadFile(getTourFilename('html'), buildBooklet(title, stops, window.location.href), 'text/html');
+  }
+}
+
+function startTour() {
+  tourMode = true;
+  document.getElementById('map').classList.add('tour-mode');
+  clearNearby();
+  showTourPanel();
+}
+
+function stopTour() {
+  tourMode = false;
+  document.getElementById('map').classList.remove('tour-mode');
+}
+
+// The tour being built: its stops in order, with buttons to reorder and
+// remove them, and the exports
+function showTourPanel() {
+  const panel = document.getElementById('info-panel');
+  const nameEl = document.getElementById('street-name');
+  const historyEl = document.getElementById('street-history');
+
+  const stops = tourStops.map((stop, i) => {
+    const summary = getStopSummary(stop);
+    return `<li>
+      <div class="tour-stop">
+        <span class="tour-stop-name">${escapeHtml(getStopTitle(stop))}</span>
+        <span class="tour-stop-buttons">
+          <button class="tour-move" data-index="${i}" data-offset="-1" aria-label="Subir parada" ${i === 0 ? 'disabled' : ''}>↑</button>
+          <button class="tour-move" data-index="${i}" data-offset="1" aria-label="Bajar parada" ${i === tourStops.length - 1 ? 'disabled' : ''}>↓</button>
+          <button class="tour-remove" data-index="${i}" aria-label="Quitar parada">&times;</button>
+        </span>
+      </div>
+      ${summary ? `<p class="nearby-origin">${escapeHtml(summary)}</p>` : ''}
+    </li>`;
+  });
+  const lengthKm = (getTourLength(tourStops) / 1000).toLocaleString('es-AR', { maximumFractionDigits: 1 });
+  const empty = tourStops.length === 0 ? 'disabled' : '';
+
+  nameEl.textContent = 'Recorrido';
+  historyEl.innerHTML = `
+    <div class="section">
+      <p class="tour-help">Tocá una calle para sumarla como parada, o cerca de una esquina para sumar la esquina.</p>
+      <input type="text" id="tour-title" class="panel-search" placeholder="${escapeHtml(DEFAULT_TOUR_TITLE)}" aria-label="Título del recorrido" value="${escapeHtml(tourTitle)}">
+    </div>
+    <div class="section">
+      ${tourStops.length === 0
+        ? '<p class="no-history-message">Todavía no hay paradas.</p>'
+        : `<ol class="tour-stops">${stops.join('')}</ol>
+          <p class="tour-length">${tourStops.length} ${tourStops.length === 1 ? 'parada' : 'paradas'} · ${lengthKm} km en línea recta</p>`}
+    </div>
+    <div class="section tour-actions">
+      <button class="tour-export" data-format="gpx" ${empty}>Descargar GPX</button>
+      <button class="tour-export" data-format="html" ${empty}>Cuadernillo para imprimir</button>
+      <button class="tour-share" ${empty}>Compartir</button>
+      <button class="tour-clear" ${empty}>Vaciar recorrido</button>
+    </div>
+  `;
+
+  const input = document.getElementById('tour-title');
+  input.addEventListener('input', debounce(() => {
+    tourTitle = input.value.trim();
+    updateURLTour();
+  }, CONFIG.DEBOUNCE_MS));
+
+  panel.classList.remove('hidden');
+}
+
+async function shareTour(button) {
+  const url = window.location.href;
+  try {
+    if (navigator.share) {
+      await navigator.share({ title: tourTitle || DEFAULT_TOUR_TITLE, url });
+    } else {
+      await navigator.clipboard.writeText(url);
+      button.textContent = '¡Enlace copiado!';
+      setTimeout(() => {
+        button.textContent = 'Compartir';
+      }, 2000);
+    }
+  } catch (err) {
+    console.error('Error sharing:', err);
+  }
+}
+
+// Find the first year cited in a piece of text. Numbers preceded by "N°"
+// are ordinance or bulletin numbers, not years. Returns { year, index }.
+function findYear(text) {
+  if (!text) return null;
+  for (const match of text.matchAll(/(N°\s*)?\b(1[5-9]\d{2}|20[0-2]\d)\b/g)) {
+    if (!match[1]) return { year: Number(match[2]), index: match.index };
+  }
+  return null;
+}
+
+function extractYear(text) {
+  const found = findYear(text);
+  return found ? found.year : null;
+}
+
+// Uppercase without accents, for locating names inside descriptions
+function foldForSearch(text) {
+  return text.toUpperCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Position where a former name is introduced in the description. Names
+// like "LAZO, EL" are written "El Lazo" in the text.
+function findNameInDescription(haystack, name) {
+  const forms = [foldForSearch(name)];
+  const article = forms[0].match(/^(.+), (EL|LA|LOS|LAS|DEL|DE LA|DE LOS|DE LAS)$/);
+  if (article) forms.push(`${article[2]} ${article[1]}`);
+
+  for (const form of forms) {
+    const escaped = form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const atSentenceStart = new RegExp(`(^|[.)]\\s+)${escaped}\\.`).exec(haystack);
+    if (atSentenceStart) return atSentenceStart.index + atSentenceStart[1].length;
+  }
+  for (const form of forms) {
+    const index = haystack.indexOf(form);
+    if (index !== -1) return index;
+  }
+  return -1;
+}
+
+// Work out when a street got its current name and each of its former names.
+// The description cites, after each former name, either the act that imposed
+// it (ordinance, decree...) or a plan or index where it appears. A plan only
+// shows the name was in use by then, so it can't date a name that outlived
+// its replacement.
+function buildNameTimeline(street) {
+  if (timelineCache.has(street.current_name)) {
+    return timelineCache.get(street.current_name);
+  }
+
+  const description = street.description || '';
+  const haystack = foldForSearch(description);
+  const formerNames = (street.former_names || []).map(name => name.name);
+
+  const positions = formerNames.map(name => findNameInDescription(haystack, name));
+  const found = positions.filter(index => index !== -1);
+  const firstFormer = found.length > 0 ? Math.min(...found) : description.length;
+
+  const current = {
+    name: street.current_name,
+    year: (street.legal && street.legal.year) ||
+      extractYear(description.slice(0, firstFormer)) ||
+      extractYear(street.legal_basis)
+  };
+
+  const former = formerNames.map((name, i) => {
+    const order = street.former_names[i].order || null;
+    if (positions[i] === -1) return { name, order, year: null, byAct: false };
+    const next = found.filter(index => index > positions[i]);
+    const segment = description.slice(positions[i], next.length > 0 ? Math.min(...next) : undefined);
+    const cited = findYear(segment);
+    if (!cited) return { name, order, year: null, byAct: false };
+    const byAct = /Ordenanza|Decreto|Disposici|Sesi[oó]n|Resoluci|Orden |Ley |Acuerdo/i
+      .test(segment.slice(0, cited.index));
+    return { name, order, year: cited.year, byAct };
+  });
+
+  former.forEach((f, i) => {
+    // Seen on a plan after the current name was given: start date unknown
+    if (!f.byAct && current.year && f.year > current.year) f.year = null;
+    // Numbered names are in chronological order; a plan date after the next
+    // name's date can't be when this one started
+    const next = former[i + 1];
+    if (f.order && next && next.order && !f.byAct && next.year && f.year > next.year) f.year = null;
+  });
+
+  const timeline = { current, former, noPreviousName: !!street.no_previous_name };
+  timelineCache.set(street.current_name, timeline);
+  return timeline;
+}
+
+// Name a street had in a given year. Status is 'current', 'former',
+// 'unnamed' (before any recorded name) or 'uncertain' (undated history).
+function getNameInYear(street, year) {
+  const { current, former } = buildNameTimeline(street);
+
+  if (!current.year) return { name: null, status: 'uncertain' };
+
+  if (year >= current.year) {
+    // A former name imposed after the current one: the street got its
+    // current name back at some undated point
+    const reimposed = former.some(f => f.byAct && f.year > current.year && f.year <= year);
+    return reimposed ? { name: null, status: 'uncertain' } : { name: current.name, status: 'current' };
+  }
+
+  if (former.some(f => !f.year)) return { name: null, status: 'uncertain' };
+
+  const candidates = former.filter(f => f.year <= year);
+  if (candidates.length === 0) return { name: null, status: 'unnamed' };
+
+  const latest = candidates.reduce((best, f) => (f.year >= best.year ? f : best));
+  return { name: latest.name, status: 'former' };
+}
+
+const TIMELINE_COLORS = {
+  current: CONFIG.COLORS.YEAR_CURRENT,
+  former: CONFIG.COLORS.YEAR_FORMER,
+  unnamed: CONFIG.COLORS.YEAR_UNNAMED,
+  uncertain: CONFIG.COLORS.YEAR_UNCERTAIN
+};
+
+// Year the current name was given, from the parsed legal citation
+function getNamingYear(street) {
+  return street.legal && street.legal.status !== 'failed' ? street.legal.year || null : null;
+}
+
+function getHonoreeCategory(street) {
+  if (!categoryCache.has(street.current_name)) {
+    categoryCache.set(street.current_name, classifyStreet(street, historicalByName));
+  }
+  return categoryCache.get(street.current_name);
+}
+
+// "Antes de 1890", "1890–1909", ..., "1990 en adelante"
+function getNamingYearBins() {
+  const breaks = CONFIG.NAMING_YEAR_BREAKS;
+  return CONFIG.COLORS.DECADES.map((color, i) => {
+    if (i === 0) return { color, label: `Antes de ${breaks[0]}` };
+    if (i === breaks.length) return { color, label: `${breaks[i - 1]} en adelante` };
+    return { color, label: `${breaks[i - 1]}–${breaks[i] - 1}` };
+  });
+}
+
+const RENAMED_BINS = [
+  { max: 0, label: 'Sin nombres anteriores' },
+  { max: 1, label: '1 nombre anterior' },
+  { max: 2, label: '2 nombres anteriores' },
+  { max: 4, label: '3 o 4 nombres anteriores' },
+  { max: Infinity, label: '5 o más nombres anteriores' }
+];
+
+// Color modes of the street layer. Each colors the streets with a history
+// and lists its colors for the legend; streets without one are drawn in
+// CONFIG.COLORS.DEFAULT in the history mode and in NO_DATA in the others.
+const COLOR_MODES = {
+  history: {
+    label: 'Información histórica',
+    legend: [{ color: CONFIG.COLORS.WITH_HISTORY, label: 'Con información histórica' }],
+    getColor: () => CONFIG.COLORS.WITH_HISTORY
+  },
+  decade: {
+    label: 'Década del nombre actual',
+    legend: [...getNamingYearBins(), { color: CONFIG.COLORS.NO_DATA, label: 'Sin fecha' }],
+    getColor: street => {
+      const year = getNamingYear(street);
+      if (!year) return CONFIG.COLORS.NO_DATA;
+      const bin = CONFIG.NAMING_YEAR_BREAKS.filter(start => year >= start).length;
+      return CONFIG.COLORS.DECADES[bin];
+    }
+  },
+  renamed: {
+    label: 'Cantidad de nombres anteriores',
+    legend: RENAMED_BINS.map((bin, i) => ({ color: CONFIG.COLORS.RENAMED[i], label: bin.label })),
+    getColor: street => {
+      const count = (street.former_names || []).length;
+      return CONFIG.COLORS.RENAMED[RENAMED_BINS.findIndex(bin => count <= bin.max)];
+    }
+  },
+  category: {
+    label: 'Tipo de homenaje',
+    legend: Object.entries(HONOREE_CATEGORIES).map(([key, label]) => ({ color: CONFIG.COLORS.CATEGORIES[key], label })),
+    getColor: street => CONFIG.COLORS.CATEGORIES[getHonoreeCategory(street)]
+  },
+  wikipedia: {
+    label: 'Artículo en Wikipedia',
+    legend: [
+      { color: CONFIG.COLORS.WITH_WIKIPEDIA, label: 'Con artículo en Wikipedia' },
+      { color: CONFIG.COLORS.WITHOUT_WIKIPEDIA, label: 'Sin artículo' }
+    ],
+    getColor: street => (street.wikipedia ? CONFIG.COLORS.WITH_WIKIPEDIA : CONFIG.COLORS.WITHOUT_WIKIPEDIA)
+  }
+};
+
+// Tooltip text for a street, relabeled when the time slider is on
+function getStreetTooltip(streetName) {
+  const street = getStreetHistory(streetName);
+
+  if (timelineYear === null) {
+    return street ? streetName : `${streetName} (sin información histórica)`;
+  }
+  if (!street) {
+    return `${streetName} (sin información histórica)`;
+  }
+
+  const { name, status } = getNameInYear(street, timelineYear);
+  switch (status) {
+    case 'current':
+      return `${streetName} (en ${timelineYear})`;
+    case 'former':
+      return `${name} en ${timelineYear} (hoy ${streetName})`;
+    case 'unnamed':
+      return `${streetName}: sin nombre registrado en ${timelineYear}`;
+    default:
+      return `${streetName}: nombre en ${timelineYear} incierto (historia sin fechar)`;
+  }
+}
+
+// Base (non-highlighted) style for a street
+function getStreetStyle(streetName) {
+  const street = getStreetHistory(streetName);
+
+  if (timelineYear !== null) {
+    if (!street) {
+      return { color: CONFIG.COLORS.DEFAULT, weight: 2, opacity: 0.3, dashArray: null };
+    }
+    const { status } = getNameInYear(street, timelineYear);
+    return {
+      color: TIMELINE_COLORS[status],
+      weight: 3,
+      opacity: status === 'unnamed' ? 0.4 : 0.8,
+      dashArray: status === 'uncertain' ? '4 6' : null
+    };
+  }
+
+  if (!street) {
+    const isHistoryMode = colorMode === 'history';
+    return {
+      color: isHistoryMode ? CONFIG.COLORS.DEFAULT : CONFIG.COLORS.NO_DATA,
+      weight: 2,
+      opacity: isHistoryMode ? 0.7 : 0.4,
+      dashArray: null
+    };
+  }
+  return { color: COLOR_MODES[colorMode].getColor(street), weight: 3, opacity: 0.7, dashArray: null };
+}
+
+// Restyle and relabel every street for the current color mode and timeline state
+function applyStreetStyles() {
+  Object.keys(streetLayers).forEach(name => {
+    const highlighted = highlightedStreetNames.includes(name);
+    const style = getStreetStyle(name);
+    const tooltip = getStreetTooltip(name);
+    streetLayers[name].forEach(layer => {
+      if (!highlighted) layer.setStyle(style);
+      layer.setTooltipContent(tooltip);
+    });
+  });
+}
+
+// Year slider control
+function initTimeline() {
+  const TimelineControl = L.Control.extend({
+    options: { position: 'bottomleft' },
+    onAdd: function() {
+      const container = L.DomUtil.create('div', 'leaflet-control timeline-control');
+      container.innerHTML = `
+        <label class="timeline-toggle">
+          <input type="checkbox" id="timeline-toggle"> Ver nombres por año
+        </label>
+        <div class="timeline-body hidden">
+          <div class="timeline-slider">
+            <input type="range" id="timeline-year" min="${CONFIG.TIMELINE.MIN_YEAR}" max="${CONFIG.TIMELINE.MAX_YEAR}" value="${CONFIG.TIMELINE.DEFAULT_YEAR}" aria-label="Año">
+            <output id="timeline-year-label" for="timeline-year">${CONFIG.TIMELINE.DEFAULT_YEAR}</output>
+          </div>
+          <ul class="timeline-legend">
+            <li><span style="background: ${CONFIG.COLORS.YEAR_CURRENT}"></span>Nombre actual</li>
+            <li><span style="background: ${CONFIG.COLORS.YEAR_FORMER}"></span>Nombre anterior</li>
+            <li><span style="background: ${CONFIG.COLORS.YEAR_UNNAMED}"></span>Sin nombre registrado</li>
+            <li><span class="dashed" style="border-color: ${CONFIG.COLORS.YEAR_UNCERTAIN}"></span>Incierto (sin fecha)</li>
+          </ul>
+        </div>
+      `;
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+      return container;
+    }
+  });
+
+  map.addControl(new TimelineControl());
+
+  const toggle = document.getElementById('timeline-toggle');
+  const slider = document.getElementById('timeline-year');
+  const label = document.getElementById('timeline-year-label');
+  const body = document.querySelector('.timeline-body');
+
+  const debouncedApply = debounce(applyStreetStyles, CONFIG.DEBOUNCE_MS);
+
+  toggle.addEventListener('change', () => {
+    timelineYear = toggle.checked ? Number(slider.value) : null;
+    body.classList.toggle('hidden', !toggle.checked);
+    updateColorModeControl();
+    applyStreetStyles();
+  });
+
+  slider.addEventListener('input', () => {
+    label.textContent = slider.value;
+    timelineYear = Number(slider.value);
+    debouncedApply();
+  });
+}
+
+// Legend items of a color mode, ending with the streets without history
+function createColorLegend(mode) {
+  const noHistoryColor = mode === 'history' ? CONFIG.COLORS.DEFAULT : CONFIG.COLORS.NO_DATA;
+  return [...COLOR_MODES[mode].legend, { color: noHistoryColor, label: 'Sin información histórica' }]
+    .map(item => `<li><span style="background: ${item.color}"></span>${escapeHtml(item.label)}</li>`)
+    .join('');
+}
+
+// Color mode switcher and legend
+function initColorModes() {
+  colorMode = getColorModeFromURL();
+
+  const ColorModeControl = L.Control.extend({
+    options: { position: 'bottomright' },
+    onAdd: function() {
+      const container = L.DomUtil.create('div', 'leaflet-control color-mode-control');
+      const options = Object.entries(COLOR_MODES).map(([key, mode]) =>
+        `<option value="${key}"${key === colorMode ? ' selected' : ''}>${mode.label}</option>`
+      ).join('');
+      container.innerHTML = `
+        <label for="color-mode">Colorear calles por</label>
+        <select id="color-mode">${options}</select>
+        <ul class="color-mode-legend">${createColorLegend(colorMode)}</ul>
+        <p class="color-mode-note hidden">Los colores siguen la línea de tiempo mientras está activa.</p>
+      `;
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+      return container;
+    }
+  });
+
+  map.addControl(new ColorModeControl());
+
+  const select = document.getElementById('color-mode');
+  select.addEventListener('change', () => {
+    colorMode = select.value;
+    document.querySelector('.color-mode-legend').innerHTML = createColorLegend(colorMode);
+    updateURLColorMode();
+    applyStreetStyles();
+  });
+}
+
+// The time slider colors streets by itself; the color mode is back when it is off
+function updateColorModeControl() {
+  const timelineOn = timelineYear !== null;
+  document.getElementById('color-mode').disabled = timelineOn;
+  document.querySelector('.color-mode-legend').classList.toggle('hidden', timelineOn);
+  document.querySelector('.color-mode-note').classList.toggle('hidden', !timelineOn);
+}
+
+function hasActiveFilters() {
+  return Object.values(streetFilters).some(value => value !== null && value !== false && value !== '');
+}
+
+// Whether the history of a street passes every active filter. Each filter
+// asks something of the history, so streets without one never pass.
+function checkStreetFilters(street) {
+  const { renamed, from, to, profession, wikipedia } = streetFilters;
+  if (!street) return false;
+  if (renamed !== null && (street.former_names || []).length < renamed) return false;
+  if (from !== null || to !== null) {
+    const year = getNamingYear(street);
+    if (!year || (from !== null && year < from) || (to !== null && year > to)) return false;
+  }
+  if (profession) {
+    const person = getHonoredPerson(street, historicalByName);
+    if (!person || !foldName(person.profession).includes(foldName(profession))) return false;
+  }
+  if (wikipedia && !street.wikipedia) return false;
+  return true;
+}
+
+function streetMatchesFilters(streetName) {
+  if (!hasActiveFilters()) return true;
+  if (!filterCache.has(streetName)) {
+    filterCache.set(streetName, checkStreetFilters(getStreetHistory(streetName)));
+  }
+  return filterCache.get(streetName);
+}
+
+function isStreetVisible(streetName) {
+  return highlightedStreetNames.includes(streetName) || streetMatchesFilters(streetName);
+}
+
+// Put a street's loaded segments on the map or take them off it
+function updateStreetVisibility(streetName) {
+  const visible = isStreetVisible(streetName);
+  (streetLayers[streetName] || []).forEach(layer => (visible ? map.addLayer(layer) : map.removeLayer(layer)));
+}
+
+function readFilterForm(form) {
+  const params = new URLSearchParams();
+  ['history', 'wikipedia'].forEach(key => {
+    if (form.elements[key].checked) params.set(key, '1');
+  });
+  ['renamed', 'from', 'to', 'profession'].forEach(key => params.set(key, form.elements[key].value));
+  return readFilters(params);
+}
+
+function updateFiltersSummary() {
+  const summary = document.getElementById('filters-summary');
+  const toggle = document.getElementById('filters-toggle');
+  const active = hasActiveFilters();
+  toggle.classList.toggle('active', active);
+  if (!active) {
+    summary.textContent = '';
+    return;
+  }
+  const count = allStreetNames.filter(streetMatchesFilters).length;
+  summary.textContent = count === 0
+    ? 'Ninguna calle coincide'
+    : `${count.toLocaleString('es-AR')} ${count === 1 ? 'calle coincide' : 'calles coinciden'}`;
+}
+
+// Show only the streets that pass the filters, on the map and in search
+function applyFilters() {
+  filterCache.clear();
+  Object.keys(streetLayers).forEach(updateStreetVisibility);
+  updateFiltersSummary();
+  updateURLFilters();
+
+  const results = document.getElementById('search-results');
+  const text = document.getElementById('search-input').value;
+  if (results.classList.contains('visible') && text.trim().length >= CONFIG.MIN_SEARCH_LENGTH) {
+    showSearchResults(text);
+  }
+}
+
+// Filter panel next to the search box, filled from the URL
+function initFilters() {
+  const form = document.getElementById('filters-panel');
+  const toggle = document.getElementById('filters-toggle');
+
+  streetFilters = getFiltersFromURL();
+  form.elements.history.checked = streetFilters.history;
+  form.elements.wikipedia.checked = streetFilters.wikipedia;
+  ['renamed', 'from', 'to'].forEach(key => {
+    form.elements[key].value = streetFilters[key] === null ? '' : streetFilters[key];
+  });
+  form.elements.profession.value = streetFilters.profession;
+  updateFiltersSummary();
+
+  toggle.addEventListener('click', () => {
+    const open = form.classList.toggle('hidden') === false;
+    toggle.setAttribute('aria-expanded', String(open));
+  });
+
+  form.addEventListener('input', debounce(() => {
+    streetFilters = readFilterForm(form);
+    applyFilters();
+  }, CONFIG.DEBOUNCE_MS));
+
+  form.addEventListener('submit', e => e.preventDefault());
+
+  // The reset event comes before the fields are cleared
+  form.addEventListener('reset', () => {
+    streetFilters = readFilters(new URLSearchParams());
+    applyFilters();
+  });
+}
+
+// Timeline section for the info panel
+function createTimelineSection(street) {
+  const { current, former } = buildNameTimeline(street);
+  if (former.length === 0) return '';
+
+  const entries = [...former.map(f => ({ ...f, isCurrent: false })), { ...current, isCurrent: true }];
+  const dated = entries.filter(e => e.year).sort((a, b) => a.year - b.year);
+  const undated = entries.filter(e => !e.year);
+
+  const items = [...dated, ...undated].map(e => `
+    <li class="${e.year ? '' : 'undated'}">
+      <span class="timeline-year">${e.year || 's/f'}</span>
+      ${escapeHtml(e.name)}${e.isCurrent ? ' <em>(nombre actual)</em>' : ''}
+    </li>
+  `).join('');
+
+  return `<div class="section">
+    <div class="section-title">Cronología</div>
+    <ul class="name-timeline">${items}</ul>
+    ${undated.length > 0 ? '<p class="timeline-note">s/f: sin fecha en la fuente</p>' : ''}
+  </div>`;
+}
+
+const HIGHLIGHT_STYLE = { color: CONFIG.COLORS.HIGHLIGHT, weight: 5, dashArray: null };
+
+// Style for a street segment, including the highlight
+function getCurrentStreetStyle(streetName) {
+  const style = getStreetStyle(streetName);
+  return highlightedStreetNames.includes(streetName) ? { ...style, ...HIGHLIGHT_STYLE } : style;
+}
+
+// Restore the base style of the highlighted streets, hiding them again if
+// the filters leave them out
+function clearHighlightedStreet() {
+  const streetNames = highlightedStreetNames;
+  highlightedStreetNames = [];
+  streetNames.forEach(name => {
+    const style = getStreetStyle(name);
+    (streetLayers[name] || []).forEach(layer => layer.setStyle(style));
+    updateStreetVisibility(name);
+  });
+}
+
+// Highlight one or more streets and return the bounds of all their segments.
+// Segments in cells that load later are highlighted as they arrive.
+function highlightStreets(streetNames) {
+  clearSegment();
+  clearHighlightedStreet();
+
+  const bounds = L.latLngBounds();
+  streetNames.forEach(name => {
+    const streetBounds = getStreetBounds(name);
+    if (!streetBounds) return;
+    bounds.extend(streetBounds);
+    (streetLayers[name] || []).forEach(layer => layer.setStyle(HIGHLIGHT_STYLE));
+    highlightedStreetNames.push(name);
+    updateStreetVisibility(name); // Selected streets show even if filtered out
+  });
+
+  return bounds;
+}
+
+// Button that shows the stretch a former name covered
+function createSegmentLink(street, streetName, formerName) {
+  const { from, to } = formerName.segment;
+  return `<button type="button" class="segment-link" aria-pressed="false"
+    data-street="${escapeHtml(street.current_name)}" data-osm-name="${escapeHtml(streetName || '')}"
+    data-former-name="${escapeHtml(formerName.name)}" data-from="${escapeHtml(from)}" data-to="${escapeHtml(to)}">
+    Tramo entre ${escapeHtml(from)} y ${escapeHtml(to)}</button>`;
+}
+
+// Stretches placed by scripts/build_street_segments.js; none when the file
+// is missing, since it needs the OSM geometry to build
+function loadStreetSegments() {
+  if (!streetSegments) {
+    streetSegments = fetch(CONFIG.STREET_SEGMENTS_PATH)
+      .then(response => (response.ok ? response.json() : { segments: {} }))
+      .then(({ segments }) => segments)
+      .catch(error => {
+        console.log('Street segments not available:', error.message);
+        return {};
+      });
+  }
+  return streetSegments;
+}
+
+function clearSegment() {
+  if (segmentLayer) {
+    map.removeLayer(segmentLayer);
+    segmentLayer = null;
+  }
+  document.querySelectorAll('.segment-link[aria-pressed="true"]').forEach(button => {
+    button.setAttribute('aria-pressed', 'false');
+  });
+}
+
+// Highlight only the stretch a former name covered instead of the whole
+// street; clicking again highlights the whole street
+async function toggleSegment(button) {
+  const { street, osmName, formerName, from, to } = button.dataset;
+  const wasShown = button.getAttribute('aria-pressed') === 'true';
+  clearSegment();
+  if (wasShown) {
+    if (osmName) highlightStreets([osmName]);
+    return;
+  }
+
+  const segments = await loadStreetSegments();
+  if (!button.isConnected) return; // The panel changed while loading
+  const stretch = (segments[street] || [])
+    .find(segment => segment.name === formerName && segment.from === from && segment.to === to);
+  if (!stretch) {
+    if (!button.nextElementSibling || !button.nextElementSibling.classList.contains('segment-note')) {
+      button.insertAdjacentHTML('afterend', '<p class="segment-note">No se pudo ubicar este tramo en el mapa.</p>');
+    }
+    return;
+  }
+
+  clearHighlightedStreet();
+  segmentLayer = L.geoJSON(
+    { type: 'Feature', properties: {}, geometry: { type: 'MultiLineString', coordinates: stretch.coordinates } },
+    { style: HIGHLIGHT_STYLE, interactive: false }
+  ).addTo(map);
+  button.setAttribute('aria-pressed', 'true');
+  map.fitBounds(segmentLayer.getBounds(), { padding: CONFIG.MAP_PADDING, maxZoom: CONFIG.MAP_MAX_ZOOM });
+}
+
+// Close the info panel
+
+function closePanel({ shouldUpdateUrl = true } = {}) {
+  document.getElementById('info-panel').classList.add('hidden');
+  clearSegment();
+  clearNearby();
+  stopTour();
+  clearHighlightedStreet();
+  if (shouldUpdateUrl) {
+    clearURLStreet();
+  }
+}
+
+function hideLoading() {
+  document.getElementById('loading').classList.add('hidden');
+}
+
+// Search functionality
+function initSearch() {
+  const input = document.getElementById('search-input');
+  const results = document.getElementById('search-results');
+
+  // Debounced search handler
+  const debouncedSearch = debounce((text) => {
+    if (text.trim().length < CONFIG.MIN_SEARCH_LENGTH) {
+      results.classList.remove('visible');
+      return;
+    }
+    showSearchResults(text);
+  }, CONFIG.DEBOUNCE_MS);
+
+  input.addEventListener('input', (e) => {
+    searchSelectedIndex = -1;
+    debouncedSearch(e.target.value);
+  });
+
+  input.addEventListener('focus', () => {
+    if (input.value.trim().length >= CONFIG.MIN_SEARCH_LENGTH) {
+      results.classList.add('visible');
+    }
+  });
+
+  // Keyboard navigation for search results
+  input.addEventListener('keydown', (e) => {
+    const items = results.querySelectorAll('.search-result-item[data-street]');
+    if (items.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      searchSelectedIndex = Math.min(searchSelectedIndex + 1, items.length - 1);
+      updateSearchSelection(items);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      searchSelectedIndex = Math.max(searchSelectedIndex - 1, -1);
+      updateSearchSelection(items);
+    } else if (e.key === 'Enter' && searchSelectedIndex >= 0) {
+      e.preventDefault();
+      const item = items[searchSelectedIndex];
+      const streetName = item.dataset.street;
+      selectStreet(streetName, true, getFormerNameFromItem(item));
+      results.classList.remove('visible');
+      input.value = streetName;
+      searchSelectedIndex = -1;
+    }
+  });
+
+  // Event delegation for search results (fixes memory leak)
+  results.addEventListener('click', (e) => {
+    const item = e.target.closest('.search-result-item[data-street]');
+    if (item) {
+      const streetName = item.dataset.street;
+      selectStreet(streetName, true, getFormerNameFromItem(item));
+      results.classList.remove('visible');
+      input.value = streetName;
+    }
+  });
+
+  // Hide results when clicking outside
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('#search-container')) {
+      results.classList.remove('visible');
+      searchSelectedIndex = -1;
+    }
+  });
+}
+
+// Update visual selection in search results
+function updateSearchSelection(items) {
+  items.forEach((item, index) => {
+    if (index === searchSelectedIndex) {
+      item.classList.add('selected');
+      item.setAttribute('aria-selected', 'true');
+      item.scrollIntoView({ block: 'nearest' });
+    } else {
+      item.classList.remove('selected');
+      item.setAttribute('aria-selected', 'false');
+    }
+  });
+}
+
+// Get the historical_names entry a search result item points to, if any
+function getFormerNameFromItem(item) {
+  const index = item.dataset.formerIndex;
+  return index !== undefined ? historicalNames[Number(index)] : null;
+}
+
+// Find former names matching the query, resolved to their current OSM
+// street. With filters on, only names of streets that pass them count.
+function findFormerNameMatches(query) {
+  const filtering = hasActiveFilters();
+  const limit = filtering ? Infinity : CONFIG.MAX_FORMER_NAME_RESULTS;
+  return rankSearchEntries(historicalNames.map(entry => entry.search), query, limit)
+    .map(({ entry: { index }, highlights }) => {
+      const entry = historicalNames[index];
+      return { entry, index, osmName: findOsmStreetName(entry.became), highlights };
+    })
+    .filter(match => !filtering || (match.osmName && streetMatchesFilters(match.osmName)))
+    .slice(0, CONFIG.MAX_FORMER_NAME_RESULTS);
+}
+
+function renderFormerNameResult({ entry, index, osmName, highlights }) {
+  const became = entry.became
+    ? `→ hoy ${escapeHtml(entry.became)}`
+    : '→ calle desaparecida';
+  const attrs = osmName
+    ? `data-street="${escapeHtml(osmName)}" data-former-index="${index}" role="option" aria-selected="false"`
+    : 'role="option" aria-disabled="true"';
+  return `
+    <div class="search-result-item former-name-result" ${attrs}>
+      <span class="street-name">${highlightMatches(entry.old_name, highlights)}</span>
+      <span class="became">${became}</span>
+    </div>
+  `;
+}
+
+// Ranked search. Tiers, best first: the whole name, the start of the name,
+// every query word starting a word of the name (any order), the query
+// anywhere in the name, and every query word within a few typos of a word.
+const SEARCH_TIERS = { EXACT: 5, PREFIX: 4, WORDS: 3, SUBSTRING: 2, TYPOS: 1 };
+const WORD_MATCH_RANK = { word: 3, part: 2, typo: 1 };
+
+// Typos tolerated in a query word: none in short words
+function allowedTypos(length) {
+  if (length <= 3) return 0;
+  return length <= 6 ? 1 : 2;
+}
+
+// A name prepared for search: normalized form plus its folded words, with
+// their position in the name for highlighting
+function createSearchEntry(name, extra = {}) {
+  return {
+    name,
+    normalized: normalizeStreetName(name),
+    words: Array.from(name.matchAll(/[^\s,.()]+/g), match => ({
+      text: foldName(match[0]),
+      start: match.index,
+      length: match[0].length
+    })),
+    ...extra
+  };
+}
+
+function parseSearchQuery(query) {
+  return {
+    normalized: normalizeStreetName(query),
+    tokens: foldName(query).split(' ').filter(Boolean)
+  };
+}
+
+// Best match of one query word among a name's words, with the range to highlight
+function matchSearchWord(token, words) {
+  let best = null;
+  words.forEach(word => {
+    let match = null;
+    if (word.text.startsWith(token)) {
+      match = { kind: 'word', typos: 0, start: word.start, length: token.length };
+    } else if (word.text.includes(token)) {
+      match = { kind: 'part', typos: 0, start: word.start + word.text.indexOf(token), length: token.length };
+    } else {
+      const max = allowedTypos(token.length);
+      // Compare with the whole word and with its start, for words still being typed
+      const typos = max === 0 ? 1 : Math.min(
+        editDistance(token, word.text, max),
+        editDistance(token, word.text.slice(0, token.length), max)
+      );
+      if (typos <= max) match = { kind: 'typo', typos, start: word.start, length: word.length };
+    }
+    if (match && (!best || WORD_MATCH_RANK[match.kind] > WORD_MATCH_RANK[best.kind] ||
+        (match.kind === best.kind && match.typos < best.typos))) {
+      best = match;
+    }
+  });
+  return best;
+}
+
+// Tier, typo count and highlight ranges of a search entry, or null
+function scoreSearchEntry(entry, query) {
+  const matches = query.tokens.map(token => matchSearchWord(token, entry.words));
+  const normalized = query.normalized;
+
+  let tier = null;
+  if (normalized && entry.normalized === normalized) tier = SEARCH_TIERS.EXACT;
+  else if (normalized && entry.normalized.startsWith(normalized)) tier = SEARCH_TIERS.PREFIX;
+  else if (matches.length > 0 && matches.every(match => match && match.kind === 'word')) tier = SEARCH_TIERS.WORDS;
+  else if (normalized && entry.normalized.includes(normalized)) tier = SEARCH_TIERS.SUBSTRING;
+  else if (matches.length > 0 && matches.every(Boolean)) tier = SEARCH_TIERS.TYPOS;
+  if (!tier) return null;
+
+  return {
+    tier,
+    typos: matches.reduce((sum, match) => sum + (match ? match.typos : 0), 0),
+    highlights: matches.filter(Boolean)
+  };
+}
+
+// Best matching entries: by tier, then fewer typos, then streets with
+// history, then shorter and alphabetical
+function rankSearchEntries(entries, query, limit) {
+  const results = [];
+  entries.forEach(entry => {
+    const score = scoreSearchEntry(entry, query);
+    if (score) results.push({ entry, ...score });
+  });
+
+  return results.sort((a, b) =>
+    b.tier - a.tier ||
+    a.typos - b.typos ||
+    Number(!!b.entry.hasHistory) - Number(!!a.entry.hasHistory) ||
+    a.entry.name.length - b.entry.name.length ||
+    a.entry.name.localeCompare(b.entry.name, 'es')
+  ).slice(0, limit);
+}
+
+// Escaped name with the matched ranges wrapped in <mark>
+function highlightMatches(name, highlights = []) {
+  const marked = new Array(name.length).fill(false);
+  highlights.forEach(({ start, length }) => {
+    for (let i = start; i < start + length && i < name.length; i++) marked[i] = true;
+  });
+
+  let html = '';
+  let i = 0;
+  while (i < name.length) {
+    let j = i;
+    while (j < name.length && marked[j] === marked[i]) j++;
+    const text = escapeHtml(name.slice(i, j));
+    html += marked[i] ? `<mark>${text}</mark>` : text;
+    i = j;
+  }
+  return html;
+}
+
+// Full-text index built by scripts/build_search_index.js; search works on
+// names alone while it loads, or when it is missing or stale
+function loadFullTextIndex() {
+  if (!fullTextIndexLoading) {
+    fullTextIndexLoading = fetch(CONFIG.SEARCH_INDEX_PATH)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(index => {
+        if (!isSearchIndexFor(index, bookData)) throw new Error('built from other data');
+        fullTextIndex = index;
+      })
+      .catch(error => console.log('Full-text search not available:', error.message));
+  }
+  return fullTextIndexLoading;
+}
+
+// What a full-text passage is: the street's history, a former name's,
+// what the book says about a name, or Wikipedia
+function getPassageLabel([field, i, j]) {
+  if (field === 'd') return 'Historia';
+  if (field === 'f') return `Nombre anterior: ${bookData.streets[i].former_names[j].name}`;
+  if (field === 'w') return 'Wikipedia';
+  return bookData.historical_names[i].old_name;
+}
+
+// Streets whose descriptions match the query, each with its best passage.
+// With filters on, only streets that pass them count.
+function renderTextResults(query) {
+  const filtering = hasActiveFilters();
+  const matches = searchText(fullTextIndex, bookData, query)
+    .map(result => ({ ...result, osmName: findOsmStreetName(result.name) }))
+    .filter(match => !filtering || (match.osmName && streetMatchesFilters(match.osmName)))
+    .slice(0, CONFIG.MAX_TEXT_RESULTS);
+  if (matches.length === 0) return '';
+
+  return '<div class="search-result-heading" role="presentation">En los textos</div>' +
+    matches.map(({ name, osmName, passages: [passage, ...others] }) => {
+      const attrs = osmName
+        ? `data-street="${escapeHtml(osmName)}" role="option" aria-selected="false"`
+        : 'role="option" aria-disabled="true"';
+      const more = others.length > 0 ? ` · ${others.length + 1} pasajes` : '';
+      return `
+        <div class="search-result-item text-result" ${attrs}>
+          <span class="street-name">${escapeHtml(name)}</span>
+          <span class="became">${escapeHtml(getPassageLabel(passage.doc))}${more}</span>
+          <span class="snippet">${highlightMatches(passage.snippet.text, passage.snippet.highlights)}</span>
+        </div>
+      `;
+    }).join('');
+}
+
+// `text` is the input as typed. The text search gets it untrimmed: a
+// trailing space tells it the last word is complete, not a prefix.
+function showSearchResults(text) {
+  const results = document.getElementById('search-results');
+  const query = text.trim();
+  const parsedQuery = parseSearchQuery(query);
+
+  // Streets that pass the filters, ranked by how well they match the query
+  const entries = searchEntries.filter(entry => streetMatchesFilters(entry.name));
+  const matches = rankSearchEntries(entries, parsedQuery, CONFIG.MAX_SEARCH_RESULTS);
+
+  // Former names (e.g. "Laprida segunda" -> Agüero)
+  const formerMatches = findFormerNameMatches(parsedQuery);
+
+  searchSelectedIndex = -1;
+
+  if (matches.length === 0 && formerMatches.length === 0) {
+    const message = hasActiveFilters() ? 'No se encontraron calles con estos filtros' : 'No se encontraron calles';
+    results.innerHTML = `<div class="search-result-item" role="option">${message}</div>`;
+  } else {
+    results.innerHTML = matches.map(({ entry, highlights }, index) => `
+        <div class="search-result-item" data-street="${escapeHtml(entry.name)}" role="option" aria-selected="false" id="search-option-${index}">
+          <span class="street-name">${highlightMatches(entry.name, highlights)}</span>
+          ${entry.hasHistory ? '<span class="has-history">con historia</span>' : ''}
+        </div>
+      `).join('');
+
+    if (formerMatches.length > 0) {
+      results.innerHTML += '<div class="search-result-heading" role="presentation">Nombres anteriores</div>';
+      results.innerHTML += formerMatches.map(renderFormerNameResult).join('');
+    }
+  }
+
+  // Passages of the descriptions, once the index is in
+  if (query.length >= CONFIG.MIN_TEXT_SEARCH_LENGTH) {
+    if (fullTextIndex) {
+      const textResults = renderTextResults(text);
+      if (textResults && matches.length === 0 && formerMatches.length === 0) {
+        results.innerHTML = textResults;
+      } else {
+        results.innerHTML += textResults;
+      }
+    } else {
+      loadFullTextIndex().then(() => {
+        if (fullTextIndex && document.getElementById('search-input').value === text) {
+          showSearchResults(text);
+        }
+      });
+    }
+  }
+
+  results.classList.add('visible');
+}
+
+function selectStreet(streetName, shouldUpdateURL = true, formerName = null) {
+  // Highlight selected street
+  if (getStreetBounds(streetName)) {
+    const bounds = highlightStreets([streetName]);
+
+    // Update URL for sharing
+    if (shouldUpdateURL) {
       updateURL(streetName);
     }
 
@@ -662,10 +2493,9 @@ function selectStreet(streetName, shouldUpdateURL = true) {
     map.fitBounds(bounds, { padding: CONFIG.MAP_PADDING, maxZoom: CONFIG.MAP_MAX_ZOOM });
 
     // Show info (with or without history)
-    const normalizedName = normalizeStreetName(streetName);
-    const historyData = streetData[normalizedName];
+    const historyData = getStreetHistory(streetName);
     if (historyData) {
-      showStreetInfo(historyData, streetName);
+      showStreetInfo(historyData, streetName, formerName);
     } else {
       showNoHistoryMessage(streetName);
     }
@@ -675,6 +2505,105 @@ function selectStreet(streetName, shouldUpdateURL = true) {
 // Event listeners
 document.getElementById('close-panel').addEventListener('click', closePanel);
 
+// Person links, former-name stretches, nearby streets, the tour and collections inside the info panel
+document.getElementById('street-history').addEventListener('click', (e) => {
+  const segmentLink = e.target.closest('.segment-link');
+  if (segmentLink) {
+    toggleSegment(segmentLink);
+    return;
+  }
+  const nearbyStreet = e.target.closest('.nearby-street');
+  if (nearbyStreet) {
+    selectStreet(nearbyStreet.dataset.street);
+    return;
+  }
+  const intersection = e.target.closest('.nearby-intersection');
+  if (intersection) {
+    showIntersection(intersection.dataset.first, intersection.dataset.second);
+    return;
+  }
+  if (e.target.closest('.back-to-nearby')) {
+    showNearbyStreets(nearbyPoint);
+    return;
+  }
+  const tourMove = e.target.closest('.tour-move');
+  if (tourMove) {
+    const index = Number(tourMove.dataset.index);
+    const target = index + Number(tourMove.dataset.offset);
+    [tourStops[index], tourStops[target]] = [tourStops[target], tourStops[index]];
+    updateTour();
+    return;
+  }
+  const tourRemove = e.target.closest('.tour-remove');
+  if (tourRemove) {
+    tourStops.splice(Number(tourRemove.dataset.index), 1);
+    updateTour();
+    return;
+  }
+  const tourExport = e.target.closest('.tour-export');
+  if (tourExport) {
+    exportTour(tourExport.dataset.format);
+    return;
+  }
+  const tourShare = e.target.closest('.tour-share');
+  if (tourShare) {
+    shareTour(tourShare);
+    return;
+  }
+  if (e.target.closest('.tour-clear')) {
+    tourStops = [];
+    updateTour();
+    return;
+  }
+  const collectionStep = e.target.closest('.collection-step');
+  if (collectionStep) {
+    showCollectionStreet(collectionStep.dataset.collection, Number(collectionStep.dataset.position));
+    return;
+  }
+  const collectionItem = e.target.closest('.collection-item');
+  if (collectionItem) {
+    selectCollection(collectionItem.dataset.collection);
+    return;
+  }
+  if (e.target.closest('.back-to-collections')) {
+    showCollectionIndex();
+    return;
+  }
+  const collectionOpen = e.target.closest('.collection-open');
+  if (collectionOpen) {
+    selectStreet(collectionOpen.dataset.osmName);
+    return;
+  }
+  const personStreet = e.target.closest('.person-street[data-street-index]');
+  if (personStreet) {
+    selectPersonStreet(personStreet.dataset.person, Number(personStreet.dataset.streetIndex));
+    return;
+  }
+  const person = e.target.closest('.person-link, .person-item');
+  if (person) {
+    selectPerson(person.dataset.person);
+    return;
+  }
+  if (e.target.closest('.back-to-people')) {
+    showPersonIndex();
+  }
+});
+
+document.getElementById('people-link').addEventListener('click', (e) => {
+  e.preventDefault();
+  showPersonIndex();
+});
+
+document.getElementById('collections-link').addEventListener('click', (e) => {
+  e.preventDefault();
+  showCollectionIndex();
+});
+
+document.getElementById('tour-link').addEventListener('click', (e) => {
+  e.preventDefault();
+  startTour();
+});
+
 // Track element that opened modal for focus restoration
 let previouslyFocusedElement = null;
 
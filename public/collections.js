@@ -0,0 +1,81 @@
+/**
+ * Thematic collections of streets (data/collections.json). A curated
+ * collection lists its streets by current_name; a rule-based one takes
+ * every street that matches its rule:
+ *
+ *   { professions: ['poeta'] }                 the honored person is a poet
+ *   { keywords: ['batalla'], person: false }   the book describes the name
+ *                                              as a battle, not a person
+ *
+ * All the parts of a rule must match; `exclude` drops the streets a rule
+ * takes by mistake.
+ *
+ * In the browser it is loaded after honorees.js and its functions are
+ * globals; scripts and tests use require('../public/collections').
+ */
+
+const collectionUtils = typeof require === 'function'
+  ? { ...require('./names'), ...require('./honorees') }
+  : window;
+
+// Version of data/collections.json this code reads
+const COLLECTIONS_VERSION = 1;
+
+// The name and what the book says about it, folded like foldName
+function getNameText(street, historicalByName) {
+  return collectionUtils.foldName([
+    street.current_name,
+    ...collectionUtils.findNameEntries(street, historicalByName).map(entry => entry.description)
+  ].join(' '));
+}
+
+function matchesRule(street, rule, historicalByName) {
+  const person = collectionUtils.getHonoredPerson(street, historicalByName);
+  if (rule.person !== undefined && Boolean(person) !== rule.person) return false;
+  if (rule.professions) {
+    const professions = collectionUtils.getProfessions(person);
+    if (!rule.professions.some(profession => professions.includes(profession))) return false;
+  }
+  if (rule.keywords) {
+    const text = getNameText(street, historicalByName);
+    if (!rule.keywords.some(keyword => text.includes(collectionUtils.foldName(keyword)))) return false;
+  }
+  return true;
+}
+
+/**
+ * current_names of a collection's streets: the curated ones in their
+ * order, skipping names the data no longer has, or the ones its rule takes
+ * in the order of `streets`.
+ */
+function getCollectionStreets(collection, streets, historicalByName) {
+  const excluded = new Set(collection.exclude || []);
+  if (collection.streets) {
+    const names = new Set(streets.map(street => street.current_name));
+    return collection.streets.filter(name => names.has(name) && !excluded.has(name));
+  }
+  return streets
+    .filter(street => !excluded.has(street.current_name) && matchesRule(street, collection.rule, historicalByName))
+    .map(street => street.current_name);
+}
+
+// The collections of a data/collections.json file with their streets;
+// none when the file has a version this code does not read
+function resolveCollections(file, streets, historicalByName) {
+  if (!file || file.version !== COLLECTIONS_VERSION) return [];
+  return file.collections.map(collection => ({
+    id: collection.id,
+    title: collection.title,
+    intro: collection.intro,
+    curated: Boolean(collection.streets),
+    streets: getCollectionStreets(collection, streets, historicalByName)
+  }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COLLECTIONS_VERSION,
+    getCollectionStreets,
+    resolveCollections
+  };
+}
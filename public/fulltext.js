@@ -0,0 +1,247 @@
+/**
+ * Full-text search over what the book and Wikipedia say about the streets:
+ * each street's description, its former names' descriptions, the entries
+ * of historical_names (the meaning of a name, or the biography of the
+ * person it honors) and the Wikipedia summaries. Words are
+ * folded (no accents or case) and stemmed, so "Tucumán" finds "tucumano"
+ * and "naturalistas" finds "naturalista".
+ *
+ * scripts/build_search_index.js builds the index at build time, so the map
+ * only tokenizes the query and the few passages it shows:
+ *
+ *   { "version": 1, "streets": 2072, "historical_names": 2243,
+ *     "documents": [["d", 0], ["f", 0, 1], ["w", 3], ["h", 40, 12], ...],
+ *     "terms": { "tucuman": [5, 17, ...], ... } }
+ *
+ * A document is a passage of calles_buenos_aires_final.json: the
+ * description ("d"), a former name's description ("f") or the Wikipedia
+ * summary ("w") of streets[i], or the description ("h") of
+ * historical_names[i], with the index of the street it is about when there
+ * is one. Terms map to the documents that contain them.
+ *
+ * In the browser it is loaded after names.js and its functions are
+ * globals; scripts and tests use require('../public/fulltext').
+ */
+
+const fullTextUtils = typeof require === 'function' ? require('./names') : window;
+
+const SEARCH_INDEX_VERSION = 1;
+const SNIPPET_LENGTH = 160; // Characters of passage shown around a match
+const SNIPPET_CONTEXT = 40; // Characters shown before the first match
+const MIN_PREFIX_LENGTH = 3; // Letters of a word being typed before it is completed
+
+// Words too common to search for
+const STOPWORDS = new Set([
+  'a', 'al', 'como', 'con', 'de', 'del', 'e', 'el', 'en', 'es', 'la', 'las', 'lo', 'los', 'o', 'para', 'por',
+  'que', 'se', 'su', 'sus', 'u', 'un', 'una', 'y'
+]);
+
+/**
+ * Light Spanish stemming: drops the plural and the final vowel of gender,
+ * which is what most spelling differences in the book come down to
+ * ("calles" and "calle", "naturalistas" and "naturalista"). Words are
+ * folded first; numbers are kept as they are.
+ */
+function stemWord(word) {
+  let stem = fullTextUtils.foldName(word).toLowerCase();
+  if (/^\d+$/.test(stem)) return stem;
+  if (stem.length > 4 && stem.endsWith('s')) stem = stem.slice(0, -1);
+  if (stem.length > 4 && /[aeo]$/.test(stem)) stem = stem.slice(0, -1);
+  return stem;
+}
+
+// Words of a text with their stems and position, stopwords left out
+function tokenizeText(text) {
+  return Array.from((text || '').matchAll(/[\p{L}\p{N}]+/gu), match => ({
+    stem: stemWord(match[0]),
+    start: match.index,
+    length: match[0].length
+  })).filter(token => !STOPWORDS.has(token.stem));
+}
+
+// Text of a document of the index
+function getDocumentText(data, [field, i, j]) {
+  if (field === 'd') return data.streets[i].description;
+  if (field === 'f') return data.streets[i].former_names[j].description;
+  if (field === 'w') return data.streets[i].wikipedia.summary;
+  return data.historical_names[i].description;
+}
+
+// Index of the passages of calles_buenos_aires_final.json. A
+// historical_names entry is about the current street that still has its
+// name or, failing that, the one it became.
+function buildSearchIndex(data) {
+  const streetIndex = fullTextUtils.buildStreetIndex(data.streets);
+  const streetNumbers = new Map(data.streets.map((street, i) => [street, i]));
+  const documents = [];
+  data.streets.forEach((street, i) => {
+    if (street.description) documents.push(['d', i]);
+    (street.former_names || []).forEach((formerName, j) => {
+      if (formerName.description) documents.push(['f', i, j]);
+    });
+    if (street.wikipedia && street.wikipedia.summary) documents.push(['w', i]);
+  });
+  (data.historical_names || []).forEach((entry, i) => {
+    if (!entry.description) return;
+    const street = fullTextUtils.findStreetForOsmName(streetIndex, entry.old_name) ||
+      fullTextUtils.findStreetForOsmName(streetIndex, entry.became);
+    documents.push(street ? ['h', i, streetNumbers.get(street)] : ['h', i]);
+  });
+
+  const terms = new Map();
+  documents.forEach((doc, id) => {
+    new Set(tokenizeText(getDocumentText(data, doc)).map(token => token.stem)).forEach(stem => {
+      if (!terms.has(stem)) terms.set(stem, []);
+      terms.get(stem).push(id);
+    });
+  });
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    streets: data.streets.length,
+    historical_names: (data.historical_names || []).length,
+    documents,
+    terms: Object.fromEntries(Array.from(terms.keys()).sort().map(stem => [stem, terms.get(stem)]))
+  };
+}
+
+// Whether an index was built from this data; a stale one points at the
+// wrong passages
+function isSearchIndexFor(index, data) {
+  return Boolean(index) &&
+    index.version === SEARCH_INDEX_VERSION &&
+    index.streets === data.streets.length &&
+    index.historical_names === (data.historical_names || []).length;
+}
+
+// Terms of the index starting with a stem, from its sorted term list
+function findTermsWithPrefix(sortedTerms, prefix) {
+  let low = 0;
+  let high = sortedTerms.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sortedTerms[middle] < prefix) low = middle + 1;
+    else high = middle;
+  }
+  const found = [];
+  for (let i = low; i < sortedTerms.length && sortedTerms[i].startsWith(prefix); i++) found.push(sortedTerms[i]);
+  return found;
+}
+
+/**
+ * Passage of a text around its best match: the place where most of the
+ * query's words show up together. Returns { text, highlights, matched },
+ * with the highlight ranges within text and the number of query words in
+ * it, or null when none is there.
+ */
+function getSnippet(text, queryTerms, length = SNIPPET_LENGTH) {
+  const tokens = tokenizeText(text);
+  const hits = [];
+  tokens.forEach(token => {
+    const word = queryTerms.findIndex(terms => terms.has(token.stem));
+    if (word !== -1) hits.push({ ...token, word });
+  });
+  if (hits.length === 0) return null;
+
+  // Window with the most distinct query words, the earliest on ties
+  let best = null;
+  hits.forEach((hit, i) => {
+    const words = new Set();
+    for (let k = i; k < hits.length && hits[k].start + hits[k].length <= hit.start + length - SNIPPET_CONTEXT; k++) {
+      words.add(hits[k].word);
+    }
+    if (!best || words.size > best.matched) best = { hit, matched: words.size };
+  });
+
+  let start = Math.max(0, best.hit.start - SNIPPET_CONTEXT);
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) end = text.lastIndexOf(' ', end) > best.hit.start ? text.lastIndexOf(' ', end) : end;
+
+  const prefix = start > 0 ? '…' : '';
+  return {
+    text: `${prefix}${text.slice(start, end).trimEnd()}${end < text.length ? '…' : ''}`,
+    highlights: hits
+      .filter(hit => hit.start >= start && hit.start + hit.length <= end)
+      .map(hit => ({ start: hit.start - start + prefix.length, length: hit.length })),
+    matched: best.matched
+  };
+}
+
+/**
+ * Passages matching every word of a query, grouped by the street they are
+ * about; historical_names entries of no current street stand on their own.
+ * The last word also matches the words it starts, as it may still be being
+ * typed. Returns [{ name, passages: [{ doc, snippet }] }], named by
+ * current_name or old name: those with all the words close together
+ * first, then by number of passages, and each one's passages best first.
+ */
+function searchText(index, data, query, limit = Infinity) {
+  const isTyping = !/\s$/.test(query);
+  const tokens = tokenizeText(query);
+  // A last word of a letter or two is too short to complete
+  if (isTyping && tokens.length > 0 && tokens[tokens.length - 1].length < MIN_PREFIX_LENGTH) tokens.pop();
+  if (tokens.length === 0) return [];
+
+  if (!index.sortedTerms) index.sortedTerms = Object.keys(index.terms).sort();
+  const queryTerms = tokens.map((token, i) => new Set(
+    i === tokens.length - 1 && isTyping ? findTermsWithPrefix(index.sortedTerms, token.stem) : [token.stem]
+  ));
+
+  // Documents containing every query word
+  let matches = null;
+  queryTerms.forEach(terms => {
+    const docs = new Set();
+    terms.forEach(term => (index.terms[term] || []).forEach(id => docs.add(id)));
+    matches = matches ? new Set(Array.from(matches).filter(id => docs.has(id))) : docs;
+  });
+
+  const byName = new Map();
+  Array.from(matches).sort((a, b) => a - b).forEach(id => {
+    const doc = index.documents[id];
+    const [field, i, street] = doc;
+    const name = field !== 'h' ? data.streets[i].current_name
+      : street !== undefined ? data.streets[street].current_name
+        : data.historical_names[i].old_name;
+    if (!byName.has(name)) byName.set(name, { name, passages: [] });
+    byName.get(name).passages.push({ doc });
+  });
+
+  // Snippets tell how close together the words are; with a single word
+  // they are only needed for the results kept
+  const addSnippets = result => {
+    result.passages.forEach(passage => {
+      passage.snippet = getSnippet(getDocumentText(data, passage.doc), queryTerms);
+    });
+    result.passages = result.passages.filter(passage => passage.snippet)
+      .sort((a, b) => b.snippet.matched - a.snippet.matched);
+    result.closeness = result.passages.length > 0 ? result.passages[0].snippet.matched : 0;
+  };
+  let results = Array.from(byName.values());
+  if (queryTerms.length > 1) results.forEach(addSnippets);
+
+  results = results
+    .filter(result => result.closeness !== 0)
+    .sort((a, b) =>
+      (b.closeness || 0) - (a.closeness || 0) ||
+      b.passages.length - a.passages.length ||
+      a.name.localeCompare(b.name, 'es'))
+    .slice(0, limit);
+  if (queryTerms.length === 1) results.forEach(addSnippets);
+
+  return results
+    .filter(result => result.passages.length > 0)
+    .map(({ name, passages }) => ({ name, passages }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SEARCH_INDEX_VERSION,
+    stemWord,
+    tokenizeText,
+    buildSearchIndex,
+    isSearchIndexFor,
+    getSnippet,
+    searchText
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * What current street names honor: a military man, a writer, a scientist,
+ * another person, a place, a date or event, something from nature. Shared
+ * by the map (its "category" color mode) and the statistics page, so both
+ * count the same streets.
+ *
+ * In the browser it is loaded after names.js and its functions are globals;
+ * scripts and tests use require('../public/honorees').
+ */
+
+const nameUtils = typeof require === 'function' ? require('./names') : window;
+
+const HONOREE_CATEGORIES = {
+  military: 'Militares',
+  writer: 'Escritores y periodistas',
+  scientist: 'Científicos y médicos',
+  person: 'Otras personas',
+  place: 'Lugares',
+  event: 'Fechas y hechos',
+  nature: 'Naturaleza',
+  other: 'Sin clasificar'
+};
+
+const MONTHS = /\b(ENERO|FEBRERO|MARZO|ABRIL|MAYO|JUNIO|JULIO|AGOSTO|SEPTIEMBRE|SETIEMBRE|OCTUBRE|NOVIEMBRE|DICIEMBRE)\b/;
+
+// Words of the book's explanation of a name ("ciudad capital de Grecia.")
+// that tell what kind of thing it is, folded like foldName
+const ETYMOLOGY_WORDS = {
+  place: ['CIUDAD', 'PAIS', 'PROVINCIA', 'REGION', 'REPUBLICA', 'RIO', 'CORDILLERA', 'CUMBRE', 'SIERRA', 'MONTE',
+    'CERRO', 'VOLCAN', 'LAGO', 'LAGUNA', 'ISLA', 'BAHIA', 'ARROYO', 'PASO', 'PARTIDO', 'PUEBLO', 'LOCALIDAD',
+    'DEPARTAMENTO', 'CAPITAL', 'TERRITORIO', 'PENINSULA', 'ESTRECHO', 'BARRIO', 'PARAJE'],
+  event: ['COMBATE', 'BATALLA', 'REVOLUCION', 'FECHA', 'TRATADO', 'EXPEDICION', 'FUNDACION', 'ANIVERSARIO', 'ACCION'],
+  nature: ['ARBOL', 'ARBUSTO', 'PLANTA', 'FLOR', 'HIERBA', 'FRUTO', 'AVE', 'PAJARO', 'PEZ', 'MAMIFERO', 'INSECTO',
+    'ESPECIE', 'MINERAL', 'PIEDRA']
+};
+
+// "ACACIAS, LAS" names a thing; "ACEVEDO, EDUARDO" a person
+const ARTICLES = /^(EL|LA|LOS|LAS|DEL|DE|DE LA|DE LOS|DE LAS)$/;
+const RANKS = /\b(DOCTOR|DR|CORONEL|GENERAL|TENIENTE|CAPITAN|ALMIRANTE|INGENIERO|PRESIDENTE|COMODORO|INTENDENTE|SARGENTO|CABO|PADRE|FRAY|MONSENOR|OBISPO)\b/;
+const MILITARY_TITLES = /\b(CORONEL|GENERAL|TENIENTE|CAPITAN|ALMIRANTE|COMODORO|SARGENTO|CABO)\b/;
+
+// First words of a profession that are not professions ("en", "acompaña a")
+const PROFESSION_STOPWORDS = new Set(['en', 'que', 'el', 'la', 'es', 'se', 'de', 'su', 'uno', 'una', 'acompaña', 'muere', 'combate', 'miembro', 'integrante']);
+// Ranks counted as "militar"
+const MILITARY_RANKS = new Set(['general', 'coronel', 'teniente', 'capitán', 'brigadier', 'sargento', 'mayor', 'comandante', 'almirante', 'cabo', 'alférez', 'subteniente']);
+
+// Professions behind the person categories; the first listed one decides
+const PROFESSION_CATEGORIES = {
+  military: ['militar', 'marino', 'guerrero', 'granadero', 'soldado', 'corsario', 'comodoro'],
+  writer: ['escritor', 'escritora', 'poeta', 'poetisa', 'periodista', 'dramaturgo', 'autor', 'novelista', 'ensayista',
+    'literato', 'historiador', 'publicista', 'cronista'],
+  scientist: ['científico', 'médico', 'ingeniero', 'naturalista', 'físico', 'químico', 'geógrafo', 'matemático',
+    'astrónomo', 'biólogo', 'botánico', 'geólogo', 'antropólogo', 'arqueólogo', 'etnólogo', 'bacteriólogo',
+    'lingüista', 'sabio', 'investigador']
+};
+
+// Index of historical_names entries by normalized old name, to find what
+// the book says about a name that a current street still carries
+function indexHistoricalNames(historicalNames) {
+  const byName = new Map();
+  (historicalNames || []).forEach(entry => {
+    const key = nameUtils.normalizeStreetName(entry.old_name);
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push(entry);
+  });
+  return byName;
+}
+
+/**
+ * Professions of a person from the book, lowercase and one word each:
+ * "militar y político" gives both, "coronel" gives "militar". Words that
+ * start with a capital are names, not professions, and are skipped.
+ */
+function getProfessions(person) {
+  const professions = new Set();
+  ((person && person.profession) || '').split(/,\s*|\s+y\s+|\s+e\s+/).forEach(part => {
+    const word = part.trim().split(/\s+/)[0];
+    if (!word || word[0] !== word[0].toLowerCase()) return;
+    const profession = word.toLowerCase();
+    if (PROFESSION_STOPWORDS.has(profession)) return;
+    professions.add(MILITARY_RANKS.has(profession) ? 'militar' : profession);
+  });
+  return Array.from(professions);
+}
+
+function classifyPerson(person) {
+  for (const profession of getProfessions(person)) {
+    const category = Object.keys(PROFESSION_CATEGORIES)
+      .find(key => PROFESSION_CATEGORIES[key].includes(profession));
+    if (category) return category;
+  }
+  return 'person';
+}
+
+// historical_names entries that explain a current street name
+function findNameEntries(street, historicalByName) {
+  return [street.current_name, nameUtils.toNaturalOrder(street.current_name)]
+    .flatMap(name => historicalByName.get(nameUtils.normalizeStreetName(name)) || []);
+}
+
+// The person the book says a current street name honors, if any
+function getHonoredPerson(street, historicalByName) {
+  const entry = findNameEntries(street, historicalByName).find(candidate => candidate.person);
+  return entry ? entry.person : null;
+}
+
+// What the book says a current street name means when it is not a person
+// ("ciudad capital de Grecia."), if anything
+function getNameEtymology(street, historicalByName) {
+  const entry = findNameEntries(street, historicalByName).find(candidate => candidate.etymology);
+  return entry ? entry.etymology : null;
+}
+
+function classifyEtymology(etymology) {
+  const words = new Set(nameUtils.foldName(etymology).split(/[^A-Z]+/));
+  for (const category of ['event', 'nature', 'place']) {
+    if (ETYMOLOGY_WORDS[category].some(word => words.has(word))) return category;
+  }
+  return null;
+}
+
+/**
+ * Category (a key of HONOREE_CATEGORIES) of a current street name, from the
+ * name itself and the book's explanation of the same name in
+ * historical_names; "other" when the book does not tell.
+ */
+function classifyStreet(street, historicalByName) {
+  const folded = nameUtils.foldName(street.current_name);
+  if (/\d/.test(folded) || MONTHS.test(folded)) return 'event';
+
+  const person = getHonoredPerson(street, historicalByName);
+  if (person) return classifyPerson(person);
+
+  for (const entry of findNameEntries(street, historicalByName)) {
+    const category = entry.etymology && classifyEtymology(entry.etymology);
+    if (category) return category;
+  }
+
+  if (MILITARY_TITLES.test(folded)) return 'military';
+  const [, given] = street.current_name.split(', ');
+  if (RANKS.test(folded) || (given && !ARTICLES.test(nameUtils.foldName(given)))) return 'person';
+  return 'other';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HONOREE_CATEGORIES,
+    indexHistoricalNames,
+    getProfessions,
+    findNameEntries,
+    getHonoredPerson,
+    getNameEtymology,
+    classifyStreet
+  };
+}
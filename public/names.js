@@ -0,0 +1,149 @@
+/**
+ * Street name normalization and matching shared by the map and the Node
+ * scripts, so that `npm run analyze` reports the match rate the map actually
+ * gets.
+ *
+ * In the browser it is loaded before app.js and its functions are globals;
+ * scripts use require('../public/names').
+ */
+
+// Road types dropped from the start of a name: "AV. DE MAYO" -> "DE MAYO"
+const ROAD_TYPE_PREFIX = /^(?:(?:AVENIDA|AV|CALLE|PASAJE|PASEO|COSTANERA)\s+)+/;
+
+// Ranks and titles dropped anywhere in a name
+const TITLES = /\b(?:DOCTOR|DR|CORONEL|GENERAL|TENIENTE|CAPITAN|ALMIRANTE|INGENIERO|ING|PRESIDENTE|DIPUTADO NACIONAL|MECANICO MILITAR)\s+/g;
+
+// Uppercase without accents, punctuation or repeated spaces
+function foldName(name) {
+  if (!name) return '';
+  return name
+    .toUpperCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove accents
+    .replace(/[,.]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Normalize street name for matching
+function normalizeStreetName(name) {
+  return foldName(name)
+    .replace(ROAD_TYPE_PREFIX, '')
+    .replace(TITLES, '');
+}
+
+// "ACEVEDO, EDUARDO" -> "EDUARDO ACEVEDO", "ACACIAS, LAS" -> "LAS ACACIAS"
+function toNaturalOrder(name) {
+  const parts = name.split(', ');
+  return parts.length === 2 ? `${parts[1]} ${parts[0]}` : name;
+}
+
+/**
+ * Get all possible normalized forms of a name: as written, in natural order
+ * and, unless includeSurname is false, just the part before the comma.
+ */
+function getNameVariants(name, { includeSurname = true } = {}) {
+  const variants = new Set([normalizeStreetName(name)]);
+
+  if (name.includes(', ')) {
+    variants.add(normalizeStreetName(toNaturalOrder(name)));
+    if (includeSurname) {
+      variants.add(normalizeStreetName(name.split(', ')[0]));
+    }
+  }
+
+  variants.delete('');
+  return variants;
+}
+
+/**
+ * Levenshtein distance between two strings. Stops early and returns
+ * max + 1 once the distance is known to exceed max.
+ */
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Index history records by the OSM names they match. Overrides
+ * (data/name_overrides.json) pin a record to exact OSM names or mark it as
+ * having no geometry; every other record claims its name variants, full
+ * names ahead of bare surnames. A key claimed by several records at the same
+ * level is a collision: a full name goes to the first record, a surname to
+ * none, since "ACEVEDO" alone can't tell two Acevedo streets apart.
+ */
+function buildStreetIndex(streets, overrides = {}) {
+  const byOsmName = new Map();
+  const claims = new Map();
+
+  const claim = (key, street, level) => {
+    const current = claims.get(key);
+    if (!current || level < current.level) {
+      claims.set(key, { level, streets: [street] });
+    } else if (level === current.level && !current.streets.includes(street)) {
+      current.streets.push(street);
+    }
+  };
+
+  streets.forEach(street => {
+    const override = overrides[street.current_name];
+    if (override) {
+      (override.osm_names || []).forEach(osmName => {
+        if (!byOsmName.has(osmName)) byOsmName.set(osmName, street);
+      });
+      return;
+    }
+
+    const fullNames = getNameVariants(street.current_name, { includeSurname: false });
+    fullNames.forEach(key => claim(key, street, 0));
+    getNameVariants(street.current_name).forEach(key => {
+      if (!fullNames.has(key)) claim(key, street, 1);
+    });
+  });
+
+  const byKey = new Map();
+  const collisions = [];
+  claims.forEach(({ level, streets: claimants }, key) => {
+    if (claimants.length > 1) {
+      collisions.push({
+        key,
+        level: level === 0 ? 'full' : 'surname',
+        streets: claimants.map(street => street.current_name)
+      });
+    }
+    if (claimants.length === 1 || level === 0) byKey.set(key, claimants[0]);
+  });
+
+  return { byOsmName, byKey, collisions };
+}
+
+// History record an OSM street name belongs to, if any
+function findStreetForOsmName(index, osmName) {
+  if (!osmName) return null;
+  return index.byOsmName.get(osmName) || index.byKey.get(normalizeStreetName(osmName)) || null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    foldName,
+    normalizeStreetName,
+    toNaturalOrder,
+    getNameVariants,
+    editDistance,
+    buildStreetIndex,
+    findStreetForOsmName
+  };
+}
@@ -0,0 +1,147 @@
+/**
+ * Which streets pass near a point, and where two of them meet. A grid of
+ * the street line segments answers both without scanning every street; the
+ * map fills it from the full-detail tiles around the point it is asked
+ * about. Distances are in meters.
+ *
+ * In the browser it is loaded before app.js and its functions are globals;
+ * tests use require('../public/nearby').
+ */
+
+const METERS_PER_DEGREE = 111320;
+const SPATIAL_CELL_SIZE = 0.002; // Degrees, about 200 m
+// Streets that come this close without crossing (a T junction drawn a
+// little short) still meet
+const MEETING_TOLERANCE_M = 20;
+
+function createSpatialIndex(cellSize = SPATIAL_CELL_SIZE) {
+  return { cellSize, cells: new Map() };
+}
+
+// Add the [lng, lat] lines of a street, one entry per segment in every cell
+// its bounding box touches
+function addStreetLines(index, name, lines) {
+  const { cellSize, cells } = index;
+  lines.forEach(line => {
+    for (let i = 1; i < line.length; i++) {
+      const a = line[i - 1];
+      const b = line[i];
+      const segment = { name, a, b };
+      for (let col = Math.floor(Math.min(a[0], b[0]) / cellSize); col <= Math.floor(Math.max(a[0], b[0]) / cellSize); col++) {
+        for (let row = Math.floor(Math.min(a[1], b[1]) / cellSize); row <= Math.floor(Math.max(a[1], b[1]) / cellSize); row++) {
+          const key = `${col}_${row}`;
+          if (!cells.has(key)) cells.set(key, []);
+          cells.get(key).push(segment);
+        }
+      }
+    }
+  });
+}
+
+// Segments in the cells within radius meters of a point, each once
+function getSegmentsNear(index, [lng, lat], radius) {
+  const latRadius = radius / METERS_PER_DEGREE;
+  const lngRadius = latRadius / Math.cos(lat * Math.PI / 180);
+  const found = new Set();
+  for (let col = Math.floor((lng - lngRadius) / index.cellSize); col <= Math.floor((lng + lngRadius) / index.cellSize); col++) {
+    for (let row = Math.floor((lat - latRadius) / index.cellSize); row <= Math.floor((lat + latRadius) / index.cellSize); row++) {
+      (index.cells.get(`${col}_${row}`) || []).forEach(segment => found.add(segment));
+    }
+  }
+  return Array.from(found);
+}
+
+// Converters between [lng, lat] and planar meters around a point; plenty at
+// the scale of a few blocks
+function createProjection([lng0, lat0]) {
+  const xScale = METERS_PER_DEGREE * Math.cos(lat0 * Math.PI / 180);
+  return {
+    toMeters: ([lng, lat]) => [(lng - lng0) * xScale, (lat - lat0) * METERS_PER_DEGREE],
+    toLngLat: ([x, y]) => [lng0 + x / xScale, lat0 + y / METERS_PER_DEGREE]
+  };
+}
+
+// Closest point to p on the segment a-b, all in meters
+function closestOnSegment(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq));
+  return [a[0] + dx * t, a[1] + dy * t];
+}
+
+/**
+ * Streets within radius meters of a [lng, lat] point, closest first:
+ * [{ name, distance, point }], with the closest point of each street.
+ */
+function findNearbyStreets(index, point, radius) {
+  const projection = createProjection(point);
+  const closest = new Map();
+  getSegmentsNear(index, point, radius).forEach(({ name, a, b }) => {
+    const [x, y] = closestOnSegment([0, 0], projection.toMeters(a), projection.toMeters(b));
+    const distance = Math.hypot(x, y);
+    if (distance <= radius && (!closest.has(name) || distance < closest.get(name).distance)) {
+      closest.set(name, { name, distance, point: projection.toLngLat([x, y]) });
+    }
+  });
+  return Array.from(closest.values()).sort((a, b) => a.distance - b.distance);
+}
+
+// Where segments a-b and c-d cross, or null
+function crossSegments(a, b, c, d) {
+  const rx = b[0] - a[0];
+  const ry = b[1] - a[1];
+  const sx = d[0] - c[0];
+  const sy = d[1] - c[1];
+  const denominator = rx * sy - ry * sx;
+  if (denominator === 0) return null;
+  const t = ((c[0] - a[0]) * sy - (c[1] - a[1]) * sx) / denominator;
+  const u = ((c[0] - a[0]) * ry - (c[1] - a[1]) * rx) / denominator;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? [a[0] + rx * t, a[1] + ry * t] : null;
+}
+
+// Where two segments meet: their crossing or, when an end of one stops
+// short of the other, the closest point of the other
+function meetSegments(a, b, c, d) {
+  const crossing = crossSegments(a, b, c, d);
+  if (crossing) return crossing;
+  let best = null;
+  [[a, c, d], [b, c, d], [c, a, b], [d, a, b]].forEach(([end, from, to]) => {
+    const onOther = closestOnSegment(end, from, to);
+    const gap = Math.hypot(onOther[0] - end[0], onOther[1] - end[1]);
+    if (gap <= MEETING_TOLERANCE_M && (!best || gap < best.gap)) {
+      best = { gap, point: onOther };
+    }
+  });
+  return best && best.point;
+}
+
+/**
+ * The corner of two streets closest to a [lng, lat] point, within radius
+ * meters of it: { point, distance }, or null when they don't meet there.
+ */
+function findIntersection(index, nameA, nameB, point, radius) {
+  const projection = createProjection(point);
+  const segments = getSegmentsNear(index, point, radius)
+    .map(({ name, a, b }) => ({ name, a: projection.toMeters(a), b: projection.toMeters(b) }));
+  const first = segments.filter(segment => segment.name === nameA);
+  const second = segments.filter(segment => segment.name === nameB);
+
+  let best = null;
+  first.forEach(s => second.forEach(t => {
+    const meeting = meetSegments(s.a, s.b, t.a, t.b);
+    if (!meeting) return;
+    const distance = Math.hypot(meeting[0], meeting[1]);
+    if (distance <= radius && (!best || distance < best.distance)) best = { point: meeting, distance };
+  }));
+  return best && { point: projection.toLngLat(best.point), distance: best.distance };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createSpatialIndex,
+    addStreetLines,
+    findNearbyStreets,
+    findIntersection
+  };
+}
@@ -0,0 +1,275 @@
+// Statistics over the street corpus (stats.html)
+//
+// The counting functions are plain and exported for the Node tests, like
+// names.js; the rest renders them as SVG charts in the browser.
+
+const names = typeof require === 'function' ? require('./names') : window;
+// HONOREE_CATEGORIES is a global const, not a property of window
+const honorees = typeof require === 'function'
+  ? require('./honorees')
+  : { HONOREE_CATEGORIES, indexHistoricalNames, getProfessions, classifyStreet };
+
+const STATS = {
+  TOP_RENAMED: 15,
+  TOP_PROFESSIONS: 15,
+  MIN_YEAR: 1580, // Founding of the city
+  MAX_YEAR: 2003, // Publication of the source book
+  BAR_HEIGHT: 22,
+  CHART_WIDTH: 640
+};
+
+// Streets named per decade, from the year of their parsed legal citation
+function countByDecade(streets) {
+  const counts = new Map();
+  streets.forEach(street => {
+    const year = street.legal && street.legal.status !== 'failed' ? street.legal.year : null;
+    if (!year || year < STATS.MIN_YEAR || year > STATS.MAX_YEAR) return;
+    const decade = Math.floor(year / 10) * 10;
+    counts.set(decade, (counts.get(decade) || 0) + 1);
+  });
+  if (counts.size === 0) return [];
+
+  // Every decade in the range, empty ones included, so gaps show
+  const decades = Array.from(counts.keys());
+  const result = [];
+  for (let decade = Math.min(...decades); decade <= Math.max(...decades); decade += 10) {
+    result.push({ label: `${decade}`, value: counts.get(decade) || 0 });
+  }
+  return result;
+}
+
+function getMostRenamed(streets, limit = STATS.TOP_RENAMED) {
+  return streets
+    .filter(street => (street.former_names || []).length > 0)
+    .map(street => ({ label: street.current_name, value: street.former_names.length }))
+    .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label, 'es'))
+    .slice(0, limit);
+}
+
+function getCategoryShares(data) {
+  const historicalByName = honorees.indexHistoricalNames(data.historical_names);
+  const counts = Object.fromEntries(Object.keys(honorees.HONOREE_CATEGORIES).map(key => [key, 0]));
+  data.streets.forEach(street => counts[honorees.classifyStreet(street, historicalByName)]++);
+  return Object.entries(honorees.HONOREE_CATEGORIES).map(([key, label]) => ({ key, label, value: counts[key] }));
+}
+
+// Each person counted once, under every profession listed for them
+// ("militar y político" counts for both)
+function getTopProfessions(data, limit = STATS.TOP_PROFESSIONS) {
+  const people = new Map();
+  const add = person => {
+    if (person && person.name) people.set(names.normalizeStreetName(person.name), person);
+  };
+  (data.historical_names || []).forEach(entry => add(entry.person));
+  data.streets.forEach(street => (street.former_names || []).forEach(former => add(former.person)));
+
+  const counts = new Map();
+  people.forEach(person => {
+    honorees.getProfessions(person).forEach(profession => counts.set(profession, (counts.get(profession) || 0) + 1));
+  });
+
+  return Array.from(counts, ([label, value]) => ({ label, value }))
+    .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label, 'es'))
+    .slice(0, limit);
+}
+
+// How many book streets have OSM geometry on the map and how many OSM
+// streets have a history, matched the way app.js matches them
+function getMatchCoverage(streets, osmNames, overrides = {}) {
+  const index = names.buildStreetIndex(streets, overrides);
+  const matchedStreets = new Set();
+  let matchedOsm = 0;
+  osmNames.forEach(osmName => {
+    const street = names.findStreetForOsmName(index, osmName);
+    if (!street) return;
+    matchedStreets.add(street.current_name);
+    matchedOsm++;
+  });
+  return {
+    streets: { matched: matchedStreets.size, total: streets.length },
+    osm: { matched: matchedOsm, total: osmNames.length }
+  };
+}
+
+function computeStats(data, { osmNames = null, overrides = {} } = {}) {
+  return {
+    totals: {
+      streets: data.streets.length,
+      withHistory: data.streets.filter(street => (street.former_names || []).length > 0).length,
+      formerNames: (data.historical_names || []).length
+    },
+    decades: countByDecade(data.streets),
+    mostRenamed: getMostRenamed(data.streets),
+    categories: getCategoryShares(data),
+    professions: getTopProfessions(data),
+    coverage: osmNames ? getMatchCoverage(data.streets, osmNames, overrides) : null
+  };
+}
+
+// Rendering
+
+function escapeHtml(text) {
+  if (text === null || text === undefined) return '';
+  const div = document.createElement('div');
+  div.textContent = String(text);
+  return div.innerHTML;
+}
+
+const formatNumber = value => value.toLocaleString('es-AR');
+const round = value => Math.round(value * 10) / 10;
+const formatPercent = (value, total) => `${(total ? value / total * 100 : 0).toLocaleString('es-AR', { maximumFractionDigits: 1 })} %`;
+
+// Exact numbers behind a chart, for quoting
+function createTable(items, headers, formatValue = formatNumber) {
+  const rows = items.map(item => `<tr><td>${escapeHtml(item.label)}</td><td>${escapeHtml(formatValue(item.value))}</td></tr>`);
+  return `<details class="stats-table">
+    <summary>Ver tabla</summary>
+    <table>
+      <thead><tr><th>${escapeHtml(headers[0])}</th><th>${escapeHtml(headers[1])}</th></tr></thead>
+      <tbody>${rows.join('')}</tbody>
+    </table>
+  </details>`;
+}
+
+// Horizontal bars, one row per item, with the value at the end of the bar
+function createBarChart(items, title, { formatValue = formatNumber, labelWidth = 220 } = {}) {
+  const max = Math.max(1, ...items.map(item => item.value));
+  const barSpace = STATS.CHART_WIDTH - labelWidth - 80;
+  const height = items.length * STATS.BAR_HEIGHT;
+  const rows = items.map((item, i) => {
+    const y = i * STATS.BAR_HEIGHT;
+    const width = round(Math.max(1, item.value / max * barSpace));
+    return `<g>
+      <title>${escapeHtml(item.label)}: ${escapeHtml(formatValue(item.value))}</title>
+      <text x="${labelWidth - 8}" y="${y + 15}" text-anchor="end" class="chart-label">${escapeHtml(item.label)}</text>
+      <rect x="${labelWidth}" y="${y + 3}" width="${width}" height="${STATS.BAR_HEIGHT - 6}" class="chart-bar"></rect>
+      <text x="${labelWidth + width + 6}" y="${y + 15}" class="chart-value">${escapeHtml(formatValue(item.value))}</text>
+    </g>`;
+  });
+  return `<svg class="chart" viewBox="0 0 ${STATS.CHART_WIDTH} ${height}" role="img" aria-label="${escapeHtml(title)}">${rows.join('')}</svg>`;
+}
+
+// Vertical columns for the decades, labeled every other decade
+function createColumnChart(items, title) {
+  const chartHeight = 200;
+  const axisHeight = 20;
+  const max = Math.max(1, ...items.map(item => item.value));
+  const columnWidth = STATS.CHART_WIDTH / items.length;
+  const columns = items.map((item, i) => {
+    const x = round(i * columnWidth);
+    const height = round(item.value / max * (chartHeight - 16));
+    const label = i % 2 === 0
+      ? `<text x="${round(x + columnWidth / 2)}" y="${chartHeight + 14}" text-anchor="middle" class="chart-label">${escapeHtml(item.label)}</text>`
+      : '';
+    return `<g>
+      <title>${escapeHtml(item.label)}s: ${formatNumber(item.value)}</title>
+      <rect x="${round(x + 2)}" y="${round(chartHeight - height)}" width="${round(columnWidth - 4)}" height="${height}" class="chart-bar"></rect>
+      ${label}
+    </g>`;
+  });
+  return `<svg class="chart" viewBox="0 0 ${STATS.CHART_WIDTH} ${chartHeight + axisHeight}" role="img" aria-label="${escapeHtml(title)}">${columns.join('')}</svg>`;
+}
+
+function createCoverageSection(coverage) {
+  if (!coverage) {
+    return '<p class="stats-note">No disponible: faltan los datos de geometría de las calles.</p>';
+  }
+  const { streets, osm } = coverage;
+  const items = [
+    { label: 'Calles del libro con geometría', value: streets.matched / streets.total },
+    { label: 'Calles de OSM con historia', value: osm.matched / osm.total }
+  ];
+  return `${createBarChart(items, 'Cobertura del mapa', { formatValue: value => formatPercent(value, 1) })}
+    <p class="stats-note">${formatNumber(streets.matched)} de ${formatNumber(streets.total)} calles del libro aparecen en el mapa;
+    ${formatNumber(osm.matched)} de ${formatNumber(osm.total)} calles de OpenStreetMap tienen historia.</p>`;
+}
+
+function renderStats(stats) {
+  const { totals, categories } = stats;
+  const categoryTotal = categories.reduce((sum, item) => sum + item.value, 0);
+  const formatShare = value => `${formatNumber(value)} (${formatPercent(value, categoryTotal)})`;
+
+  document.getElementById('stats-content').innerHTML = `
+    <section class="stats-totals">
+      <div><strong>${formatNumber(totals.streets)}</strong> calles</div>
+      <div><strong>${formatNumber(totals.withHistory)}</strong> con nombres anteriores</div>
+      <div><strong>${formatNumber(totals.formerNames)}</strong> nombres históricos</div>
+    </section>
+
+    <section>
+      <h2>Calles nombradas por década</h2>
+      <p class="stats-note">Según la fecha de la ordenanza o decreto que les dio su nombre actual.</p>
+      ${createColumnChart(stats.decades, 'Calles nombradas por década')}
+      ${createTable(stats.decades, ['Década', 'Calles'])}
+    </section>
+
+    <section>
+      <h2>Calles con más nombres anteriores</h2>
+      ${createBarChart(stats.mostRenamed, 'Calles con más nombres anteriores')}
+      ${createTable(stats.mostRenamed, ['Calle', 'Nombres anteriores'])}
+    </section>
+
+    <section>
+      <h2>¿A quién o a qué homenajean?</h2>
+      <p class="stats-note">Clasificación aproximada a partir del nombre y de lo que el libro dice sobre él. Muchos nombres actuales no tienen explicación en el libro y quedan sin clasificar.</p>
+      ${createBarChart(categories, 'Calles por tipo de homenaje', { formatValue: formatShare })}
+      ${createTable(categories, ['Categoría', 'Calles'], formatShare)}
+    </section>
+
+    <section>
+      <h2>Profesiones más homenajeadas</h2>
+      <p class="stats-note">Personas homenajeadas por nombres anteriores; cada una cuenta en todas sus profesiones. Los grados militares cuentan como «militar».</p>
+      ${createBarChart(stats.professions, 'Profesiones más homenajeadas')}
+      ${createTable(stats.professions, ['Profesión', 'Personas'])}
+    </section>
+
+    <section>
+      <h2>Cobertura del mapa</h2>
+      ${createCoverageSection(stats.coverage)}
+    </section>
+  `;
+}
+
+// Optional files: the page works without overrides or street tiles
+async function fetchOptionalJSON(url) {
+  try {
+    const response = await fetch(url);
+    return response.ok ? await response.json() : null;
+  } catch (error) {
+    console.log(`${url} not available:`, error.message);
+    return null;
+  }
+}
+
+async function initStats() {
+  try {
+    const [data, overrides, tileIndex] = await Promise.all([
+      fetch('./data/calles_buenos_aires_final.json').then(response => response.json()),
+      fetchOptionalJSON('./data/name_overrides.json'),
+      fetchOptionalJSON('./data/streets/index.json')
+    ]);
+    renderStats(computeStats(data, {
+      osmNames: tileIndex ? Object.keys(tileIndex.streets) : null,
+      overrides: overrides ? overrides.overrides : {}
+    }));
+  } catch (error) {
+    console.error('Error loading street data:', error);
+    document.getElementById('stats-content').innerHTML =
+      '<p class="stats-note">Error al cargar los datos de las calles. Por favor, recarga la página.</p>';
+  }
+}
+
+if (typeof document !== 'undefined') {
+  initStats();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    countByDecade,
+    getMostRenamed,
+    getCategoryShares,
+    getTopProfessions,
+    getMatchCoverage,
+    computeStats
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * Walking tours: an ordered list of stops, each a street or the corner of
+ * two streets, at a point on the map:
+ *
+ *   { point: [lng, lat], names: ['Florida'] }
+ *   { point: [lng, lat], names: ['Florida', 'Lavalle'] }
+ *
+ * Tours travel in the URL (?tour=) and export as GPX and as a printable
+ * HTML booklet. The map writes the text of each stop; this file only
+ * encodes and formats it.
+ *
+ * In the browser it is loaded before app.js and its functions are globals;
+ * tests use require('../public/tours').
+ */
+
+const MAX_TOUR_STOPS = 30;
+// Street names don't use these; commas they may
+const TOUR_STOP_SEPARATOR = '~';
+const TOUR_NAME_SEPARATOR = '|';
+const TOUR_EARTH_RADIUS_M = 6371008.8;
+
+// ?tour= value: "-34.60312,-58.37521,Florida|Lavalle~-34.6042,-58.3812,Corrientes"
+function encodeTour(stops) {
+  return stops
+    .map(({ point: [lng, lat], names }) => `${lat.toFixed(5)},${lng.toFixed(5)},${names.join(TOUR_NAME_SEPARATOR)}`)
+    .join(TOUR_STOP_SEPARATOR);
+}
+
+// Stops of a ?tour= value; malformed stops are dropped
+function decodeTour(value) {
+  if (!value) return [];
+  return value.split(TOUR_STOP_SEPARATOR).map(part => {
+    const match = /^(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?),(.+)$/.exec(part);
+    if (!match) return null;
+    const names = match[3].split(TOUR_NAME_SEPARATOR).map(name => name.trim()).filter(Boolean);
+    if (names.length === 0 || names.length > 2) return null;
+    return { point: [Number(match[2]), Number(match[1])], names };
+  }).filter(Boolean).slice(0, MAX_TOUR_STOPS);
+}
+
+// Length in meters of the straight lines between the stops
+function getTourLength(stops) {
+  const toRad = deg => deg * Math.PI / 180;
+  let length = 0;
+  for (let i = 1; i < stops.length; i++) {
+    const [lng1, lat1] = stops[i - 1].point;
+    const [lng2, lat2] = stops[i].point;
+    const a = Math.sin(toRad(lat2 - lat1) / 2) ** 2 +
+      Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lng2 - lng1) / 2) ** 2;
+    length += 2 * TOUR_EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+  }
+  return length;
+}
+
+// Name of a stop: "Florida" or "Florida y Lavalle"
+function getStopTitle(stop) {
+  return stop.names.join(' y ');
+}
+
+function escapeMarkup(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * GPX 1.1 with a waypoint per stop and the route through them. `stops`
+ * carry a one-line `summary` for the waypoint description.
+ */
+function buildGPX(title, stops) {
+  const waypoints = stops.map((stop, i) => [
+    `  <wpt lat="${stop.point[1]}" lon="${stop.point[0]}">`,
+    `    <name>${escapeMarkup(`${i + 1}. ${getStopTitle(stop)}`)}</name>`,
+    stop.summary ? `    <desc>${escapeMarkup(stop.summary)}</desc>` : null,
+    '  </wpt>'
+  ].filter(Boolean).join('\n'));
+  const routePoints = stops.map((stop, i) =>
+    `    <rtept lat="${stop.point[1]}" lon="${stop.point[0]}"><name>${escapeMarkup(`${i + 1}. ${getStopTitle(stop)}`)}</name></rtept>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Calles de Buenos Aires" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeMarkup(title)}</name></metadata>`,
+    ...waypoints,
+    '  <rte>',
+    `    <name>${escapeMarkup(title)}</name>`,
+    ...routePoints,
+    '  </rte>',
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+const BOOKLET_STYLE = `
+  body { font-family: Georgia, serif; max-width: 40em; margin: 2em auto; padding: 0 1em; color: #1a202c; line-height: 1.5; }
+  h1 { margin-bottom: 0.2em; }
+  .tour-meta { color: #4a5568; }
+  .stop { border-top: 1px solid #cbd5e0; padding-top: 1em; margin-top: 1.5em; break-inside: avoid; }
+  .summary { font-style: italic; }
+  .former-names li { margin-bottom: 0.4em; }
+  @media print { a { color: inherit; text-decoration: none; } }
+`;
+
+/**
+ * A standalone HTML page for printing. Each stop has `streets`, one or two
+ * of { name, summary, year, formerNames: [{ name, description }],
+ * description }, the book's data for the street.
+ */
+function buildBooklet(title, stops, url) {
+  const lengthKm = (getTourLength(stops) / 1000).toLocaleString('es-AR', { maximumFractionDigits: 1 });
+  const renderStreet = (street, isCorner) => {
+    const formerNames = (street.formerNames || []).map(formerName =>
+      `<li><strong>${escapeMarkup(formerName.name)}</strong>${formerName.description ? `: ${escapeMarkup(formerName.description)}` : ''}</li>`);
+    return [
+      isCorner ? `<h3>${escapeMarkup(street.name)}</h3>` : '',
+      street.summary ? `<p class="summary">${escapeMarkup(street.summary)}</p>` : '',
+      street.year ? `<p>Nombre actual desde ${street.year}.</p>` : '',
+      formerNames.length > 0 ? `<p>Nombres anteriores:</p><ul class="former-names">${formerNames.join('')}</ul>` : '',
+      street.description ? `<p>${escapeMarkup(street.description)}</p>` : ''
+    ].join('');
+  };
+  const sections = stops.map((stop, i) => `<section class="stop">
+    <h2>${i + 1}. ${escapeMarkup(getStopTitle(stop))}</h2>
+    ${stop.streets.map(street => renderStreet(street, stop.streets.length > 1)).join('\n')}
+  </section>`);
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="UTF-8">
+<title>${escapeMarkup(title)}</title>
+<style>${BOOKLET_STYLE}</style>
+</head>
+<body>
+<h1>${escapeMarkup(title)}</h1>
+<p class="tour-meta">${stops.length} ${stops.length === 1 ? 'parada' : 'paradas'} · ${lengthKm} km en línea recta · <a href="${escapeMarkup(url)}">${escapeMarkup(url)}</a></p>
+${sections.join('\n')}
+<p class="tour-meta">Fuente: Alberto Gabriel Piñeiro, <em>Las calles de Buenos Aires. Sus nombres desde la fundación hasta nuestros días</em>, Instituto Histórico de la Ciudad de Buenos Aires, 2003.</p>
+</body>
+</html>
+`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_TOUR_STOPS,
+    encodeTour,
+    decodeTour,
+    getTourLength,
+    getStopTitle,
+    buildGPX,
+    buildBooklet
+  };
+}
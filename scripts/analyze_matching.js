@@ -1,58 +1,138 @@
 #!/usr/bin/env node
 /**
- * Analyzes how well the historical street data matches the OSM street data
+ * Analyzes how well the historical street data matches the OSM street data,
+ * honoring data/name_overrides.json like the map does.
+ *
+ * Besides the console summary it writes reports/matching.json and a
+ * standalone review page, reports/matching.html, listing every unmatched
+ * street, every OSM name without history and every name key that several
+ * streets compete for, each with its closest fuzzy candidates. Choices made
+ * on the page are exported as a patch for scripts/apply_name_overrides.js.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { normalizeStreetName, getNameVariants, buildStreetIndex, findStreetForOsmName } = require('../public/names');
 
-// Normalize street name for matching
-function normalizeStreetName(name) {
-  if (!name) return '';
-  return name
-    .toUpperCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '') // Remove accents
-    .replace(/,/g, '')
-    .replace(/\./g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
+const MAX_COLLISIONS_SHOWN = 30;
+const MAX_CANDIDATES = 5;
+const MIN_CANDIDATE_SCORE = 0.35;
+
+const reportDir = path.join(__dirname, '..', 'reports');
+const templatePath = path.join(__dirname, 'templates', 'match_review.html');
+
+// Character trigrams of a normalized name, padded so word starts weigh more
+function trigrams(text) {
+  const padded = `  ${text} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+  return grams;
 }
 
-// Additional normalization for better matching
-function fuzzyNormalize(name) {
-  let n = normalizeStreetName(name);
+/**
+ * Fuzzy index over normalized keys. search() ranks values by the Dice
+ * coefficient of shared trigrams, keeping each value's best key.
+ */
+function createFuzzyIndex(entries) {
+  const keys = [];
+  const byGram = new Map();
+  entries.forEach(({ key, value }) => {
+    const grams = trigrams(key);
+    const id = keys.push({ value, size: grams.size }) - 1;
+    grams.forEach(gram => {
+      if (!byGram.has(gram)) byGram.set(gram, []);
+      byGram.get(gram).push(id);
+    });
+  });
 
-  // Handle common patterns
-  // "AVENIDA X" -> "AV X" or just "X"
-  n = n.replace(/^AVENIDA\s+/, '');
-  n = n.replace(/^AV\s+/, '');
-  n = n.replace(/^AV\.\s+/, '');
+  return {
+    search(texts, exclude = () => false) {
+      const best = new Map();
+      texts.forEach(text => {
+        const grams = trigrams(text);
+        const shared = new Map();
+        grams.forEach(gram => {
+          (byGram.get(gram) || []).forEach(id => shared.set(id, (shared.get(id) || 0) + 1));
+        });
+        shared.forEach((count, id) => {
+          const { value, size } = keys[id];
+          const score = (2 * count) / (grams.size + size);
+          if (score >= MIN_CANDIDATE_SCORE && !exclude(value) && score > (best.get(value) || 0)) {
+            best.set(value, score);
+          }
+        });
+      });
+      return Array.from(best, ([value, score]) => ({ value, score: Math.round(score * 100) / 100 }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATES);
+    }
+  };
+}
 
-  // "CALLE X" -> "X"
-  n = n.replace(/^CALLE\s+/, '');
+// Build the review report from the matching results
+function buildReport({ streets, osmNames, index, matched, noGeometry, overrides, collisions, summary }) {
+  const osmByStreet = new Map();
+  osmNames.forEach(osmName => {
+    const street = findStreetForOsmName(index, osmName);
+    if (!street) return;
+    if (!osmByStreet.has(street.current_name)) osmByStreet.set(street.current_name, []);
+    osmByStreet.get(street.current_name).push(osmName);
+  });
 
-  return n;
+  const osmIndex = createFuzzyIndex(Array.from(osmNames, osmName => ({ key: normalizeStreetName(osmName), value: osmName })));
+  const streetIndex = createFuzzyIndex(streets.flatMap(street =>
+    Array.from(getNameVariants(street.current_name, { includeSurname: false }), key => ({ key, value: street.current_name }))
+  ));
+
+  const unmatchedStreets = streets
+    .filter(street => !matched.has(street) && !noGeometry.includes(street))
+    .map(street => ({
+      current_name: street.current_name,
+      candidates: osmIndex.search(getNameVariants(street.current_name, { includeSurname: false }))
+        .map(({ value, score }) => ({ osm_name: value, score }))
+    }));
+
+  const osmWithoutHistory = Array.from(osmNames)
+    .filter(osmName => !findStreetForOsmName(index, osmName))
+    .sort((a, b) => a.localeCompare(b, 'es'))
+    .map(osmName => ({
+      osm_name: osmName,
+      candidates: streetIndex.search([normalizeStreetName(osmName)])
+        .map(({ value, score }) => ({ current_name: value, score }))
+    }));
+
+  const collisionItems = collisions.map(({ key, level, streets: claimants }) => ({
+    key,
+    level,
+    streets: claimants,
+    osm_names: Array.from(osmNames).filter(osmName =>
+      normalizeStreetName(osmName) === key && !index.byOsmName.has(osmName))
+  }));
+
+  return {
+    generated_at: new Date().toISOString(),
+    summary,
+    unmatched_streets: unmatchedStreets,
+    osm_without_history: osmWithoutHistory,
+    collisions: collisionItems,
+    matched_osm_names: Object.fromEntries(osmByStreet),
+    overrides
+  };
 }
 
-// Get all possible normalized variants for matching
-function getNameVariants(name) {
-  const variants = new Set();
-  const base = fuzzyNormalize(name);
-  variants.add(base);
-
-  // For "LASTNAME, FIRSTNAME" pattern, also try "FIRSTNAME LASTNAME"
-  if (name.includes(', ')) {
-    const parts = name.split(', ');
-    if (parts.length === 2) {
-      const reversed = `${parts[1]} ${parts[0]}`;
-      variants.add(fuzzyNormalize(reversed));
-    }
-    // Also try just the last name
-    variants.add(fuzzyNormalize(parts[0]));
-  }
+function writeReport(report) {
+  fs.mkdirSync(reportDir, { recursive: true });
+  const jsonPath = path.join(reportDir, 'matching.json');
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
 
-  return variants;
+  // Embedded in a <script> element, so "</" must not close it early
+  const embedded = JSON.stringify(report).replace(/</g, '\\u003c');
+  const html = fs.readFileSync(templatePath, 'utf8').replace('__REPORT_DATA__', () => embedded);
+  const htmlPath = path.join(reportDir, 'matching.html');
+  fs.writeFileSync(htmlPath, html);
+
+  console.log(`Report: ${jsonPath}`);
+  console.log(`Review page: ${htmlPath}`);
 }
 
 async function analyze() {
@@ -62,6 +142,11 @@ async function analyze() {
 
   // Load OSM data
   const osmPath = path.join(__dirname, '..', 'data', 'buenos_aires_streets.geojson');
+  if (!fs.existsSync(osmPath)) {
+    console.error(`OSM data not found: ${osmPath}`);
+    console.error('Fetch and clip it first with npm run fetch-streets and npm run filter');
+    process.exit(1);
+  }
   const osm = JSON.parse(fs.readFileSync(osmPath, 'utf8'));
 
   // Build lookup from OSM
@@ -83,57 +168,79 @@ async function analyze() {
   console.log(`Historical streets: ${historical.streets.length}`);
   console.log(`OSM unique street names: ${osmNames.size}\n`);
 
-  // Try to match
-  let exactMatches = 0;
-  let normalizedMatches = 0;
-  let noMatch = [];
-
-  historical.streets.forEach(street => {
-    const name = street.current_name;
-
-    // Exact match
-    if (osmNames.has(name)) {
-      exactMatches++;
-      return;
-    }
-
-    // Normalized match
-    const norm = normalizeStreetName(name);
-    if (osmNormalized.has(norm)) {
-      normalizedMatches++;
-      return;
-    }
-
-    // Try some variations for "LASTNAME, FIRSTNAME" pattern
-    if (name.includes(', ')) {
-      const [last, first] = name.split(', ');
-      const reversed = `${first} ${last}`;
-      const reversedNorm = normalizeStreetName(reversed);
-      if (osmNormalized.has(reversedNorm)) {
-        normalizedMatches++;
-        return;
-      }
-    }
-
-    noMatch.push(name);
+  // Load manual overrides
+  const overridesPath = path.join(__dirname, '..', 'data', 'name_overrides.json');
+  const overrides = fs.existsSync(overridesPath)
+    ? JSON.parse(fs.readFileSync(overridesPath, 'utf8')).overrides
+    : {};
+
+  // Match every OSM name the way the map does
+  const index = buildStreetIndex(historical.streets, overrides);
+  const matched = new Set();
+  osmNames.forEach(osmName => {
+    const street = findStreetForOsmName(index, osmName);
+    if (street) matched.add(street);
   });
 
+  const noGeometry = historical.streets.filter(street => overrides[street.current_name] && overrides[street.current_name].no_geometry);
+  const exactMatches = historical.streets.filter(street => matched.has(street) && osmNames.has(street.current_name)).length;
+  const overrideMatches = historical.streets.filter(street => matched.has(street) && overrides[street.current_name]).length;
+  const normalizedMatches = matched.size - exactMatches - overrideMatches;
+  const expected = historical.streets.length - noGeometry.length;
+  const noMatch = historical.streets
+    .filter(street => !matched.has(street) && !noGeometry.includes(street))
+    .map(street => street.current_name);
+
   console.log(`Exact matches: ${exactMatches}`);
   console.log(`Normalized matches: ${normalizedMatches}`);
-  console.log(`Total matched: ${exactMatches + normalizedMatches} (${((exactMatches + normalizedMatches) / historical.streets.length * 100).toFixed(1)}%)`);
+  console.log(`Override matches: ${overrideMatches}`);
+  console.log(`Total matched: ${matched.size} (${(matched.size / expected * 100).toFixed(1)}% of ${expected} with geometry)`);
+  console.log(`No geometry (override): ${noGeometry.length}`);
   console.log(`No match: ${noMatch.length}\n`);
 
-  // Show some unmatched examples
-  console.log('Sample unmatched streets:');
-  noMatch.slice(0, 20).forEach(name => {
-    console.log(`  - ${name}`);
-  });
+  // Overrides that point at names OSM doesn't have
+  const staleOverrides = Object.entries(overrides).filter(([currentName, override]) =>
+    !historical.streets.some(street => street.current_name === currentName) ||
+    (override.osm_names || []).some(osmName => !osmNames.has(osmName))
+  );
+  if (staleOverrides.length > 0) {
+    console.log('Overrides that no longer match:');
+    staleOverrides.forEach(([currentName, override]) => {
+      console.log(`  - ${currentName} -> ${(override.osm_names || []).join(', ') || '(no geometry)'}`);
+    });
+    console.log('');
+  }
 
-  // Show sample OSM names for debugging
-  console.log('\nSample OSM street names:');
-  Array.from(osmNames).slice(0, 20).forEach(name => {
-    console.log(`  - ${name}`);
+  // Keys several records compete for; only the ones OSM uses matter
+  const collisions = index.collisions.filter(collision => osmNormalized.has(collision.key));
+  console.log(`Ambiguous name keys: ${index.collisions.length} (${collisions.length} used by OSM streets)`);
+  collisions.slice(0, MAX_COLLISIONS_SHOWN).forEach(({ key, level, streets }) => {
+    const outcome = level === 'full' ? `goes to ${streets[0]}` : 'matches none';
+    console.log(`  - ${key} (${level}): ${streets.join(' | ')} — ${outcome}`);
   });
+  if (collisions.length > MAX_COLLISIONS_SHOWN) {
+    console.log(`  ... and ${collisions.length - MAX_COLLISIONS_SHOWN} more`);
+  }
+  console.log('Settle them on the review page below.\n');
+
+  writeReport(buildReport({
+    streets: historical.streets,
+    osmNames,
+    index,
+    matched,
+    noGeometry,
+    overrides,
+    collisions,
+    summary: {
+      historical_streets: historical.streets.length,
+      osm_names: osmNames.size,
+      exact_matches: exactMatches,
+      normalized_matches: normalizedMatches,
+      override_matches: overrideMatches,
+      no_geometry: noGeometry.length,
+      unmatched: noMatch.length
+    }
+  }));
 }
 
 analyze();
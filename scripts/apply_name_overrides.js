@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Merges a patch exported from the matching review page
+ * (reports/matching.html) into data/name_overrides.json and its copy in
+ * public/data/. Patch entries replace existing overrides for the same street.
+ *
+ *   node scripts/apply_name_overrides.js name_overrides.patch.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const overridePaths = [
+  path.join(__dirname, '..', 'data', 'name_overrides.json'),
+  path.join(__dirname, '..', 'public', 'data', 'name_overrides.json')
+];
+
+function apply() {
+  const patchPath = process.argv[2];
+  if (!patchPath || !fs.existsSync(patchPath)) {
+    console.error('Usage: node scripts/apply_name_overrides.js <patch.json>');
+    process.exit(1);
+  }
+
+  const patch = JSON.parse(fs.readFileSync(patchPath, 'utf8'));
+  const data = JSON.parse(fs.readFileSync(overridePaths[0], 'utf8'));
+
+  let added = 0;
+  let updated = 0;
+  Object.entries(patch.overrides || {}).forEach(([currentName, override]) => {
+    if (data.overrides[currentName]) updated++;
+    else added++;
+    data.overrides[currentName] = override;
+  });
+
+  data.overrides = Object.fromEntries(
+    Object.entries(data.overrides).sort(([a], [b]) => a.localeCompare(b, 'es'))
+  );
+
+  const output = JSON.stringify(data, null, 2);
+  overridePaths.forEach(overridePath => {
+    fs.writeFileSync(overridePath, output);
+    console.log(`Updated ${overridePath}`);
+  });
+  console.log(`\nAdded ${added} overrides, updated ${updated}`);
+  console.log('Run npm run validate and npm run analyze to check the result.');
+}
+
+apply();
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Builds the data files the map loads from the pipeline's intermediate
+ * outputs: the streets extracted from the book (data/build/
+ * streets_extracted.json) and the Wikipedia articles found for them
+ * (data/wikipedia.json). Writes calles_buenos_aires_final.json,
+ * calles_map_data.json and calles_lookup.json in data/.
+ *
+ * Only accepted articles and confident unreviewed ones go into the street
+ * records, without their review fields; rejected ones are left out.
+ *
+ *   node scripts/assemble_data.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { migrateCompactRecord } = require('./migrate_schema');
+const { isArticleShown } = require('./enrich_from_wikipedia');
+
+const dataDir = path.join(__dirname, '..', 'data');
+const defaultExtracted = path.join(dataDir, 'build', 'streets_extracted.json');
+const defaultWikipedia = path.join(dataDir, 'wikipedia.json');
+
+// Compact record used by calles_map_data.json and calles_lookup.json
+function toMapRecord(street) {
+  return migrateCompactRecord({
+    current_name: street.current_name,
+    legal_basis: street.legal_basis,
+    former_names: street.former_names
+  });
+}
+
+function assemble({ extractedPath = defaultExtracted, wikipediaPath = defaultWikipedia, outputDir = dataDir } = {}) {
+  const extracted = JSON.parse(fs.readFileSync(extractedPath, 'utf8'));
+  const articles = fs.existsSync(wikipediaPath)
+    ? JSON.parse(fs.readFileSync(wikipediaPath, 'utf8')).articles
+    : {};
+
+  const streets = extracted.streets.map(street => {
+    const article = articles[street.current_name];
+    if (!article || !isArticleShown(article)) return street;
+    return { ...street, wikipedia: { title: article.title, summary: article.summary, url: article.url } };
+  });
+  console.log(`Wikipedia data for ${streets.filter(s => s.wikipedia).length} of ${streets.length} streets`);
+
+  const final = { ...extracted, streets };
+  const mapRecords = streets.map(toMapRecord);
+  const mapData = {
+    metadata: {
+      source: `Las calles de Buenos Aires - ${extracted.metadata.publisher} (${extracted.metadata.year})`,
+      total_streets: streets.length,
+      streets_with_history: mapRecords.filter(r => r.former_names).length
+    },
+    streets: mapRecords
+  };
+  const lookup = Object.fromEntries(mapRecords.map(record => [record.current_name, record]));
+
+  const outputs = {
+    'calles_buenos_aires_final.json': final,
+    'calles_map_data.json': mapData,
+    'calles_lookup.json': lookup
+  };
+  for (const [file, content] of Object.entries(outputs)) {
+    const outputPath = path.join(outputDir, file);
+    fs.writeFileSync(outputPath, JSON.stringify(content, null, 2));
+    console.log(`Saved ${outputPath}`);
+  }
+}
+
+if (require.main === module) {
+  if (!fs.existsSync(defaultExtracted)) {
+    console.error(`${defaultExtracted} not found. Run npm run extract first.`);
+    process.exit(1);
+  }
+  assemble();
+}
+
+module.exports = { assemble };
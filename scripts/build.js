@@ -6,6 +6,7 @@
 const esbuild = require('esbuild');
 const fs = require('fs');
 const path = require('path');
+const { runPipeline, printSummary } = require('./pipeline');
 
 const publicDir = path.join(__dirname, '..', 'public');
 const distDir = path.join(__dirname, '..', 'dist');
@@ -24,15 +25,19 @@ async function build() {
     fs.mkdirSync(distDataDir, { recursive: true });
   }
 
-  // Minify JavaScript
+  // Minify JavaScript (names.js, honorees.js, nearby.js, fulltext.js,
+  // collections.js and tours.js are shared with the Node scripts and tests
+  // and loaded first)
   console.log('Minifying JavaScript...');
-  await esbuild.build({
-    entryPoints: [path.join(publicDir, 'app.js')],
-    outfile: path.join(distDir, 'app.min.js'),
-    minify: true,
-    sourcemap: true,
-    target: ['es2018'],
-  });
+  for (const script of ['names', 'honorees', 'nearby', 'fulltext', 'collections', 'tours', 'app', 'stats']) {
+    await esbuild.build({
+      entryPoints: [path.join(publicDir, `${script}.js`)],
+      outfile: path.join(distDir, `${script}.min.js`),
+      minify: true,
+      sourcemap: true,
+      target: ['es2018'],
+    });
+  }
 
   // Minify CSS
   console.log('Minifying CSS...');
@@ -45,10 +50,19 @@ async function build() {
 
   // Copy and modify HTML to use minified files
   console.log('Processing HTML...');
-  let html = fs.readFileSync(path.join(publicDir, 'index.html'), 'utf8');
-  html = html.replace('app.js', 'app.min.js');
-  html = html.replace('style.css', 'style.min.css');
-  fs.writeFileSync(path.join(distDir, 'index.html'), html);
+  for (const page of ['index.html', 'stats.html']) {
+    let html = fs.readFileSync(path.join(publicDir, page), 'utf8');
+    html = html.replace('names.js', 'names.min.js');
+    html = html.replace('honorees.js', 'honorees.min.js');
+    html = html.replace('nearby.js', 'nearby.min.js');
+    html = html.replace('fulltext.js', 'fulltext.min.js');
+    html = html.replace('collections.js', 'collections.min.js');
+    html = html.replace('tours.js', 'tours.min.js');
+    html = html.replace('app.js', 'app.min.js');
+    html = html.replace('stats.js', 'stats.min.js');
+    html = html.replace('style.css', 'style.min.css');
+    fs.writeFileSync(path.join(distDir, page), html);
+  }
 
   // Copy favicon
   console.log('Copying favicon...');
@@ -71,17 +85,21 @@ async function build() {
     fs.copyFileSync(sitemapSource, path.join(distDir, 'sitemap.xml'));
   }
 
-  // Copy data files
+  // Merge the OSM ways per street, tile them into public/data/streets/ and
+  // place the former names' stretches, unless the street GeoJSON is missing
+  // or unchanged; then index the street data for full-text search
+  console.log('Updating street tiles and search index...');
+  const tileResults = await runPipeline({ stages: ['merge-streets', 'tiles', 'segments', 'search-index'] });
+  printSummary(tileResults);
+  if (tileResults.some(result => result.status === 'failed')) {
+    throw new Error('Street tiles or search index could not be built');
+  }
+
+  // Copy data files (including the street tiles)
   console.log('Copying data files...');
   const dataDir = path.join(publicDir, 'data');
   if (fs.existsSync(dataDir)) {
-    const dataFiles = fs.readdirSync(dataDir);
-    for (const file of dataFiles) {
-      fs.copyFileSync(
-        path.join(dataDir, file),
-        path.join(distDataDir, file)
-      );
-    }
+    fs.cpSync(dataDir, distDataDir, { recursive: true });
   }
 
   // Get file sizes
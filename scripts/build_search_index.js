@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+/**
+ * Builds the full-text search index (see public/fulltext.js) over the
+ * descriptions, former names, historical_names entries and Wikipedia
+ * summaries of the street data, so the map doesn't tokenize the whole file
+ * on every load.
+ *
+ *   node scripts/build_search_index.js
+ *
+ * Reads data/calles_buenos_aires_final.json and writes
+ * public/data/search_index.json, which the map loads on the first search.
+ * The index points into the street data by position, so it is rebuilt
+ * whenever the data is; `npm run build` does that.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildSearchIndex } = require('../public/fulltext');
+
+const defaultStreetsPath = path.join(__dirname, '..', 'data', 'calles_buenos_aires_final.json');
+const defaultOutputPath = path.join(__dirname, '..', 'public', 'data', 'search_index.json');
+
+function buildSearchIndexFile({ streetsPath = defaultStreetsPath, outputPath = defaultOutputPath } = {}) {
+  const index = buildSearchIndex(JSON.parse(fs.readFileSync(streetsPath, 'utf8')));
+  console.log(`Indexed ${index.documents.length} passages, ${Object.keys(index.terms).length} terms`);
+
+  fs.writeFileSync(outputPath, JSON.stringify(index));
+  console.log(`Wrote ${outputPath}`);
+}
+
+if (require.main === module) {
+  buildSearchIndexFile();
+}
+
+module.exports = { buildSearchIndexFile, defaultOutputPath };
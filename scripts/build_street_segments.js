@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/**
+ * Finds on the map the stretches that former names covered. A former name
+ * with a `segment` (scripts/parse_segments.js) names the two cross streets
+ * at the ends of its stretch; this cuts the street's OSM geometry between
+ * the points where those cross streets meet it:
+ *
+ *   { "segments": { "AGUILAR": [
+ *     { "name": "Palpa", "from": "11 de Septiembre", "to": "Cabildo",
+ *       "coordinates": [[[lng, lat], ...]] } ] } }
+ *
+ * Coordinates are those of a MultiLineString: a divided avenue gives one
+ * line per roadway. Stretches whose cross streets are not on the map, or do
+ * not meet the street, are left out and listed.
+ *
+ *   node scripts/build_street_segments.js
+ *
+ * Reads the per-street geometry written by scripts/merge_street_ways.js and
+ * data/calles_buenos_aires_final.json, and writes
+ * public/data/street_segments.json, which the map loads when a stretch is
+ * clicked.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { mergedPath, getLines } = require('./merge_street_ways');
+const { normalizeStreetName, buildStreetIndex, findStreetForOsmName } = require('../public/names');
+
+const dataDir = path.join(__dirname, '..', 'data');
+const defaultStreetsPath = path.join(dataDir, 'calles_buenos_aires_final.json');
+const defaultOverridesPath = path.join(dataDir, 'name_overrides.json');
+const defaultOutputPath = path.join(__dirname, '..', 'public', 'data', 'street_segments.json');
+
+// A cross street that stops this close to the street (a T junction drawn
+// a little short) still meets it
+const NEAR_MISS_M = 25;
+const METERS_PER_DEGREE = 111320;
+
+// Planar [x, y] in meters around latitude lat0; plenty at city scale
+function toMeters([lng, lat], lat0) {
+  return [lng * METERS_PER_DEGREE * Math.cos(lat0 * Math.PI / 180), lat * METERS_PER_DEGREE];
+}
+
+// Closest point to p on the segment a-b, as [t along a-b, distance]
+function projectOnSegment(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq));
+  return [t, Math.hypot(a[0] + dx * t - p[0], a[1] + dy * t - p[1])];
+}
+
+// Where a-b crosses c-d, as t along a-b, or null
+function segmentCrossing(a, b, c, d) {
+  const rx = b[0] - a[0];
+  const ry = b[1] - a[1];
+  const sx = d[0] - c[0];
+  const sy = d[1] - c[1];
+  const denominator = rx * sy - ry * sx;
+  if (denominator === 0) return null;
+  const t = ((c[0] - a[0]) * sy - (c[1] - a[1]) * sx) / denominator;
+  const u = ((c[0] - a[0]) * ry - (c[1] - a[1]) * rx) / denominator;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+}
+
+// A line in meters with the distance along it at each point
+function measureLine(line, lat0) {
+  const points = line.map(coord => toMeters(coord, lat0));
+  const measures = [0];
+  for (let i = 1; i < points.length; i++) {
+    measures.push(measures[i - 1] + Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]));
+  }
+  return { coords: line, points, measures };
+}
+
+// Closest point to p on a measured line, as [distance along it, distance]
+function projectOnLine(p, line) {
+  let best = [0, Infinity];
+  for (let i = 1; i < line.points.length; i++) {
+    const [t, distance] = projectOnSegment(p, line.points[i - 1], line.points[i]);
+    if (distance < best[1]) best = [line.measures[i - 1] + t * (line.measures[i] - line.measures[i - 1]), distance];
+  }
+  return best;
+}
+
+/**
+ * Distances along a measured line where any of the cross lines meets it:
+ * where they cross, where a cross line ends near it and, at the ends of the
+ * line, where the line itself ends near a cross line.
+ */
+function findMeetings(line, crossLines) {
+  const meetings = [];
+  const last = line.points.length - 1;
+  crossLines.forEach(cross => {
+    for (let i = 1; i <= last; i++) {
+      for (let j = 1; j < cross.points.length; j++) {
+        const t = segmentCrossing(line.points[i - 1], line.points[i], cross.points[j - 1], cross.points[j]);
+        if (t !== null) meetings.push(line.measures[i - 1] + t * (line.measures[i] - line.measures[i - 1]));
+      }
+    }
+    [cross.points[0], cross.points[cross.points.length - 1]].forEach(end => {
+      const [measure, distance] = projectOnLine(end, line);
+      if (distance <= NEAR_MISS_M) meetings.push(measure);
+    });
+    [0, last].forEach(i => {
+      if (projectOnLine(line.points[i], cross)[1] <= NEAR_MISS_M) meetings.push(line.measures[i]);
+    });
+  });
+  return meetings;
+}
+
+// Point at a distance along a measured line
+function pointAt(line, measure) {
+  let i = 1;
+  while (i < line.measures.length - 1 && line.measures[i] < measure) i++;
+  const span = line.measures[i] - line.measures[i - 1];
+  const t = span === 0 ? 0 : (measure - line.measures[i - 1]) / span;
+  const [a, b] = [line.coords[i - 1], line.coords[i]];
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t].map(value => Math.round(value * 1e6) / 1e6);
+}
+
+// The part of a measured line between two distances along it
+function cutLine(line, start, end) {
+  const inside = line.coords
+    .filter((_, i) => line.measures[i] > start && line.measures[i] < end)
+    .map(([lng, lat]) => [lng, lat]);
+  return [pointAt(line, start), ...inside, pointAt(line, end)];
+}
+
+/**
+ * Lines of the stretch between two cross streets, one per line of the
+ * street that meets both; on each, the closest pair of meetings. Empty when
+ * no line meets both.
+ */
+function cutStretch(streetLines, fromLines, toLines) {
+  const stretch = [];
+  streetLines.forEach(line => {
+    const starts = findMeetings(line, fromLines);
+    const ends = findMeetings(line, toLines);
+    let best = null;
+    starts.forEach(start => ends.forEach(end => {
+      const length = Math.abs(end - start);
+      if (length > 0 && (!best || length < best.length)) best = { start: Math.min(start, end), end: Math.max(start, end), length };
+    }));
+    if (best) stretch.push(cutLine(line, best.start, best.end));
+  });
+  return stretch;
+}
+
+/**
+ * Stretches of every parsed former name, by current street name, and the
+ * ones that could not be placed. `features` are the merged OSM streets.
+ */
+function buildStreetSegments(features, streets, overrides = {}) {
+  const lat0 = features.length > 0 ? features[0].properties.bbox[1] : 0;
+  const index = buildStreetIndex(streets, overrides);
+  const linesByStreet = new Map();
+  const linesByName = new Map();
+  features.forEach(({ properties, geometry }) => {
+    const lines = getLines(geometry).map(line => measureLine(line, lat0));
+    const key = normalizeStreetName(properties.name);
+    linesByName.set(key, (linesByName.get(key) || []).concat(lines));
+    const street = findStreetForOsmName(index, properties.name);
+    if (street) linesByStreet.set(street, (linesByStreet.get(street) || []).concat(lines));
+  });
+
+  const segments = {};
+  const missing = [];
+  streets.forEach(street => {
+    (street.former_names || []).filter(formerName => formerName.segment).forEach(({ name, segment }) => {
+      const fromLines = linesByName.get(normalizeStreetName(segment.from)) || [];
+      const toLines = linesByName.get(normalizeStreetName(segment.to)) || [];
+      const coordinates = cutStretch(linesByStreet.get(street) || [], fromLines, toLines);
+      if (coordinates.length === 0) {
+        missing.push(`${street.current_name}: ${name} (${segment.from} - ${segment.to})`);
+        return;
+      }
+      if (!segments[street.current_name]) segments[street.current_name] = [];
+      segments[street.current_name].push({ name, from: segment.from, to: segment.to, coordinates });
+    });
+  });
+
+  return { segments, missing };
+}
+
+function buildSegmentsFile({
+  inputPath = mergedPath,
+  streetsPath = defaultStreetsPath,
+  overridesPath = defaultOverridesPath,
+  outputPath = defaultOutputPath
+} = {}) {
+  const features = JSON.parse(fs.readFileSync(inputPath, 'utf8')).features;
+  const { streets } = JSON.parse(fs.readFileSync(streetsPath, 'utf8'));
+  const overrides = fs.existsSync(overridesPath) ? JSON.parse(fs.readFileSync(overridesPath, 'utf8')).overrides : {};
+
+  const { segments, missing } = buildStreetSegments(features, streets, overrides);
+  const located = Object.values(segments).reduce((sum, list) => sum + list.length, 0);
+  console.log(`Located ${located} of ${located + missing.length} stretches`);
+  missing.forEach(entry => console.log(`  Not located: ${entry}`));
+
+  fs.writeFileSync(outputPath, JSON.stringify({ segments }));
+  console.log(`Wrote ${outputPath}`);
+}
+
+if (require.main === module) {
+  if (!fs.existsSync(mergedPath)) {
+    console.error(`${mergedPath} not found. Run npm run merge-streets first.`);
+    process.exit(1);
+  }
+  buildSegmentsFile();
+}
+
+module.exports = { buildStreetSegments, buildSegmentsFile, defaultOutputPath };
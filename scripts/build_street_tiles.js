@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/**
+ * Splits the street geometry into a grid of small GeoJSON files so the map
+ * only downloads the area in view. Each zoom level gets its own grid, with
+ * the lines simplified for that level: large cells of coarse lines for the
+ * city-wide view, small cells of full-detail lines when zoomed in. Lines are
+ * cut at cell borders, so each cell has one feature per street and no
+ * segment is in two cells.
+ *
+ * An index lists the cells of every level and the bounding box and length of
+ * every street, which is what search, selection and permalinks use before
+ * the street's own cells are loaded.
+ *
+ *   node scripts/build_street_tiles.js
+ *
+ * Reads the per-street geometry written by scripts/merge_street_ways.js and
+ * writes public/data/streets/. `npm run build` runs both when the OSM
+ * GeoJSON is present.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { mergedPath, getLines } = require('./merge_street_ways');
+
+const defaultOutputDir = path.join(__dirname, '..', 'public', 'data', 'streets');
+
+// Tolerance is in degrees (0.0001° is about 10 m in Buenos Aires)
+const LEVELS = [
+  { name: 'overview', min_zoom: 0, cell_size: 0.04, tolerance: 0.0001, precision: 5 },
+  { name: 'detail', min_zoom: 15, cell_size: 0.01, tolerance: 0.00001, precision: 6 }
+];
+
+// Squared distance from point p to the segment a-b
+function segmentDistanceSq(p, a, b) {
+  let [x, y] = a;
+  let dx = b[0] - x;
+  let dy = b[1] - y;
+  if (dx !== 0 || dy !== 0) {
+    const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+    if (t > 1) {
+      [x, y] = b;
+    } else if (t > 0) {
+      x += dx * t;
+      y += dy * t;
+    }
+  }
+  dx = p[0] - x;
+  dy = p[1] - y;
+  return dx * dx + dy * dy;
+}
+
+// Douglas-Peucker simplification, keeping both ends of the line
+function simplifyLine(coords, tolerance) {
+  if (coords.length <= 2) return coords;
+  const keep = new Uint8Array(coords.length);
+  keep[0] = keep[coords.length - 1] = 1;
+  const toleranceSq = tolerance * tolerance;
+  const stack = [[0, coords.length - 1]];
+
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = 0;
+    for (let i = first + 1; i < last; i++) {
+      const distance = segmentDistanceSq(coords[i], coords[first], coords[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    if (maxDistance > toleranceSq) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return coords.filter((_, i) => keep[i]);
+}
+
+function roundCoord(coord, precision) {
+  const factor = 10 ** precision;
+  return [Math.round(coord[0] * factor) / factor, Math.round(coord[1] * factor) / factor];
+}
+
+function roundBBox(bbox) {
+  return bbox.map(v => Math.round(v * 1e5) / 1e5);
+}
+
+// Key ("col_row") of the grid cell a point falls in
+function getCellKey([lng, lat], origin, cellSize) {
+  return `${Math.floor((lng - origin[0]) / cellSize)}_${Math.floor((lat - origin[1]) / cellSize)}`;
+}
+
+// Points where the segment a-b crosses a cell border, as [t, point] with t
+// the fraction of the way from a; on the border's axis the point is the
+// border itself, so the pieces on either side meet exactly
+function getBorderCrossings(a, b, origin, cellSize) {
+  const crossings = [];
+  [0, 1].forEach(axis => {
+    const from = (a[axis] - origin[axis]) / cellSize;
+    const to = (b[axis] - origin[axis]) / cellSize;
+    if (from === to) return;
+    for (let k = Math.ceil(Math.min(from, to)); k <= Math.floor(Math.max(from, to)); k++) {
+      const t = (k - from) / (to - from);
+      if (t <= 0 || t >= 1) continue;
+      const point = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+      point[axis] = origin[axis] + k * cellSize;
+      crossings.push([t, point]);
+    }
+  });
+  return crossings.sort((x, y) => x[0] - y[0]);
+}
+
+/**
+ * Cut a line at the cell borders it crosses. A segment that spans several
+ * cells is clipped into one piece per cell, including cells it crosses
+ * without a vertex in them; returns [cell key, piece] pairs.
+ */
+function splitLineByCell(line, origin, cellSize) {
+  const pieces = [];
+  let current = null;
+  for (let i = 1; i < line.length; i++) {
+    const a = line[i - 1];
+    const b = line[i];
+    if (a[0] === b[0] && a[1] === b[1]) continue;
+
+    const stops = [[0, a], ...getBorderCrossings(a, b, origin, cellSize), [1, b]];
+    for (let j = 1; j < stops.length; j++) {
+      const [t0, start] = stops[j - 1];
+      const [t1, end] = stops[j];
+      if (t1 === t0) continue; // Crossing a corner
+      const t = (t0 + t1) / 2;
+      const key = getCellKey([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t], origin, cellSize);
+      if (current && current.key === key) {
+        current.coords.push(end);
+      } else {
+        current = { key, coords: [start, end] };
+        pieces.push(current);
+      }
+    }
+  }
+  return pieces.map(piece => [piece.key, piece.coords]);
+}
+
+// Build the cells of one level: key -> one feature per street
+function buildLevel(streets, level, origin) {
+  const cells = new Map();
+  let points = 0;
+
+  streets.forEach(street => {
+    const name = street.properties.name;
+    getLines(street.geometry).forEach(line => {
+      splitLineByCell(simplifyLine(line, level.tolerance), origin, level.cell_size).forEach(([key, coords]) => {
+        const piece = coords.map(coord => roundCoord(coord, level.precision));
+        if (!cells.has(key)) cells.set(key, new Map());
+        const cell = cells.get(key);
+        if (!cell.has(name)) cell.set(name, []);
+        cell.get(name).push(piece);
+        points += piece.length;
+      });
+    });
+  });
+
+  return { cells, points };
+}
+
+function buildStreetTiles(inputPath = mergedPath, outputDir = defaultOutputDir) {
+  const streets = JSON.parse(fs.readFileSync(inputPath, 'utf8')).features;
+  console.log(`Tiling ${streets.length} streets...`);
+
+  const bbox = streets.map(street => street.properties.bbox).reduce((all, b) => [
+    Math.min(all[0], b[0]),
+    Math.min(all[1], b[1]),
+    Math.max(all[2], b[2]),
+    Math.max(all[3], b[3])
+  ]);
+  const origin = [bbox[0], bbox[1]];
+
+  fs.rmSync(outputDir, { recursive: true, force: true });
+
+  const index = {
+    origin,
+    bbox: roundBBox(bbox),
+    levels: [],
+    streets: Object.fromEntries(streets.map(({ properties }) =>
+      [properties.name, { bbox: roundBBox(properties.bbox), length: properties.length }]))
+  };
+
+  LEVELS.forEach(level => {
+    const { cells, points } = buildLevel(streets, level, origin);
+    const levelDir = path.join(outputDir, level.name);
+    fs.mkdirSync(levelDir, { recursive: true });
+    cells.forEach((linesByName, key) => {
+      const features = Array.from(linesByName, ([name, lines]) => ({
+        type: 'Feature',
+        properties: { name },
+        geometry: { type: 'MultiLineString', coordinates: lines }
+      }));
+      fs.writeFileSync(
+        path.join(levelDir, `${key}.json`),
+        JSON.stringify({ type: 'FeatureCollection', features })
+      );
+    });
+    const { tolerance, precision, ...levelConfig } = level;
+    index.levels.push({ ...levelConfig, cells: Array.from(cells.keys()).sort() });
+    console.log(`  ${level.name}: ${cells.size} cells, ${points} points`);
+  });
+
+  fs.writeFileSync(path.join(outputDir, 'index.json'), JSON.stringify(index));
+  console.log(`\n${streets.length} streets indexed`);
+  console.log(`Wrote ${outputDir}`);
+}
+
+if (require.main === module) {
+  if (!fs.existsSync(mergedPath)) {
+    console.error(`${mergedPath} not found. Run npm run merge-streets first.`);
+    process.exit(1);
+  }
+  buildStreetTiles();
+}
+
+module.exports = { simplifyLine, splitLineByCell, buildStreetTiles, defaultOutputDir };
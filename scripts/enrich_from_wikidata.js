@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+/**
+ * Resolves the people honored by street names to Wikidata items. Every
+ * `person` attached to a former name in data/calles_buenos_aires_final.json
+ * is searched by name (the committed data, so it runs without the book); the first human item whose birth and death years agree
+ * with the dates in the book is kept. Writes data/wikidata.json, keyed by
+ * the normalized person name (the key app.js uses for its person index):
+ *
+ *   { "name", "qid", "description", "birth", "death", "occupations",
+ *     "nationalities", "image", "wikipedia" }
+ *
+ * Dates keep the precision Wikidata gives them (YYYY, YYYY-MM or
+ * YYYY-MM-DD); image is a Wikimedia Commons file name. People already in
+ * the output are not looked up again. Requests go through the HTTP cache
+ * (scripts/http.js); WIKIDATA_API points them at another server.
+ *
+ *   node scripts/enrich_from_wikidata.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { foldName, normalizeStreetName } = require('../public/names');
+const { fetchJSON } = require('./http');
+
+const DEFAULT_API = 'https://www.wikidata.org/w/api.php';
+const DELAY_MS = 200; // Be nice to Wikidata
+const MAX_CANDIDATES = 5;
+const YEAR_TOLERANCE = 1; // Sources disagree by a year often enough (calendars, baptism dates)
+
+const HUMAN = 'Q5';
+const PROPERTIES = {
+  instanceOf: 'P31',
+  birth: 'P569',
+  death: 'P570',
+  occupation: 'P106',
+  citizenship: 'P27',
+  image: 'P18'
+};
+
+const defaultInput = path.join(__dirname, '..', 'data', 'calles_buenos_aires_final.json');
+const defaultOutput = path.join(__dirname, '..', 'data', 'wikidata.json');
+const OUTPUT_DESCRIPTION = 'Wikidata items for the people honored by street names, keyed by normalized person name. Written by scripts/enrich_from_wikidata.js; the map shows them as biography cards.';
+
+// Unique people attached to former names, in order of first appearance
+function collectPeople(data) {
+  const people = new Map();
+  const add = person => {
+    if (!person || !person.name) return;
+    const key = normalizeStreetName(person.name);
+    if (!people.has(key)) people.set(key, person);
+  };
+  (data.historical_names || []).forEach(entry => add(entry.person));
+  data.streets.forEach(street => (street.former_names || []).forEach(former => add(former.person)));
+  return people;
+}
+
+// Candidate years from one side of the book's "1810-1861". Uncertain forms
+// ("¿1810?", "¿1810 o 1811?") give every year they mention; "?" gives none
+function parseYears(text) {
+  const years = (text.match(/\d+/g) || []).map(Number);
+  return /a\.\s*C\./.test(text) ? years.map(year => -year) : years;
+}
+
+// Birth and death years from the book's dates. A few dates fields hold a
+// citation or a street name instead; those give no years.
+function parseBookDates(dates) {
+  const text = dates || '';
+  const separator = text.indexOf('-');
+  if (separator === -1 || /[a-z]{3,}/i.test(text.replace(/a\.\s*C\./g, ''))) {
+    return { birth: [], death: [] };
+  }
+  return { birth: parseYears(text.slice(0, separator)), death: parseYears(text.slice(separator + 1)) };
+}
+
+// Wikidata time value as YYYY, YYYY-MM or YYYY-MM-DD, following its precision
+function formatTime({ time, precision }) {
+  const [, sign, year, month, day] = /^([+-])0*(\d+)-(\d\d)-(\d\d)/.exec(time);
+  const prefix = sign === '-' ? '-' : '';
+  if (precision >= 11) return `${prefix}${year}-${month}-${day}`;
+  if (precision === 10) return `${prefix}${year}-${month}`;
+  return `${prefix}${year}`;
+}
+
+const getYear = date => (date ? parseInt(date.replace(/^(-?\d+).*$/, '$1'), 10) : null);
+
+// Values of a property on an entity: item IDs, time values or strings
+function getClaimValues(entity, property) {
+  return (entity.claims?.[property] || [])
+    .filter(claim => claim.rank !== 'deprecated' && claim.mainsnak?.snaktype === 'value')
+    .map(claim => {
+      const value = claim.mainsnak.datavalue.value;
+      return typeof value === 'object' && value.id ? value.id : value;
+    });
+}
+
+// The book's dates agree with the item's when every known year matches
+function datesAgree(bookDates, item) {
+  const { birth, death } = parseBookDates(bookDates);
+  const sides = [[birth, getYear(item.birth)], [death, getYear(item.death)]];
+  let matched = 0;
+  for (const [years, year] of sides) {
+    if (years.length === 0) continue;
+    if (year === null) return false;
+    if (!years.some(candidate => Math.abs(candidate - year) <= YEAR_TOLERANCE)) return false;
+    matched++;
+  }
+  return matched > 0;
+}
+
+function createWikidataClient(apiUrl = process.env.WIKIDATA_API || DEFAULT_API) {
+  const labelCache = new Map();
+
+  const call = params => fetchJSON(`${apiUrl}?${new URLSearchParams({ format: 'json', ...params })}`, { delayMs: DELAY_MS });
+
+  async function search(name) {
+    const result = await call({ action: 'wbsearchentities', search: name, language: 'es', uselang: 'es', type: 'item', limit: MAX_CANDIDATES });
+    return (result.search || []).map(entry => entry.id);
+  }
+
+  async function getEntities(ids, props) {
+    if (ids.length === 0) return {};
+    const result = await call({ action: 'wbgetentities', ids: ids.join('|'), props, languages: 'es', sitefilter: 'eswiki' });
+    return result.entities || {};
+  }
+
+  // Spanish labels of items (occupations, countries), fetched once per run
+  async function getLabels(ids) {
+    const missing = Array.from(new Set(ids)).filter(id => !labelCache.has(id));
+    const entities = await getEntities(missing, 'labels');
+    missing.forEach(id => labelCache.set(id, entities[id]?.labels?.es?.value || null));
+    return ids.map(id => labelCache.get(id)).filter(Boolean);
+  }
+
+  return { search, getEntities, getLabels };
+}
+
+// Bare facts of an item, before its linked items are given labels
+function readEntity(entity) {
+  const [birth] = getClaimValues(entity, PROPERTIES.birth);
+  const [death] = getClaimValues(entity, PROPERTIES.death);
+  const [image] = getClaimValues(entity, PROPERTIES.image);
+  const sitelink = entity.sitelinks?.eswiki;
+  return {
+    qid: entity.id,
+    label: entity.labels?.es?.value || null,
+    description: entity.descriptions?.es?.value || null,
+    human: getClaimValues(entity, PROPERTIES.instanceOf).includes(HUMAN),
+    birth: birth ? formatTime(birth) : null,
+    death: death ? formatTime(death) : null,
+    occupations: getClaimValues(entity, PROPERTIES.occupation),
+    nationalities: getClaimValues(entity, PROPERTIES.citizenship),
+    image: image || null,
+    wikipedia: sitelink ? `https://es.wikipedia.org/wiki/${encodeURIComponent(sitelink.title.replace(/ /g, '_'))}` : null
+  };
+}
+
+/**
+ * Find the Wikidata item for a person from the book. With dates, the item's
+ * years must agree with them; without, the name must match a single human
+ * item's label exactly. Returns the record stored in data/wikidata.json, or
+ * null.
+ */
+async function findPerson(person, client = createWikidataClient()) {
+  const ids = await client.search(person.name);
+  const entities = await client.getEntities(ids, 'labels|descriptions|claims|sitelinks');
+  const humans = ids.map(id => entities[id]).filter(Boolean).map(readEntity).filter(item => item.human);
+
+  const { birth, death } = parseBookDates(person.dates);
+  let item;
+  if (birth.length > 0 || death.length > 0) {
+    item = humans.find(candidate => datesAgree(person.dates, candidate));
+  } else {
+    const sameName = humans.filter(candidate => candidate.label && foldName(candidate.label) === foldName(person.name));
+    item = sameName.length === 1 ? sameName[0] : null;
+  }
+  if (!item) return null;
+
+  const occupations = await client.getLabels(item.occupations);
+  const nationalities = await client.getLabels(item.nationalities);
+  const record = {
+    name: person.name,
+    qid: item.qid,
+    description: item.description,
+    birth: item.birth,
+    death: item.death,
+    occupations,
+    nationalities,
+    image: item.image,
+    wikipedia: item.wikipedia
+  };
+  return Object.fromEntries(Object.entries(record).filter(([, value]) =>
+    value !== null && !(Array.isArray(value) && value.length === 0)));
+}
+
+async function enrichPeople({ inputPath = defaultInput, outputPath = defaultOutput, apiUrl } = {}) {
+  const people = collectPeople(JSON.parse(fs.readFileSync(inputPath, 'utf8')));
+  const output = fs.existsSync(outputPath)
+    ? JSON.parse(fs.readFileSync(outputPath, 'utf8'))
+    : { description: OUTPUT_DESCRIPTION, people: {} };
+  const client = createWikidataClient(apiUrl);
+  console.log(`Processing ${people.size} people...\n`);
+
+  let found = 0;
+  let processed = 0;
+
+  for (const [key, person] of people) {
+    processed++;
+    if (output.people[key]) continue;
+
+    try {
+      const record = await findPerson(person, client);
+      if (record) {
+        output.people[key] = record;
+        found++;
+        console.log(`[${processed}/${people.size}] ✓ ${person.name} -> ${record.qid}`);
+      } else if (processed % 50 === 0) {
+        console.log(`[${processed}/${people.size}] Processing...`);
+      }
+    } catch (error) {
+      console.error(`Lookup error for "${person.name}": ${error.message}`);
+    }
+
+    // Save progress every 100 people
+    if (processed % 100 === 0) {
+      savePeople(outputPath, output);
+    }
+  }
+
+  savePeople(outputPath, output);
+  console.log(`\nDone! Found ${found} people on Wikidata (${Object.keys(output.people).length} of ${people.size} resolved).`);
+}
+
+function savePeople(outputPath, output) {
+  output.people = Object.fromEntries(
+    Object.entries(output.people).sort(([a], [b]) => a.localeCompare(b, 'es'))
+  );
+  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
+}
+
+if (require.main === module) {
+  if (!fs.existsSync(defaultInput)) {
+    console.error(`${defaultInput} not found. Run npm run assemble first.`);
+    process.exit(1);
+  }
+  enrichPeople().catch(console.error);
+}
+
+module.exports = { collectPeople, parseBookDates, formatTime, findPerson, enrichPeople, createWikidataClient };
@@ -1,34 +1,51 @@
 #!/usr/bin/env node
 /**
- * Enriches street data with information from Spanish Wikipedia
+ * Enriches street data with information from Spanish Wikipedia. Looks up
+ * every extracted street (data/build/streets_extracted.json) that has no
+ * entry yet in data/wikipedia.json and adds what it finds there, with the
+ * confidence of the match (see scoreArticle), the search query that found
+ * it and a review status. Matches found before queries were recorded have
+ * a null query until a run searches their street again and finds the same
+ * article (rejected ones stay null):
+ *
+ *   auto      found by this script, not reviewed; shown on the map when its
+ *             confidence is at least AUTO_ACCEPT_CONFIDENCE
+ *   accepted  confirmed with scripts/review_wikipedia.js; always shown
+ *   rejected  wrong article; never shown, and the street is not searched
+ *             again, so the next run does not add it back
+ *
+ * Requests go through the HTTP cache (scripts/http.js), so a run can be
+ * replayed; WIKIPEDIA_API points them at another server.
+ *
+ *   node scripts/enrich_from_wikipedia.js
  */
 
 const fs = require('fs');
 const path = require('path');
+const { foldName, normalizeStreetName, toNaturalOrder } = require('../public/names');
+const { fetchJSON } = require('./http');
 
-const WIKI_API = 'https://es.wikipedia.org/w/api.php';
+const DEFAULT_API = 'https://es.wikipedia.org/w/api.php';
 const DELAY_MS = 200; // Be nice to Wikipedia
 
-// Load street data
-const dataPath = path.join(__dirname, '..', 'data', 'calles_buenos_aires_final.json');
-const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
-
-async function fetchWithRetry(url, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      const response = await fetch(url, {
-        headers: { 'User-Agent': 'CallesBuenosAires/1.0 (https://github.com/fmariluis/calles-de-buenos-aires)' }
-      });
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-      const text = await response.text();
-      return JSON.parse(text);
-    } catch (error) {
-      if (i === retries - 1) throw error;
-      await sleep(1000 * (i + 1)); // Exponential backoff
-    }
-  }
+const MIN_EXTRACT_LENGTH = 100;
+const MIN_CONFIDENCE = 0.5; // Weaker matches are not stored
+const AUTO_ACCEPT_CONFIDENCE = 0.85; // Unreviewed matches below this are not shown on the map
+const SCORE_WEIGHTS = { streetTitle: 0.2, surname: 0.25, givenNames: 0.2, noOtherName: 0.1, cityInTitle: 0.1, cityInText: 0.15 };
+const STREET_WORDS = ['CALLE', 'AVENIDA', 'PASAJE', 'PASEO', 'BOULEVARD', 'DIAGONAL', 'AUTOPISTA'];
+const OTHER_CITIES = ['BARCELONA', 'MADRID', 'ALICANTE', 'TUCUMAN', 'ZARAGOZA', 'CORDOBA', 'ROSARIO', 'MENDOZA'];
+const CITY_MENTIONS = ['buenos aires', 'capital federal', 'ciudad autónoma'];
+const NAME_STOPWORDS = new Set(['DE', 'DEL', 'LA', 'LAS', 'LOS', 'EL', 'Y']);
+// Ranks in article titles that the book leaves out of the street name
+const TITLE_WORDS = new Set(['INTENDENTE', 'COMODORO', 'AGENTE', 'PRESIDENTE', 'GENERAL', 'TENIENTE', 'CORONEL', 'DOCTOR']);
+
+const defaultInput = path.join(__dirname, '..', 'data', 'build', 'streets_extracted.json');
+const defaultOutput = path.join(__dirname, '..', 'data', 'wikipedia.json');
+const OUTPUT_DESCRIPTION = 'Spanish Wikipedia articles about streets, keyed by current_name, with match confidence and review status. Written by scripts/enrich_from_wikipedia.js and reviewed with scripts/review_wikipedia.js; scripts/assemble_data.js adds the accepted and confident ones to the street records.';
+
+function fetchWikiAPI(params) {
+  const apiUrl = process.env.WIKIPEDIA_API || DEFAULT_API;
+  return fetchJSON(`${apiUrl}?${params}`, { delayMs: DELAY_MS });
 }
 
 async function searchWikipedia(query) {
@@ -41,7 +58,7 @@ async function searchWikipedia(query) {
   });
 
   try {
-    const result = await fetchWithRetry(`${WIKI_API}?${params}`);
+    const result = await fetchWikiAPI(params);
     return result.query?.search || [];
   } catch (error) {
     console.error(`Search error for "${query}": ${error.message}`);
@@ -61,7 +78,7 @@ async function getArticleSummary(title) {
   });
 
   try {
-    const result = await fetchWithRetry(`${WIKI_API}?${params}`);
+    const result = await fetchWikiAPI(params);
     const pages = result.query?.pages || {};
     const page = Object.values(pages)[0];
 
@@ -78,15 +95,68 @@ async function getArticleSummary(title) {
   return null;
 }
 
-function normalizeStreetName(name) {
-  return name
-    .replace(/,.*$/, '') // Remove everything after comma
-    .replace(/^(AVENIDA|AV\.?|CALLE|PASAJE|PASEO)\s+/i, '')
-    .trim();
+// Search text for a street: its surname, which is how articles are titled
+// ("Calle Acevedo"); normalized so it compares with folded titles
+function getSearchName(name) {
+  return normalizeStreetName(name.split(', ')[0]);
+}
+
+// Folded words of a name, without articles and one-letter initials
+function getWords(name) {
+  return normalizeStreetName(name).split(/[^A-Z0-9]+/).filter(word => word.length > 1 && !NAME_STOPWORDS.has(word));
+}
+
+/**
+ * How sure we are that an article is about the street, from 0 to 1. The
+ * title must name a street and the street's surname, and the article must
+ * be long enough to judge. The score then adds up how much of the surname
+ * and of the given names the title repeats ("Avenida Alvear" is rarely
+ * about "ALVEAR, EMILIO DE"), whether the title names no one else
+ * ("Avenida Martín García" for "GARCÍA, MANUEL") and whether the title
+ * and the text place the street in Buenos Aires. Articles about streets of
+ * other cities, named or given as the title's qualifier, score 0.
+ */
+function scoreArticle(streetName, title, extract) {
+  const folded = foldName(title);
+  const titleWords = new Set(folded.split(/[^A-Z0-9]+/));
+  const surnameWords = getWords(streetName.split(', ')[0]);
+  const nameWords = getWords(toNaturalOrder(streetName));
+  const givenWords = nameWords.filter(word => !surnameWords.includes(word));
+  const place = /\(([^)]+)\)\s*$/.exec(title); // "Avenida Maipú (Vicente López)"
+
+  if (!STREET_WORDS.some(word => titleWords.has(word))) return 0;
+  if (!titleWords.has(getSearchName(streetName).split(' ')[0])) return 0;
+  if (OTHER_CITIES.some(city => folded.includes(city))) return 0;
+  if (place && foldName(place[1]) !== 'BUENOS AIRES') return 0;
+  if (!extract || extract.length < MIN_EXTRACT_LENGTH) return 0;
+
+  const share = words => (words.length === 0 ? 1 : words.filter(word => titleWords.has(word)).length / words.length);
+  const otherWords = getWords(title.replace(/\bBuenos Aires\b/gi, ''))
+    .filter(word => !nameWords.includes(word) && !STREET_WORDS.includes(word) && !TITLE_WORDS.has(word));
+  const text = extract.toLowerCase();
+
+  // Given names only count next to the whole surname: "Calle San Martín"
+  // names neither "SAN MARTÍN DE TOURS" nor anyone called San Martín de Tours
+  const surnameShare = share(surnameWords);
+  const givenShare = surnameShare === 1 ? share(givenWords) : 0;
+
+  const score = SCORE_WEIGHTS.streetTitle +
+    SCORE_WEIGHTS.surname * surnameShare +
+    SCORE_WEIGHTS.givenNames * givenShare +
+    (otherWords.length === 0 ? SCORE_WEIGHTS.noOtherName : 0) +
+    (folded.includes('BUENOS AIRES') ? SCORE_WEIGHTS.cityInTitle : 0) +
+    (CITY_MENTIONS.some(mention => text.includes(mention)) ? SCORE_WEIGHTS.cityInText : 0);
+  return Math.round(score * 100) / 100;
 }
 
+/**
+ * Search for an article about the street and score every candidate. Stops
+ * at the first candidate good enough to show without review; otherwise
+ * returns the best one above MIN_CONFIDENCE, with the query that found it,
+ * or null.
+ */
 async function findStreetArticle(streetName) {
-  const baseName = normalizeStreetName(streetName);
+  const baseName = getSearchName(streetName);
 
   // Try different search patterns - be specific about Buenos Aires
   const queries = [
@@ -94,103 +164,113 @@ async function findStreetArticle(streetName) {
     `Avenida ${baseName} Buenos Aires`
   ];
 
+  let best = null;
+  const seen = new Set();
   for (const query of queries) {
     const results = await searchWikipedia(query);
 
     for (const result of results) {
-      const title = result.title.toLowerCase();
-      const baseNameLower = baseName.toLowerCase();
-      const firstWord = baseNameLower.split(' ')[0];
+      if (seen.has(result.title)) continue;
+      seen.add(result.title);
 
-      // Must be a street/avenue article
-      if (!title.includes('calle') && !title.includes('avenida')) {
-        continue;
-      }
-
-      // Must contain the street name
-      if (!title.includes(firstWord)) {
-        continue;
-      }
-
-      // Must be about Buenos Aires (check title or article content)
-      const isBuenosAires = title.includes('buenos aires') ||
-                           title.endsWith(firstWord) || // Simple name like "Calle Echeverría"
-                           title.includes('(buenos aires)');
-
-      // Reject if clearly from another city
-      const otherCities = ['barcelona', 'madrid', 'alicante', 'tucumán', 'zaragoza', 'córdoba', 'rosario', 'mendoza'];
-      const isOtherCity = otherCities.some(city => title.includes(city));
-
-      if (isOtherCity) {
-        continue;
-      }
+      // Only fetch the text of titles that can score at all
+      if (scoreArticle(streetName, result.title, 'x'.repeat(MIN_EXTRACT_LENGTH)) === 0) continue;
 
       const article = await getArticleSummary(result.title);
-      if (article && article.extract && article.extract.length > 100) {
-        // Double check the content mentions Buenos Aires
-        const extractLower = article.extract.toLowerCase();
-        if (extractLower.includes('buenos aires') ||
-            extractLower.includes('ciudad de buenos aires') ||
-            extractLower.includes('capital federal') ||
-            extractLower.includes('ciudad autónoma')) {
-          return article;
-        }
+      if (!article) continue;
+
+      const confidence = scoreArticle(streetName, article.title, article.extract);
+      if (confidence >= MIN_CONFIDENCE && (!best || confidence > best.confidence)) {
+        best = { article, confidence, query };
       }
+      if (best && best.confidence >= AUTO_ACCEPT_CONFIDENCE) return best;
     }
   }
 
-  return null;
+  return best;
 }
 
-async function enrichStreets() {
-  console.log(`Processing ${data.streets.length} streets...\n`);
+async function enrichStreets({ inputPath = defaultInput, outputPath = defaultOutput } = {}) {
+  const { streets } = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+  const output = fs.existsSync(outputPath)
+    ? JSON.parse(fs.readFileSync(outputPath, 'utf8'))
+    : { description: OUTPUT_DESCRIPTION, articles: {} };
+  console.log(`Processing ${streets.length} streets...\n`);
 
   let enriched = 0;
+  let recorded = 0;
   let processed = 0;
 
-  for (const street of data.streets) {
+  for (const street of streets) {
     processed++;
 
-    // Skip if already has Wikipedia data
-    if (street.wikipedia) {
+    // Skip streets with an entry, rejected ones included. Matches found
+    // before queries were recorded are searched again, only to record the
+    // query if it still finds the same article.
+    const entry = output.articles[street.current_name];
+    if (entry) {
+      if (entry.query === null && entry.status !== 'rejected') {
+        const match = await findStreetArticle(street.current_name);
+        if (match && match.article.title === entry.title) {
+          entry.query = match.query;
+          recorded++;
+        }
+      }
       continue;
     }
 
-    const article = await findStreetArticle(street.current_name);
+    const match = await findStreetArticle(street.current_name);
 
-    if (article) {
-      street.wikipedia = {
+    if (match) {
+      const { article, confidence, query } = match;
+      output.articles[street.current_name] = {
         title: article.title,
         summary: article.extract.substring(0, 500) + (article.extract.length > 500 ? '...' : ''),
-        url: article.url
+        url: article.url,
+        confidence,
+        query,
+        status: 'auto'
       };
       enriched++;
-      console.log(`[${processed}/${data.streets.length}] ✓ ${street.current_name} -> ${article.title}`);
+      console.log(`[${processed}/${streets.length}] ✓ ${street.current_name} -> ${article.title} (${confidence})`);
     } else {
       if (processed % 50 === 0) {
-        console.log(`[${processed}/${data.streets.length}] Processing...`);
+        console.log(`[${processed}/${streets.length}] Processing...`);
       }
     }
 
     // Save progress every 100 streets
     if (processed % 100 === 0) {
-      saveData();
+      saveArticles(outputPath, output);
     }
-
-    await sleep(DELAY_MS);
   }
 
-  saveData();
+  saveArticles(outputPath, output);
+  const pending = Object.values(output.articles).filter(entry => entry.status === 'auto').length;
   console.log(`\nDone! Enriched ${enriched} streets with Wikipedia data.`);
+  if (recorded > 0) console.log(`Recorded the query of ${recorded} earlier matches.`);
+  console.log(`${pending} matches await review (npm run review-wikipedia).`);
 }
 
-function saveData() {
-  fs.writeFileSync(dataPath, JSON.stringify(data, null, 2));
+// Whether an entry of data/wikipedia.json goes into the street records
+function isArticleShown(entry) {
+  return entry.status === 'accepted' ||
+    (entry.status === 'auto' && entry.confidence >= AUTO_ACCEPT_CONFIDENCE);
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function saveArticles(outputPath, output) {
+  output.articles = Object.fromEntries(
+    Object.entries(output.articles).sort(([a], [b]) => a.localeCompare(b, 'es'))
+  );
+  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
+}
+
+if (require.main === module) {
+  if (!fs.existsSync(defaultInput)) {
+    console.error(`${defaultInput} not found. Run npm run extract first.`);
+    process.exit(1);
+  }
+  enrichStreets().catch(console.error);
 }
 
-// Run
-enrichStreets().catch(console.error);
+module.exports = { enrichStreets, findStreetArticle, scoreArticle, isArticleShown, saveArticles, AUTO_ACCEPT_CONFIDENCE };
@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+/**
+ * Extracts the street history data from a text dump of Piñeiro's
+ * "Las calles de Buenos Aires. Sus nombres desde la fundación hasta nuestros
+ * días" and writes it to data/build/streets_extracted.json, from which
+ * scripts/assemble_data.js builds the calles_*.json files.
+ *
+ * Works offline from a local copy of the PDF text in reading order, one
+ * column (pdftotext's default; -layout keeps the page columns side by side,
+ * which this parser does not read), e.g.:
+ *
+ *   pdftotext calles.pdf data/source/calles_pineiro.txt
+ *   node scripts/extract_from_pdf_text.js [input.txt] [--dry-run]
+ *
+ * The text is expected to have two parts, one after the other, each
+ * starting with its title on a line of its own (test/fixtures/
+ * pineiro_excerpt.txt is a short example):
+ *
+ *   NOMBRES ACTUALES
+ *   AGÜERO
+ *   Ordenanza del 27/11/1893. Laprida. ...
+ *   ...
+ *   NOMBRES ANTERIORES
+ *   LAPRIDA - Agüero
+ *   La denominación Laprida abarcaba ...
+ *
+ * Current-name entries start with the name in capitals on its own line.
+ * Former-name entries start with the old name in capitals, followed by
+ * " - " and the street that carries it today (nothing if it no longer
+ * exists).
+ *
+ * Fixes to the source text go in data/source/corrections.json as
+ * [{ "find": "...", "replace": "...", "note": "..." }] and are applied before
+ * parsing, so the data can be regenerated instead of hand-edited.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseLegalCitation, extractCitation } = require('./parse_legal_basis');
+const { migrateStreet } = require('./migrate_schema');
+const { addSegments } = require('./parse_segments');
+const { foldName, normalizeStreetName, getNameVariants } = require('../public/names');
+
+const dataDir = path.join(__dirname, '..', 'data');
+const defaultInput = path.join(dataDir, 'source', 'calles_pineiro.txt');
+const defaultOutput = path.join(dataDir, 'build', 'streets_extracted.json');
+const defaultCorrections = path.join(dataDir, 'source', 'corrections.json');
+
+const SOURCE = {
+  source: 'Las calles de Buenos Aires. Sus nombres desde la fundación hasta nuestros días',
+  author: 'Alberto Gabriel Piñeiro',
+  publisher: 'Instituto Histórico de la Ciudad de Buenos Aires',
+  year: 2003
+};
+
+const PART_TITLES = {
+  current: /^NOMBRES ACTUALES$/,
+  historical: /^NOMBRES ANTERIORES$/
+};
+
+// Running headers and footers that pdftotext leaves on every page
+const PAGE_FURNITURE = [
+  /^\d+$/, // Page numbers
+  /^LAS CALLES DE BUENOS AIRES$/i,
+  /^INSTITUTO HIST[OÓ]RICO DE LA CIUDAD DE BUENOS AIRES$/i
+];
+
+// A heading is in capitals; former names may join variants with " o "
+// ("ARROYO o DEL ARROYO").
+const HEADING_NAME = /^[A-ZÁÉÍÓÚÜÑ0-9¿?“”"'’.,()\- ]+?(?: o [A-ZÁÉÍÓÚÜÑ0-9¿?“”"'’.,()\- ]+?)*$/;
+
+// Needs two capitals in a row so that initials at the start of a wrapped
+// line ("B.M. N° 2.714") aren't taken as headings, and can't end a sentence
+// ("Véase ACHEGA.") unless the period belongs to an initial ("JUSTO, JUAN B.")
+// or an acronym ("A.B.C.").
+function isHeadingName(text) {
+  if (/^(?:[A-Z]\.){2,}$/.test(text)) return true;
+  if (!HEADING_NAME.test(text) || !/[A-ZÁÉÍÓÚÜÑ]{2}/.test(text)) return false;
+  return !text.endsWith('.') || /(^|[\s.])[A-ZÁÉÍÓÚÜÑ]\.$/.test(text);
+}
+
+// Apply manual corrections and undo pdftotext line wrapping artifacts
+function preprocess(text, corrections) {
+  let fixed = text.replace(/\r\n?/g, '\n').replace(/\f/g, '\n');
+  corrections.forEach(({ find, replace }) => {
+    fixed = fixed.split(find).join(replace);
+  });
+
+  return fixed
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => !PAGE_FURNITURE.some(pattern => pattern.test(line)));
+}
+
+// Split the lines into the two parts of the book
+function splitParts(lines) {
+  const parts = { current: [], historical: [] };
+  let part = null;
+  lines.forEach(line => {
+    if (PART_TITLES.current.test(line)) part = 'current';
+    else if (PART_TITLES.historical.test(line)) part = 'historical';
+    else if (part) parts[part].push(line);
+  });
+  return parts;
+}
+
+// Join wrapped lines, rejoining words hyphenated across a line break
+function joinLines(lines) {
+  return lines.reduce((text, line) => {
+    if (!text) return line;
+    if (/[a-záéíóúñ]-$/.test(text) && /^[a-záéíóúñ]/.test(line)) {
+      return text.slice(0, -1) + line;
+    }
+    return `${text} ${line}`;
+  }, '');
+}
+
+// Group lines into entries, each starting at a heading line
+function splitEntries(lines, parseHeading) {
+  const entries = [];
+  let current = null;
+  lines.forEach(line => {
+    if (!line) return;
+    const heading = parseHeading(line);
+    if (heading) {
+      current = { ...heading, lines: [] };
+      entries.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  });
+  return entries.map(({ lines: body, ...heading }) => ({ ...heading, text: joinLines(body) }));
+}
+
+function parseCurrentHeading(line) {
+  return isHeadingName(line) && !line.includes(' - ') ? { name: line } : null;
+}
+
+function parseHistoricalHeading(line) {
+  const [name, ...rest] = line.split(' - ');
+  if (!isHeadingName(name.trim())) return null;
+  const became = rest.join(' - ').trim();
+  return { name: name.trim(), became: became || null };
+}
+
+// "1) Parque del Oeste. ... 2) Amambay." -> ['Parque del Oeste', 'Amambay']
+function parsePreviousNames(text) {
+  return Array.from(text.matchAll(/(?:^|\s)\d{1,2}\) ([^.]+?)\.(?=\s|$)/g), match => match[1].trim());
+}
+
+// "Francisco Narciso de Laprida (1786-1829), jurisconsulto; diputado ..."
+function parsePerson(text) {
+  const match = text.match(/([A-ZÁÉÍÓÚÑ][^.();:]*?) \(([¿?\d][^()]*?-[^()]*?)\),\s*([^;.]+)/);
+  if (!match) return null;
+  return { name: match[1].trim(), dates: match[2].trim(), profession: match[3].trim() };
+}
+
+// "Abril: cuarto mes del año." -> "cuarto mes del año."
+function parseEtymology(text, name) {
+  const folded = foldName(name);
+  for (const match of text.matchAll(/(?:^|\.\s)([^.:]+): ([^.]+\.)/g)) {
+    const label = foldName(match[1]);
+    if (folded.includes(label) || label.includes(folded.split(' ')[0])) {
+      return match[2].trim();
+    }
+  }
+  return null;
+}
+
+function buildHistoricalName(entry) {
+  const record = {
+    old_name: entry.name,
+    became: entry.became,
+    description: entry.text || null
+  };
+  if (entry.text) {
+    const etymology = parseEtymology(entry.text, entry.name);
+    const person = parsePerson(entry.text);
+    if (etymology) record.etymology = etymology;
+    if (person) record.person = person;
+  }
+  return record;
+}
+
+// Attach each former name to the current street it became
+function linkHistoricalNames(streets, historicalNames) {
+  const byVariant = new Map();
+  const bySurname = new Map();
+  streets.forEach(street => {
+    // First street wins, so "Sarmiento" stays with SARMIENTO and not with
+    // SARMIENTO, AVENIDA
+    getNameVariants(street.current_name, { includeSurname: false }).forEach(variant => {
+      if (!byVariant.has(variant)) byVariant.set(variant, street);
+    });
+    const surname = normalizeStreetName(street.current_name.split(', ')[0]);
+    bySurname.set(surname, bySurname.has(surname) ? null : street); // null when ambiguous
+  });
+
+  let linked = 0;
+  historicalNames.forEach(historical => {
+    if (!historical.became) return;
+    const key = normalizeStreetName(historical.became);
+    const street = byVariant.get(key) || bySurname.get(key);
+    if (!street) return;
+
+    const oldName = { name: historical.old_name, description: historical.description };
+    if (historical.person) oldName.person = historical.person;
+    else if (historical.etymology) oldName.etymology = historical.etymology;
+
+    street.old_names = street.old_names || [];
+    street.old_names.push(oldName);
+    linked++;
+  });
+  return linked;
+}
+
+function buildStreet(entry) {
+  const street = {
+    current_name: entry.name,
+    description: entry.text
+  };
+  const citation = extractCitation(entry.text);
+  if (citation) street.legal_basis = citation;
+  street.legal = parseLegalCitation(street);
+  if (/Sin nombre anterior/i.test(entry.text)) street.no_previous_name = true;
+  const previousNames = parsePreviousNames(entry.text);
+  if (previousNames.length > 0) street.previous_names = previousNames;
+  return street;
+}
+
+function extract({ inputPath = defaultInput, outputPath = defaultOutput, correctionsPath = defaultCorrections, dryRun = false } = {}) {
+  if (!fs.existsSync(inputPath)) {
+    throw new Error(`Source text not found: ${inputPath}`);
+  }
+
+  const corrections = fs.existsSync(correctionsPath)
+    ? JSON.parse(fs.readFileSync(correctionsPath, 'utf8'))
+    : [];
+
+  console.log(`Reading ${inputPath}`);
+  const lines = preprocess(fs.readFileSync(inputPath, 'utf8'), corrections);
+  console.log(`  Lines after cleanup: ${lines.length}`);
+  console.log(`  Corrections applied: ${corrections.length}`);
+
+  const parts = splitParts(lines);
+  console.log(`  Current names part: ${parts.current.length} lines`);
+  console.log(`  Former names part: ${parts.historical.length} lines\n`);
+
+  // Stage 1: current names
+  const currentEntries = splitEntries(parts.current, parseCurrentHeading);
+  const streets = currentEntries.map(buildStreet);
+  console.log('Current names:');
+  console.log(`  Entries: ${streets.length}`);
+  console.log(`  With legal citation: ${streets.filter(s => s.legal_basis).length}`);
+  console.log(`  Without previous name: ${streets.filter(s => s.no_previous_name).length}`);
+  console.log(`  With numbered previous names: ${streets.filter(s => s.previous_names).length}\n`);
+
+  // Stage 2: former names
+  const historicalEntries = splitEntries(parts.historical, parseHistoricalHeading);
+  const historicalNames = historicalEntries.map(buildHistoricalName);
+  console.log('Former names:');
+  console.log(`  Entries: ${historicalNames.length}`);
+  console.log(`  With current street: ${historicalNames.filter(h => h.became).length}`);
+  console.log(`  With person: ${historicalNames.filter(h => h.person).length}`);
+  console.log(`  With etymology: ${historicalNames.filter(h => h.etymology).length}\n`);
+
+  // Stage 3: link former names to current streets
+  const linked = linkHistoricalNames(streets, historicalNames);
+  console.log('Linking:');
+  console.log(`  Former names linked to a current street: ${linked}`);
+  console.log(`  Streets with linked former names: ${streets.filter(s => s.old_names).length}\n`);
+
+  console.log('Legal citations:');
+  ['ok', 'partial', 'failed'].forEach(status => {
+    console.log(`  ${status}: ${streets.filter(s => s.legal.status === status).length}`);
+  });
+
+  // Merge numbered and linked former names into the canonical record
+  const extracted = {
+    metadata: {
+      ...SOURCE,
+      total_current_streets: streets.length,
+      total_historical_names: historicalNames.length,
+      linked_historical_names: linked
+    },
+    streets: streets.map(migrateStreet).map(addSegments),
+    historical_names: historicalNames
+  };
+
+  if (dryRun) {
+    console.log('\nDry run: nothing written');
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify(extracted, null, 2));
+  console.log(`\nSaved ${outputPath}`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  try {
+    extract({
+      inputPath: args.find(arg => !arg.startsWith('--')),
+      dryRun: args.includes('--dry-run')
+    });
+  } catch (error) {
+    console.error(error.message);
+    console.error('Convert the PDF first: pdftotext calles.pdf data/source/calles_pineiro.txt');
+    process.exit(1);
+  }
+}
+
+module.exports = { extract, SOURCE };
@@ -1,11 +1,16 @@
 #!/usr/bin/env node
 /**
  * Fetches Buenos Aires streets from OpenStreetMap via Overpass API
- * and saves them as GeoJSON.
+ * and saves them as GeoJSON in data/buenos_aires_streets_raw.geojson, for
+ * scripts/filter_to_caba.js to clip. Responses go through the HTTP cache
+ * (scripts/http.js), so HTTP_CACHE=replay rebuilds without network access.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { fetchJSON } = require('./http');
+
+const defaultOutput = path.join(__dirname, '..', 'data', 'buenos_aires_streets_raw.geojson');
 
 // Buenos Aires city boundary (approximate bounding box)
 const BUENOS_AIRES_BBOX = '-34.705,-58.531,-34.527,-58.335';
@@ -38,30 +43,30 @@ async function fetchFromOverpass(query, serverIndex = 0) {
   const url = OVERPASS_URLS[serverIndex];
   console.log(`  Using server: ${url}`);
 
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body: `data=${encodeURIComponent(query)}`
-  });
-
-  if (!response.ok) {
+  try {
+    return await fetchJSON(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: `data=${encodeURIComponent(query)}`,
+      delayMs: 2000 // Be nice to the server
+    });
+  } catch (error) {
     if (serverIndex < OVERPASS_URLS.length - 1) {
-      console.log(`  Server returned ${response.status}, trying next...`);
+      console.log(`  ${error.message}, trying next...`);
       return fetchFromOverpass(query, serverIndex + 1);
     }
-    throw new Error(`HTTP error: ${response.status}`);
+    throw error;
   }
-
-  return response.json();
 }
 
-async function fetchStreets() {
+async function fetchStreets(outputPath = defaultOutput) {
   console.log('Fetching Buenos Aires streets from OpenStreetMap...');
   console.log('Fetching in 4 quadrants to avoid timeouts...\n');
 
   const allElements = [];
+  const failed = [];
 
   for (const quadrant of QUADRANTS) {
     console.log(`Fetching ${quadrant.name} quadrant...`);
@@ -70,21 +75,23 @@ async function fetchStreets() {
       const data = await fetchFromOverpass(query);
       console.log(`  Got ${data.elements.length} segments\n`);
       allElements.push(...data.elements);
-
-      // Wait a bit between requests to be nice to the server
-      await new Promise(resolve => setTimeout(resolve, 2000));
     } catch (error) {
       console.error(`  Error fetching ${quadrant.name}: ${error.message}`);
+      failed.push(quadrant.name);
     }
   }
 
+  // A missing quadrant would silently drop a quarter of the city
+  if (failed.length > 0) {
+    throw new Error(`Could not fetch quadrants ${failed.join(', ')}; nothing saved`);
+  }
+
   console.log(`Total segments fetched: ${allElements.length}`);
 
   // Convert to GeoJSON
   const geojson = convertToGeoJSON(allElements);
 
   // Save to file
-  const outputPath = path.join(__dirname, '..', 'data', 'buenos_aires_streets.geojson');
   fs.writeFileSync(outputPath, JSON.stringify(geojson, null, 2));
   console.log(`\nSaved to: ${outputPath}`);
   console.log(`Total features: ${geojson.features.length}`);
@@ -116,4 +123,8 @@ function convertToGeoJSON(elements) {
   };
 }
 
-fetchStreets();
+if (require.main === module) {
+  fetchStreets().catch(console.error);
+}
+
+module.exports = { fetchStreets };
@@ -1,61 +1,117 @@
 #!/usr/bin/env node
 /**
- * Filters streets to only include those within Ciudad Autónoma de Buenos Aires
+ * Clips streets to the boundary of Ciudad Autónoma de Buenos Aires.
+ *
+ * Ways are cut where they cross the boundary and only the parts inside are
+ * kept, so streets along General Paz and the Riachuelo stop at the city
+ * limit. The boundary may be a MultiPolygon with holes; every ring counts.
+ *
+ *   node scripts/filter_to_caba.js [--refresh-boundary]
+ *
+ * Reads data/buenos_aires_streets_raw.geojson and writes
+ * data/buenos_aires_streets.geojson. Uses data/caba_boundary.geojson,
+ * fetching it from Nominatim first if it is missing or --refresh-boundary
+ * is given.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { fetchJSON } = require('./http');
 
 // Use Nominatim to get CABA boundary as proper GeoJSON
 const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search?q=Ciudad+Autonoma+de+Buenos+Aires&format=geojson&polygon_geojson=1&limit=1';
 
-async function fetchCABABoundary() {
-  console.log('Fetching CABA boundary from Nominatim...');
+const boundaryPath = path.join(__dirname, '..', 'data', 'caba_boundary.geojson');
+const defaultInput = path.join(__dirname, '..', 'data', 'buenos_aires_streets_raw.geojson');
+const defaultOutput = path.join(__dirname, '..', 'data', 'buenos_aires_streets.geojson');
 
-  const response = await fetch(NOMINATIM_URL, {
-    headers: { 'User-Agent': 'CallesDeBuenosAires/1.0' }
-  });
+// Size in degrees of the grid cells used to find boundary edges near a segment
+const EDGE_CELL_SIZE = 0.005;
 
-  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+async function fetchCABABoundary() {
+  console.log('Fetching CABA boundary from Nominatim...');
 
-  const data = await response.json();
+  const data = await fetchJSON(NOMINATIM_URL);
 
   if (!data.features || data.features.length === 0) {
     throw new Error('CABA boundary not found');
   }
 
   const geometry = data.features[0].geometry;
-
-  // Handle both Polygon and MultiPolygon
-  let coordinates;
-  if (geometry.type === 'Polygon') {
-    coordinates = geometry.coordinates[0]; // outer ring
-  } else if (geometry.type === 'MultiPolygon') {
-    // Use the largest polygon (main boundary)
-    let largest = geometry.coordinates[0][0];
-    for (const poly of geometry.coordinates) {
-      if (poly[0].length > largest.length) {
-        largest = poly[0];
-      }
-    }
-    coordinates = largest;
-  } else {
+  if (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon') {
     throw new Error(`Unexpected geometry type: ${geometry.type}`);
   }
 
-  console.log(`Boundary has ${coordinates.length} points`);
-  return coordinates;
+  // Save boundary for reference and later runs
+  const boundaryGeoJSON = {
+    type: 'Feature',
+    properties: { name: 'Ciudad Autónoma de Buenos Aires' },
+    geometry
+  };
+  fs.writeFileSync(boundaryPath, JSON.stringify(boundaryGeoJSON, null, 2));
+  console.log(`Saved boundary to ${boundaryPath}`);
+  return geometry;
+}
+
+async function loadCABABoundary(refresh) {
+  if (refresh || !fs.existsSync(boundaryPath)) {
+    return fetchCABABoundary();
+  }
+  console.log(`Using boundary from ${boundaryPath}`);
+  return JSON.parse(fs.readFileSync(boundaryPath, 'utf8')).geometry;
+}
+
+// Every ring (outer and holes) of a Polygon or MultiPolygon
+function getRings(geometry) {
+  if (geometry.type === 'Polygon') return geometry.coordinates;
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.flat();
+  throw new Error(`Unexpected geometry type: ${geometry.type}`);
 }
 
-// Point in polygon test (ray casting algorithm)
-function pointInPolygon(point, polygon) {
+/**
+ * Boundary edges bucketed in a grid, so clipping a segment only tests the
+ * edges near it. Counting crossings over all rings (even-odd rule) treats
+ * holes and separate polygons alike.
+ */
+function createBoundary(geometry, cellSize = EDGE_CELL_SIZE) {
+  const rings = getRings(geometry);
+  const edges = [];
+  rings.forEach(ring => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      if (ring[i][0] !== ring[j][0] || ring[i][1] !== ring[j][1]) edges.push([ring[j], ring[i]]);
+    }
+  });
+
+  const cells = new Map();
+  edges.forEach(edge => {
+    forEachCell(edge[0], edge[1], cellSize, key => {
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(edge);
+    });
+  });
+
+  return { rings, edges, cells, cellSize };
+}
+
+// Call fn with the key of every grid cell the bounding box of a-b touches
+function forEachCell(a, b, cellSize, fn) {
+  const minX = Math.floor(Math.min(a[0], b[0]) / cellSize);
+  const maxX = Math.floor(Math.max(a[0], b[0]) / cellSize);
+  const minY = Math.floor(Math.min(a[1], b[1]) / cellSize);
+  const maxY = Math.floor(Math.max(a[1], b[1]) / cellSize);
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      fn(`${x}_${y}`);
+    }
+  }
+}
+
+// Point in polygon test (ray casting algorithm) over all rings
+function pointInBoundary(point, boundary) {
   const [x, y] = point;
   let inside = false;
 
-  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-    const [xi, yi] = polygon[i];
-    const [xj, yj] = polygon[j];
-
+  for (const [[xj, yj], [xi, yi]] of boundary.edges) {
     if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
       inside = !inside;
     }
@@ -64,45 +120,108 @@ function pointInPolygon(point, polygon) {
   return inside;
 }
 
-// Check if a line segment is at least partially inside the polygon
-function lineIntersectsPolygon(lineCoords, polygon) {
-  // Check if any point of the line is inside
-  for (const point of lineCoords) {
-    if (pointInPolygon(point, polygon)) {
-      return true;
-    }
-  }
-  return false;
+/**
+ * Positions (0 < t <= 1) along segment a-b where it crosses the boundary,
+ * sorted. An edge's start point counts and its end point doesn't, so a
+ * segment through a boundary vertex crosses once.
+ */
+function segmentCrossings(a, b, boundary) {
+  const candidates = new Set();
+  forEachCell(a, b, boundary.cellSize, key => {
+    (boundary.cells.get(key) || []).forEach(edge => candidates.add(edge));
+  });
+
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const crossings = [];
+  candidates.forEach(([c, d]) => {
+    const ex = d[0] - c[0];
+    const ey = d[1] - c[1];
+    const denominator = dx * ey - dy * ex;
+    if (denominator === 0) return; // Parallel
+    const t = ((c[0] - a[0]) * ey - (c[1] - a[1]) * ex) / denominator;
+    const u = ((c[0] - a[0]) * dy - (c[1] - a[1]) * dx) / denominator;
+    if (t > 0 && t <= 1 && u >= 0 && u < 1) crossings.push(t);
+  });
+
+  return crossings.sort((x, y) => x - y);
 }
 
-async function filterStreets() {
-  // Get CABA boundary
-  const boundary = await fetchCABABoundary();
+/**
+ * Parts of a line inside the boundary. Walks the line from its first point,
+ * flipping between inside and outside at every crossing. A line that never
+ * crosses comes back as itself or not at all.
+ */
+function clipLine(line, boundary) {
+  const parts = [];
+  let inside = pointInBoundary(line[0], boundary);
+  let current = inside ? [line[0]] : null;
+  let crossed = false;
+
+  for (let i = 1; i < line.length; i++) {
+    const a = line[i - 1];
+    const b = line[i];
+    segmentCrossings(a, b, boundary).forEach(t => {
+      const point = t === 1 ? b : [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+      if (inside) {
+        current.push(point);
+        parts.push(current);
+        current = null;
+      } else {
+        current = [point];
+      }
+      inside = !inside;
+      crossed = true;
+    });
+    if (inside && current[current.length - 1] !== b) current.push(b);
+  }
+  if (!crossed) return inside ? [line] : [];
+  if (current) parts.push(current);
 
-  // Save boundary for reference
-  const boundaryGeoJSON = {
-    type: 'Feature',
-    properties: { name: 'Ciudad Autónoma de Buenos Aires' },
-    geometry: { type: 'Polygon', coordinates: [boundary] }
+  return parts.filter(part => part.length >= 2);
+}
+
+// Clip a LineString or MultiLineString feature: kept, clipped or dropped
+function clipFeature(feature, boundary) {
+  const geometry = feature.geometry;
+  const lines = geometry.type === 'MultiLineString' ? geometry.coordinates : [geometry.coordinates];
+  const parts = lines.flatMap(line => clipLine(line, boundary));
+
+  if (parts.length === 0) return { status: 'dropped', feature: null };
+  if (parts.length === lines.length && parts.every((part, i) => part === lines[i])) return { status: 'kept', feature };
+
+  return {
+    status: 'clipped',
+    feature: {
+      ...feature,
+      geometry: parts.length === 1
+        ? { type: 'LineString', coordinates: parts[0] }
+        : { type: 'MultiLineString', coordinates: parts }
+    }
   };
+}
 
-  const boundaryPath = path.join(__dirname, '..', 'data', 'caba_boundary.geojson');
-  fs.writeFileSync(boundaryPath, JSON.stringify(boundaryGeoJSON, null, 2));
-  console.log(`Saved boundary to ${boundaryPath}`);
+async function filterStreets({ inputPath = defaultInput, outputPath = defaultOutput, refreshBoundary = false } = {}) {
+  // Get CABA boundary
+  const geometry = await loadCABABoundary(refreshBoundary);
+  const boundary = createBoundary(geometry);
+  console.log(`Boundary has ${boundary.rings.length} rings, ${boundary.edges.length} edges`);
 
   // Load streets
-  const streetsPath = path.join(__dirname, '..', 'data', 'buenos_aires_streets.geojson');
-  const streets = JSON.parse(fs.readFileSync(streetsPath, 'utf8'));
+  const streets = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
 
-  console.log(`\nFiltering ${streets.features.length} street segments...`);
+  console.log(`\nClipping ${streets.features.length} street segments...`);
 
-  // Filter to only streets inside CABA
-  const filteredFeatures = streets.features.filter(feature => {
-    const coords = feature.geometry.coordinates;
-    return lineIntersectsPolygon(coords, boundary);
+  // Keep only the parts of streets inside CABA
+  const counts = { kept: 0, clipped: 0, dropped: 0 };
+  const filteredFeatures = [];
+  streets.features.forEach(feature => {
+    const result = clipFeature(feature, boundary);
+    counts[result.status]++;
+    if (result.feature) filteredFeatures.push(result.feature);
   });
 
-  console.log(`Kept ${filteredFeatures.length} segments inside CABA`);
+  console.log(`Kept ${counts.kept} segments whole, clipped ${counts.clipped}, dropped ${counts.dropped}`);
 
   // Save filtered streets
   const filtered = {
@@ -110,17 +229,19 @@ async function filterStreets() {
     features: filteredFeatures
   };
 
-  fs.writeFileSync(streetsPath, JSON.stringify(filtered));
-  console.log(`Updated ${streetsPath}`);
+  fs.writeFileSync(outputPath, JSON.stringify(filtered));
+  console.log(`Saved ${outputPath}`);
 
-  // Also update public/data
-  const publicPath = path.join(__dirname, '..', 'public', 'data', 'buenos_aires_streets.geojson');
-  fs.writeFileSync(publicPath, JSON.stringify(filtered));
-  console.log(`Updated ${publicPath}`);
+  // The map loads tiles built from this file, not the file itself
+  console.log('Run npm run merge-streets and npm run tiles to update the map geometry');
 
   // Stats
   const uniqueNames = new Set(filteredFeatures.map(f => f.properties.name).filter(Boolean));
   console.log(`\nUnique street names: ${uniqueNames.size}`);
 }
 
-filterStreets().catch(console.error);
+if (require.main === module) {
+  filterStreets({ refreshBoundary: process.argv.includes('--refresh-boundary') }).catch(console.error);
+}
+
+module.exports = { createBoundary, pointInBoundary, clipLine, clipFeature, filterStreets, boundaryPath };
@@ -0,0 +1,127 @@
+/**
+ * HTTP layer shared by the data scripts, with a record/replay cache on disk
+ * so data/ can be regenerated from the same responses without network
+ * access.
+ *
+ * Responses are keyed by method, URL and body and stored as JSON files under
+ * data/source/http/<host>/. HTTP_CACHE chooses how the cache is used:
+ *
+ *   auto    (default) answer from the cache, fetch and record on a miss
+ *   record  always fetch and overwrite the cache
+ *   replay  only the cache; a miss is an error instead of a live request
+ *   off     always fetch, store nothing
+ *
+ * HTTP_CACHE_DIR moves the cache elsewhere.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', 'data', 'source', 'http');
+const USER_AGENT = 'CallesBuenosAires/1.0 (https://github.com/fmariluis/calles-de-buenos-aires)';
+const CACHE_MODES = ['auto', 'record', 'replay', 'off'];
+
+class HttpError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+let lastLiveRequest = 0;
+
+function getCacheSettings() {
+  const mode = process.env.HTTP_CACHE || 'auto';
+  if (!CACHE_MODES.includes(mode)) {
+    throw new Error(`HTTP_CACHE must be one of ${CACHE_MODES.join(', ')}, got "${mode}"`);
+  }
+  return { mode, dir: process.env.HTTP_CACHE_DIR || DEFAULT_CACHE_DIR };
+}
+
+function getCachePath(dir, method, url, body) {
+  const hash = crypto.createHash('sha256').update(`${method} ${url}\n${body || ''}`).digest('hex');
+  return path.join(dir, new URL(url).host.replace(/[^\w.-]/g, '_'), `${hash.slice(0, 20)}.json`);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Fetch from the network, waiting delayMs since the previous live request
+ * and retrying network errors, 429 and 5xx with a growing pause. Other
+ * error statuses fail at once.
+ */
+async function fetchLive(url, { method, headers, body, retries, delayMs, retryDelayMs }) {
+  for (let attempt = 1; ; attempt++) {
+    const wait = lastLiveRequest + delayMs - Date.now();
+    if (wait > 0) await sleep(wait);
+    lastLiveRequest = Date.now();
+
+    let error;
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { 'User-Agent': USER_AGENT, ...headers },
+        body: body || undefined
+      });
+      const text = await response.text();
+      if (response.ok) {
+        return { status: response.status, content_type: response.headers.get('content-type'), body: text };
+      }
+      error = new HttpError(`HTTP ${response.status} from ${url}`, response.status);
+      if (response.status !== 429 && response.status < 500) throw error;
+    } catch (fetchError) {
+      if (fetchError instanceof HttpError) throw fetchError;
+      error = new HttpError(`${fetchError.message} (${url})`);
+    }
+
+    if (attempt >= retries) throw error;
+    await sleep(retryDelayMs * attempt);
+  }
+}
+
+/**
+ * Make a request through the cache. Resolves to { status, content_type,
+ * body } with the body as text; rejects with an HttpError.
+ */
+async function request(url, options = {}) {
+  const {
+    method = 'GET',
+    headers = {},
+    body = null,
+    retries = 3,
+    delayMs = 0,
+    retryDelayMs = 1000
+  } = options;
+  const { mode, dir } = getCacheSettings();
+  const cachePath = getCachePath(dir, method, url, body);
+
+  if ((mode === 'auto' || mode === 'replay') && fs.existsSync(cachePath)) {
+    return JSON.parse(fs.readFileSync(cachePath, 'utf8')).response;
+  }
+  if (mode === 'replay') {
+    throw new HttpError(`Not in the HTTP cache (HTTP_CACHE=replay): ${method} ${url}`);
+  }
+
+  const response = await fetchLive(url, { method, headers, body, retries, delayMs, retryDelayMs });
+
+  if (mode !== 'off') {
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    const entry = { request: { method, url, body }, recorded_at: new Date().toISOString(), response };
+    fs.writeFileSync(cachePath, JSON.stringify(entry, null, 2));
+  }
+  return response;
+}
+
+async function fetchText(url, options) {
+  return (await request(url, options)).body;
+}
+
+async function fetchJSON(url, options) {
+  return JSON.parse(await fetchText(url, options));
+}
+
+module.exports = { HttpError, request, fetchText, fetchJSON, getCacheSettings };
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Merges the OSM ways of each street into a single MultiLineString feature.
+ * Ways that share an end point are joined into one line, so a street drawn
+ * as dozens of ways becomes a handful of lines. Each feature keeps the IDs
+ * of its ways, its total length in meters and its bounding box:
+ *
+ *   { "name": "Avenida Rivadavia", "way_ids": [...], "length": 4312,
+ *     "bbox": [west, south, east, north] }
+ *
+ *   node scripts/merge_street_ways.js
+ *
+ * Reads data/buenos_aires_streets.geojson and writes
+ * data/buenos_aires_streets_merged.geojson, which `npm run tiles` reads.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const sourcePath = path.join(__dirname, '..', 'data', 'buenos_aires_streets.geojson');
+const mergedPath = path.join(__dirname, '..', 'data', 'buenos_aires_streets_merged.geojson');
+
+const EARTH_RADIUS_M = 6371008.8;
+
+// Lines of a LineString or MultiLineString geometry
+function getLines(geometry) {
+  if (geometry.type === 'LineString') return [geometry.coordinates];
+  if (geometry.type === 'MultiLineString') return geometry.coordinates;
+  return [];
+}
+
+// Great-circle distance in meters between two [lng, lat] points
+function haversineDistance([lng1, lat1], [lng2, lat2]) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+function lineLength(line) {
+  let length = 0;
+  for (let i = 1; i < line.length; i++) {
+    length += haversineDistance(line[i - 1], line[i]);
+  }
+  return length;
+}
+
+// [west, south, east, north] of a list of lines
+function getBBox(lines) {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  lines.forEach(line => line.forEach(([lng, lat]) => {
+    bbox[0] = Math.min(bbox[0], lng);
+    bbox[1] = Math.min(bbox[1], lat);
+    bbox[2] = Math.max(bbox[2], lng);
+    bbox[3] = Math.max(bbox[3], lat);
+  }));
+  return bbox;
+}
+
+const samePoint = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+/**
+ * Join lines that share an end point, reversing them where needed. Where
+ * three or more ways meet (a fork, a roundabout) only two are joined and
+ * the rest start lines of their own.
+ */
+function joinLines(lines) {
+  const pending = lines.filter(line => line.length >= 2);
+  const joined = [];
+
+  while (pending.length > 0) {
+    let line = pending.shift();
+    let extended = true;
+    while (extended) {
+      extended = false;
+      for (let i = 0; i < pending.length; i++) {
+        const other = pending[i];
+        const start = line[0];
+        const end = line[line.length - 1];
+        if (samePoint(end, other[0])) {
+          line = line.concat(other.slice(1));
+        } else if (samePoint(end, other[other.length - 1])) {
+          line = line.concat(other.slice(0, -1).reverse());
+        } else if (samePoint(start, other[other.length - 1])) {
+          line = other.concat(line.slice(1));
+        } else if (samePoint(start, other[0])) {
+          line = other.slice(1).reverse().concat(line);
+        } else {
+          continue;
+        }
+        pending.splice(i, 1);
+        extended = true;
+        break;
+      }
+    }
+    joined.push(line);
+  }
+
+  return joined;
+}
+
+// One MultiLineString feature per street name, sorted by name
+function mergeStreetWays(features) {
+  const waysByName = new Map();
+  features.forEach(feature => {
+    const name = feature.properties.name;
+    if (!name) return;
+    if (!waysByName.has(name)) waysByName.set(name, []);
+    waysByName.get(name).push(feature);
+  });
+
+  return Array.from(waysByName.keys()).sort().map(name => {
+    const ways = waysByName.get(name);
+    const lines = joinLines(ways.flatMap(way => getLines(way.geometry)));
+    return {
+      type: 'Feature',
+      properties: {
+        name,
+        way_ids: ways.map(way => way.properties.id),
+        length: Math.round(lines.reduce((sum, line) => sum + lineLength(line), 0)),
+        bbox: getBBox(lines)
+      },
+      geometry: { type: 'MultiLineString', coordinates: lines }
+    };
+  });
+}
+
+function mergeStreets(inputPath = sourcePath, outputPath = mergedPath) {
+  const geojson = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+  const streets = mergeStreetWays(geojson.features);
+  fs.writeFileSync(outputPath, JSON.stringify({ type: 'FeatureCollection', features: streets }));
+
+  const lines = streets.reduce((sum, street) => sum + street.geometry.coordinates.length, 0);
+  console.log(`Merged ${geojson.features.length} ways into ${streets.length} streets (${lines} lines)`);
+  console.log(`Wrote ${outputPath}`);
+}
+
+if (require.main === module) {
+  if (!fs.existsSync(sourcePath)) {
+    console.error(`${sourcePath} not found. Run npm run fetch-streets and npm run filter first.`);
+    process.exit(1);
+  }
+  mergeStreets();
+}
+
+module.exports = { getLines, getBBox, haversineDistance, joinLines, mergeStreetWays, mergeStreets, sourcePath, mergedPath };
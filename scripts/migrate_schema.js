@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Migrates the street data files to the canonical record described in
+ * data/street.schema.json.
+ *
+ * Older files carried a street's history in up to three shapes: numbered
+ * `previous_names` (strings), `old_names` linked from the former-names part
+ * of the book (objects) and, in the map/lookup files, `historical_names`
+ * with `meaning` instead of `etymology`. They are merged into a single
+ * `former_names` list, and the compact records use `current_name` like the
+ * full ones. Running it again on migrated files changes nothing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { foldName, toNaturalOrder } = require('../public/names');
+
+const DATA_DIRS = [
+  path.join(__dirname, '..', 'data'),
+  path.join(__dirname, '..', 'public', 'data')
+];
+
+// Canonical key order of a street record
+const STREET_KEYS = ['current_name', 'description', 'legal_basis', 'legal', 'no_previous_name', 'former_names', 'wikipedia'];
+const FORMER_NAME_KEYS = ['name', 'order', 'description', 'segment', 'etymology', 'person'];
+
+// Normalize a former name for matching; "CAPITAL, DE LA" matches "de la Capital"
+function normalizeFormerName(name) {
+  return foldName(toNaturalOrder(name));
+}
+
+function pick(record, keys) {
+  const result = {};
+  keys.forEach(key => {
+    if (record[key] !== undefined) result[key] = record[key];
+  });
+  return result;
+}
+
+/**
+ * Merge numbered previous names (strings, oldest first) with linked former
+ * names (objects with description, person or etymology). A linked name that
+ * matches a numbered one adds its details to it; the rest are appended
+ * without an order.
+ */
+function mergeFormerNames(previousNames = [], oldNames = []) {
+  const formerNames = previousNames.map((name, i) => ({ name, order: i + 1 }));
+
+  oldNames.forEach(old => {
+    const details = {
+      description: old.description,
+      etymology: old.etymology || old.meaning,
+      person: old.person
+    };
+    const key = normalizeFormerName(old.name);
+    const numbered = formerNames.find(f => f.order && normalizeFormerName(f.name) === key && !f.linked);
+    if (numbered) {
+      Object.assign(numbered, details, { linked: true });
+    } else {
+      formerNames.push({ name: old.name, ...details });
+    }
+  });
+
+  return formerNames.map(f => pick(f, FORMER_NAME_KEYS));
+}
+
+// Full record of calles_buenos_aires_final.json
+function migrateStreet(street) {
+  if (street.former_names) return pick(street, STREET_KEYS);
+  const formerNames = mergeFormerNames(street.previous_names, street.old_names);
+  const migrated = { ...street };
+  if (formerNames.length > 0) migrated.former_names = formerNames;
+  return pick(migrated, STREET_KEYS);
+}
+
+// Compact record of calles_map_data.json and calles_lookup.json
+function migrateCompactRecord(record) {
+  if (record.current_name) return pick(record, ['current_name', 'legal_basis', 'former_names']);
+  const migrated = { current_name: record.name };
+  if (record.legal_basis) migrated.legal_basis = record.legal_basis;
+  const formerNames = mergeFormerNames(record.previous_names, record.historical_names);
+  if (formerNames.length > 0) {
+    migrated.former_names = formerNames.map(f => pick(f, ['name', 'order', 'etymology', 'person']));
+  }
+  return migrated;
+}
+
+const MIGRATIONS = {
+  'calles_buenos_aires_final.json': data => ({ ...data, streets: data.streets.map(migrateStreet) }),
+  'calles_map_data.json': data => ({ ...data, streets: data.streets.map(migrateCompactRecord) }),
+  'calles_lookup.json': data => Object.fromEntries(
+    Object.values(data).map(migrateCompactRecord).map(record => [record.current_name, record])
+  )
+};
+
+function migrate() {
+  for (const dir of DATA_DIRS) {
+    for (const [file, migration] of Object.entries(MIGRATIONS)) {
+      const filePath = path.join(dir, file);
+      if (!fs.existsSync(filePath)) continue;
+
+      const before = fs.readFileSync(filePath, 'utf8');
+      const after = JSON.stringify(migration(JSON.parse(before)), null, 2);
+      if (after === before) {
+        console.log(`  ${filePath}: already up to date`);
+        continue;
+      }
+      fs.writeFileSync(filePath, after);
+      console.log(`  ${filePath}: migrated`);
+    }
+  }
+}
+
+if (require.main === module) {
+  console.log('Migrating data files to data/street.schema.json...\n');
+  migrate();
+}
+
+module.exports = { mergeFormerNames, migrateStreet, migrateCompactRecord };
@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+/**
+ * Parses the legal citation of each street into structured fields
+ * (instrument type, number, date and bulletin) and flags records whose
+ * citation could not be parsed or whose legal_basis text was cut off.
+ *
+ * The citation is read from the start of `description`, which always holds
+ * the full text; `legal_basis` was split on the first period and often ends
+ * mid-number ("Decreto N° 3.").
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const dataPath = path.join(__dirname, '..', 'data', 'calles_buenos_aires_final.json');
+const publicDataPath = path.join(__dirname, '..', 'public', 'data', 'calles_buenos_aires_final.json');
+
+// Instrument names as they appear in the book (including a few typos),
+// mapped to their canonical form. Longest first so "Decreto-Ordenanza"
+// wins over "Decreto".
+const INSTRUMENTS = [
+  [/^Decreto-Ordenanza\b/, 'Decreto-Ordenanza'],
+  [/^Ordenan(?:z|az)as?\b/, 'Ordenanza'],
+  [/^Decretos?\b/, 'Decreto'],
+  [/^Disposici[oó]n\b/, 'Disposición'],
+  [/^Resoluci[oó]n\b/, 'Resolución'],
+  [/^Sesi[oó]n Municipal\b/, 'Sesión Municipal'],
+  [/^Ley\b/, 'Ley'],
+  [/^Orden\b/, 'Orden']
+];
+
+const BULLETINS = {
+  'B.M.': 'Boletín Municipal',
+  'B.O.': 'Boletín Oficial'
+};
+
+// The book came out in 2003, so a two-digit year suffix up to 03 is of
+// this century and any later one is of the last
+const PUBLICATION_YEAR = 2003;
+
+const MONTHS = {
+  enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6, julio: 7,
+  agosto: 8, septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12
+};
+
+// Return the first sentence of a description: the citation. Periods inside
+// parentheses, abbreviations (B.M., N°) and initials don't end it.
+function extractCitation(description) {
+  if (!description) return '';
+  let depth = 0;
+  for (let i = 0; i < description.length; i++) {
+    const ch = description[i];
+    if (ch === '(') depth++;
+    else if (ch === ')') depth = Math.max(0, depth - 1);
+    else if (ch === '.' && depth === 0) {
+      const rest = description.slice(i + 1);
+      if (rest !== '' && !/^\s+[\dA-ZÁÉÍÓÚÑ“(]/.test(rest)) continue;
+      const before = description.slice(0, i);
+      if (/(^|[\s.])[A-ZÁÉÍÓÚ]$/.test(before)) continue; // Initial or B.M
+      if (/\bN[°º]\s*[\d.]*$/.test(before) && /^\d/.test(rest)) continue;
+      return description.slice(0, i + 1).trim();
+    }
+  }
+  return description.trim();
+}
+
+function toISODate(day, month, year) {
+  const d = Number(day);
+  const m = Number(month);
+  if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+  return `${year}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+// Parse the acts cited ("N° 196 del 20/8/1919 y N° 514 del 28/11/1919")
+function parseActs(text) {
+  const acts = [];
+  const actPattern = /N[°º]\s*([\d.]+(?:\/\s?\d{2,4})?)|\b(?:del?|el)\s+(\d{1,2})\s*\/\s*(\d{1,2})\s*\/\s*(\d{4})|\bdel?\s+(\d{1,2})\s+de\s+([a-záéíóú]+)\s+de\s+(\d{4})|^\s*(\d{1,2})\s*\/\s*(\d{1,2})\s*\/\s*(\d{4})|^\s*([\d.]+\/\d{4})/gi;
+  let current = null;
+
+  for (const match of text.matchAll(actPattern)) {
+    // Skip the bulletin's number (and a date right after it): they are not
+    // an act, but acts may still follow ("B.M. N° 7.021, y Ordenanza ...")
+    if (/B\.\s?[MO]\.\s*(N[°º]\s*[\d.-]+\s*)?$/.test(text.slice(0, match.index))) continue;
+
+    const number = match[1] || match[11];
+    if (number) {
+      current = { number: number.replace(/\s/g, ''), date: null };
+      acts.push(current);
+      continue;
+    }
+
+    let date = null;
+    if (match[2]) date = toISODate(match[2], match[3], match[4]);
+    else if (match[5] && MONTHS[match[6].toLowerCase()]) date = toISODate(match[5], MONTHS[match[6].toLowerCase()], match[7]);
+    else if (match[8]) date = toISODate(match[8], match[9], match[10]);
+    if (!date) continue;
+
+    if (current && !current.date) {
+      current.date = date;
+    } else {
+      current = { number: null, date };
+      acts.push(current);
+    }
+  }
+
+  return acts;
+}
+
+// Year of an act, from its date or from the "N° 49.134/95" number suffix
+function yearOf(act) {
+  if (!act) return null;
+  if (act.date) return Number(act.date.slice(0, 4));
+  const fromNumber = act.number && act.number.match(/\/(\d{2}|\d{4})$/);
+  if (!fromNumber) return null;
+  const year = Number(fromNumber[1]);
+  if (fromNumber[1].length === 4) return year;
+  return year <= PUBLICATION_YEAR % 100 ? 2000 + year : 1900 + year;
+}
+
+// Does legal_basis look cut off compared with the full citation?
+function isTruncated(legalBasis, citation) {
+  if (!legalBasis) return false;
+  const basis = legalBasis.replace(/\s+/g, ' ').trim();
+  const full = citation.replace(/\s+/g, ' ').trim();
+  if (basis === full) return false;
+  if (full.startsWith(basis.replace(/\.$/, ''))) return true;
+  // Ends mid-number or mid-abbreviation: "N° 3." or ", B."
+  return /(N[°º]\s*\d+|\bB)\.$/.test(basis);
+}
+
+/**
+ * Parse a street's legal citation.
+ * Returns { type, number, date, year, bulletin, citation, status, issues }
+ * where status is 'ok', 'partial' (instrument found but no number or date)
+ * or 'failed' (no instrument, e.g. the name is only documented on a plan).
+ */
+function parseLegalCitation(street) {
+  const citation = extractCitation(street.description) || (street.legal_basis || '').trim();
+  const issues = [];
+
+  const instrument = INSTRUMENTS.find(([pattern]) => pattern.test(citation));
+  const type = instrument ? instrument[1] : null;
+
+  const bulletinMatch = citation.match(/\b(B\.\s?[MO]\.)\s*N[°º]\s*([\d.]+\d)/);
+  const bulletin = bulletinMatch
+    ? { name: BULLETINS[bulletinMatch[1].replace(/\s/g, '')], number: bulletinMatch[2] }
+    : null;
+
+  const acts = type ? parseActs(citation.replace(instrument[0], '')) : [];
+  const first = acts[0] || null;
+
+  if (!type) issues.push('no_instrument');
+  if (type && acts.length === 0) issues.push('no_number_or_date');
+  if (!street.legal_basis) {
+    issues.push('missing_legal_basis');
+  } else if (isTruncated(street.legal_basis, citation)) {
+    issues.push('legal_basis_truncated');
+  } else if (!citation.replace(/\s+/g, ' ').startsWith(street.legal_basis.replace(/\s+/g, ' ').replace(/\.$/, ''))) {
+    issues.push('legal_basis_mismatch');
+  }
+
+  const legal = {
+    type,
+    number: first ? first.number : null,
+    date: first ? first.date : null,
+    year: yearOf(first),
+    bulletin,
+    citation,
+    status: !type ? 'failed' : (acts.length === 0 ? 'partial' : 'ok'),
+    issues
+  };
+
+  if (acts.length > 1) {
+    legal.other_acts = acts.slice(1).map(act => ({ number: act.number, date: act.date, year: yearOf(act) }));
+  }
+
+  return legal;
+}
+
+// Copy of `record` with `key` placed right after `anchor`
+function insertAfter(record, anchor, key, value) {
+  const result = {};
+  for (const [k, v] of Object.entries(record)) {
+    if (k === key) continue;
+    result[k] = v;
+    if (k === anchor) result[key] = value;
+  }
+  if (!(key in result)) result[key] = value;
+  return result;
+}
+
+function parseAll() {
+  const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+
+  console.log(`Parsing legal citations of ${data.streets.length} streets...\n`);
+
+  const statusCounts = { ok: 0, partial: 0, failed: 0 };
+  const issueCounts = {};
+  const typeCounts = {};
+
+  // Rebuild each record so `legal` sits next to `legal_basis`
+  data.streets = data.streets.map(street => {
+    const legal = parseLegalCitation(street);
+
+    statusCounts[legal.status]++;
+    typeCounts[legal.type || '(ninguno)'] = (typeCounts[legal.type || '(ninguno)'] || 0) + 1;
+    legal.issues.forEach(issue => {
+      issueCounts[issue] = (issueCounts[issue] || 0) + 1;
+    });
+
+    const anchor = 'legal_basis' in street ? 'legal_basis' : 'description';
+    return insertAfter(street, anchor, 'legal', legal);
+  });
+
+  const output = JSON.stringify(data, null, 2);
+  fs.writeFileSync(dataPath, output);
+  console.log(`Updated ${dataPath}`);
+  fs.writeFileSync(publicDataPath, output);
+  console.log(`Updated ${publicDataPath}`);
+
+  console.log('\nStatus:');
+  Object.entries(statusCounts).forEach(([status, count]) => console.log(`  ${status}: ${count}`));
+  console.log('\nInstrument types:');
+  Object.entries(typeCounts).sort((a, b) => b[1] - a[1]).forEach(([type, count]) => console.log(`  ${type}: ${count}`));
+  console.log('\nIssues:');
+  Object.entries(issueCounts).sort((a, b) => b[1] - a[1]).forEach(([issue, count]) => console.log(`  ${issue}: ${count}`));
+}
+
+if (require.main === module) {
+  parseAll();
+}
+
+module.exports = { parseLegalCitation, extractCitation };
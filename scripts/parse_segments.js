@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Parses the stretch of a street that a former name covered, when the book
+ * gives it: "La denominación Laprida abarcaba el tramo de Agüero comprendido
+ * entre las actuales Rivadavia y Córdoba" gives
+ *
+ *   "segment": { "from": "Rivadavia", "to": "Córdoba" }
+ *
+ * on that former name. The cross streets are named as the book names them
+ * today; scripts/build_street_segments.js finds them on the map.
+ *
+ *   node scripts/parse_segments.js   # Add segments to the final data files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getNameVariants, normalizeStreetName } = require('../public/names');
+
+const dataPath = path.join(__dirname, '..', 'data', 'calles_buenos_aires_final.json');
+const publicDataPath = path.join(__dirname, '..', 'public', 'data', 'calles_buenos_aires_final.json');
+
+// "abarcaba el tramo de Agüero comprendido entre", "abarcaba el tramo
+// compredido entre" (sic), "abarcaba el tramo de Belgrano desde"
+const STRETCH = /abarcaba (?:el|al) tramo (?:de ([^;]{1,80}?),? )?(compre?n?dido entre|desde) /;
+
+// Words before a cross street name: "las actuales avenidas", "la actual",
+// "la calle". Lowercase only, so "La Pampa" keeps its article.
+const CROSS_PREFIX = /^(?:(?:las?|los|el) (?=actual|avenida|calle|pasaje))?(?:actual(?:es)?,? )?(?:(?:avenidas?|calles?|pasajes?) )?/;
+
+// End of the stretch: a period not after an initial ("Juan B. Justo"), or
+// the ", y el de Chacabuco entre..." that starts another street's stretch
+function cutSentence(text) {
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === ';' || text[i] === '(' || text.startsWith(', y ', i)) return text.slice(0, i);
+    if (text[i] === '.' && !/(^|[\s.])[A-ZÁÉÍÓÚ]$/.test(text.slice(0, i))) return text.slice(0, i);
+  }
+  return text;
+}
+
+function cleanCrossStreet(text) {
+  return text
+    .replace(/^,?\s*aproximadamente,\s*/, '')
+    .replace(CROSS_PREFIX, '')
+    .replace(/,?\s*(?:aproximadamente|respectivamente),?$/, '')
+    .trim();
+}
+
+// Left over from a sentence that is not "entre A y B": a description
+// ("la curva que presenta"), a direction or the next heading in capitals
+const NOT_A_STREET = /\b(?:actual|tramo|entre|que|hacia)\b|\b[A-ZÁÉÍÓÚÑ]{3,}\b/;
+
+/**
+ * The stretch a former name's description says it covered, as the names of
+ * the two cross streets at its ends, or null when it gives none. With
+ * `streetName`, a stretch the book places on another street ("abarcaba el
+ * tramo de Maipú..." under Chacabuco) gives null too.
+ */
+function parseSegment(description, streetName = null) {
+  const match = STRETCH.exec(description || '');
+  if (!match) return null;
+  const [, stretchOf, connector] = match;
+  const ownName = stretchOf && cleanCrossStreet(stretchOf);
+  if (streetName && ownName && !getNameVariants(streetName).has(normalizeStreetName(ownName))) return null;
+
+  const sentence = cutSentence(description.slice(match.index + match[0].length));
+  // "entre A y B", "entre A e Iberá", "entre A y, aproximadamente, B",
+  // "desde A hasta B"
+  const parts = connector === 'desde'
+    ? sentence.split(/ hasta /)
+    : sentence.split(/ y,? | e (?=[IiYy]|Hi)/);
+  if (parts.length !== 2) return null;
+
+  const [from, to] = parts.map(cleanCrossStreet);
+  if (!from || !to || NOT_A_STREET.test(`${from} ${to}`)) return null;
+  return { from, to };
+}
+
+// Copy of a street with `segment` on the former names that have one, right
+// after their description
+function addSegments(street) {
+  if (!street.former_names) return street;
+  const formerNames = street.former_names.map(formerName => {
+    const { segment: _previous, ...rest } = formerName;
+    const segment = parseSegment(formerName.description, street.current_name);
+    if (!segment) return rest;
+    const result = {};
+    for (const [key, value] of Object.entries(rest)) {
+      result[key] = value;
+      if (key === 'description') result.segment = segment;
+    }
+    return result;
+  });
+  return { ...street, former_names: formerNames };
+}
+
+function parseAll() {
+  const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+  data.streets = data.streets.map(addSegments);
+
+  const formerNames = data.streets.flatMap(street => street.former_names || []);
+  const mentions = formerNames.filter(formerName => /abarcaba (?:el|al) tramo/.test(formerName.description || ''));
+  const parsed = formerNames.filter(formerName => formerName.segment);
+  console.log(`Parsed ${parsed.length} stretches from ${mentions.length} former names that mention one`);
+  mentions.filter(formerName => !formerName.segment).forEach(formerName => {
+    console.log(`  Not parsed: ${formerName.name}: ${formerName.description.slice(0, 120)}...`);
+  });
+
+  const output = JSON.stringify(data, null, 2);
+  fs.writeFileSync(dataPath, output);
+  console.log(`Updated ${dataPath}`);
+  fs.writeFileSync(publicDataPath, output);
+  console.log(`Updated ${publicDataPath}`);
+}
+
+if (require.main === module) {
+  parseAll();
+}
+
+module.exports = { parseSegment, addSegments };
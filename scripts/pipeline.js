@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+/**
+ * Runs the data build as a sequence of named stages, each reading its own
+ * input files and writing its own output files:
+ *
+ *   fetch-streets  OSM streets                     -> data/buenos_aires_streets_raw.geojson
+ *   filter         raw streets + CABA boundary     -> data/buenos_aires_streets.geojson
+ *   merge-streets  clipped streets                 -> data/buenos_aires_streets_merged.geojson
+ *   tiles          merged streets                  -> public/data/streets/
+ *   extract        book text + corrections         -> data/build/streets_extracted.json
+ *   enrich         extracted streets               -> data/wikipedia.json
+ *   assemble       extracted streets + Wikipedia   -> data/calles_*.json
+ *   wikidata       people in the assembled streets -> data/wikidata.json
+ *   segments       merged streets + former names   -> public/data/street_segments.json
+ *   search-index   assembled streets               -> public/data/search_index.json
+ *   sync           data/*.json the map loads       -> public/data/
+ *
+ * A stage is skipped when its inputs and code hash the same as on its last
+ * run and its outputs are untouched since. Hashes live in
+ * data/build/pipeline_state.json. A stage whose inputs are missing (no copy
+ * of the book, say) keeps its existing outputs for the stages after it, so
+ * a checkout without the book still builds from the committed data/*.json;
+ * only the outputs of a stage that failed are kept from the stages after
+ * it.
+ * Stages that only talk to the network have no input files, so they run
+ * once; use --force (with HTTP_CACHE=record for fresh responses) to refresh.
+ *
+ *   node scripts/pipeline.js [stage...] [--force] [--list]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { fetchStreets } = require('./fetch_streets');
+const { filterStreets, boundaryPath } = require('./filter_to_caba');
+const { mergeStreets } = require('./merge_street_ways');
+const { buildStreetTiles } = require('./build_street_tiles');
+const { extract } = require('./extract_from_pdf_text');
+const { enrichStreets } = require('./enrich_from_wikipedia');
+const { enrichPeople } = require('./enrich_from_wikidata');
+const { assemble } = require('./assemble_data');
+const { buildSegmentsFile } = require('./build_street_segments');
+const { buildSearchIndexFile } = require('./build_search_index');
+
+const root = path.join(__dirname, '..');
+const dataDir = path.join(root, 'data');
+const publicDataDir = path.join(root, 'public', 'data');
+const defaultStatePath = path.join(dataDir, 'build', 'pipeline_state.json');
+
+const FILES = {
+  rawStreets: path.join(dataDir, 'buenos_aires_streets_raw.geojson'),
+  streets: path.join(dataDir, 'buenos_aires_streets.geojson'),
+  mergedStreets: path.join(dataDir, 'buenos_aires_streets_merged.geojson'),
+  tiles: path.join(publicDataDir, 'streets'),
+  segments: path.join(publicDataDir, 'street_segments.json'),
+  searchIndex: path.join(publicDataDir, 'search_index.json'),
+  bookText: path.join(dataDir, 'source', 'calles_pineiro.txt'),
+  corrections: path.join(dataDir, 'source', 'corrections.json'),
+  extracted: path.join(dataDir, 'build', 'streets_extracted.json'),
+  wikipedia: path.join(dataDir, 'wikipedia.json'),
+  wikidata: path.join(dataDir, 'wikidata.json')
+};
+
+// Files the map loads, copied from data/ to public/data/ by the sync stage
+const SYNCED_FILES = [
+  'calles_buenos_aires_final.json',
+  'calles_map_data.json',
+  'calles_lookup.json',
+  'name_overrides.json',
+  'wikidata.json',
+  'collections.json'
+];
+
+const readJSON = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+const formatCount = (count, label) => `${count.toLocaleString('en')} ${label}`;
+
+const STAGES = [
+  {
+    name: 'fetch-streets',
+    code: ['scripts/fetch_streets.js', 'scripts/http.js'],
+    inputs: [],
+    outputs: [FILES.rawStreets],
+    run: () => fetchStreets(FILES.rawStreets),
+    count: () => formatCount(readJSON(FILES.rawStreets).features.length, 'ways')
+  },
+  {
+    name: 'filter',
+    code: ['scripts/filter_to_caba.js', 'scripts/http.js'],
+    inputs: [FILES.rawStreets],
+    optionalInputs: [boundaryPath], // Fetched when missing
+    outputs: [FILES.streets],
+    run: () => filterStreets({ inputPath: FILES.rawStreets, outputPath: FILES.streets }),
+    count: () => formatCount(readJSON(FILES.streets).features.length, 'ways inside CABA')
+  },
+  {
+    name: 'merge-streets',
+    code: ['scripts/merge_street_ways.js'],
+    inputs: [FILES.streets],
+    outputs: [FILES.mergedStreets],
+    run: () => mergeStreets(FILES.streets, FILES.mergedStreets),
+    count: () => formatCount(readJSON(FILES.mergedStreets).features.length, 'streets')
+  },
+  {
+    name: 'tiles',
+    code: ['scripts/build_street_tiles.js', 'scripts/merge_street_ways.js'],
+    inputs: [FILES.mergedStreets],
+    outputs: [FILES.tiles],
+    run: () => buildStreetTiles(FILES.mergedStreets, FILES.tiles),
+    count: () => {
+      const index = readJSON(path.join(FILES.tiles, 'index.json'));
+      const cells = index.levels.reduce((sum, level) => sum + level.cells.length, 0);
+      return `${formatCount(Object.keys(index.streets).length, 'streets')}, ${formatCount(cells, 'cells')}`;
+    }
+  },
+  {
+    name: 'extract',
+    code: ['scripts/extract_from_pdf_text.js', 'scripts/parse_legal_basis.js', 'scripts/parse_segments.js',
+      'scripts/migrate_schema.js', 'public/names.js'],
+    inputs: [FILES.bookText],
+    optionalInputs: [FILES.corrections],
+    outputs: [FILES.extracted],
+    run: () => extract({ inputPath: FILES.bookText, outputPath: FILES.extracted }),
+    count: () => {
+      const extracted = readJSON(FILES.extracted);
+      return `${formatCount(extracted.streets.length, 'streets')}, ${formatCount(extracted.historical_names.length, 'former names')}`;
+    }
+  },
+  {
+    name: 'enrich',
+    code: ['scripts/enrich_from_wikipedia.js', 'scripts/http.js', 'public/names.js'],
+    inputs: [FILES.extracted],
+    outputs: [FILES.wikipedia],
+    run: () => enrichStreets({ inputPath: FILES.extracted, outputPath: FILES.wikipedia }),
+    count: () => {
+      const articles = Object.values(readJSON(FILES.wikipedia).articles);
+      return `${formatCount(articles.length, 'articles')}, ` +
+        `${formatCount(articles.filter(article => article.status === 'auto').length, 'pending review')}`;
+    }
+  },
+  {
+    name: 'assemble',
+    code: ['scripts/assemble_data.js', 'scripts/migrate_schema.js', 'scripts/enrich_from_wikipedia.js'],
+    inputs: [FILES.extracted, FILES.wikipedia],
+    outputs: ['calles_buenos_aires_final.json', 'calles_map_data.json', 'calles_lookup.json'].map(file => path.join(dataDir, file)),
+    run: () => assemble({ extractedPath: FILES.extracted, wikipediaPath: FILES.wikipedia, outputDir: dataDir }),
+    count: () => {
+      const { streets } = readJSON(path.join(dataDir, 'calles_buenos_aires_final.json'));
+      return `${formatCount(streets.length, 'streets')}, ` +
+        `${formatCount(streets.filter(s => s.former_names).length, 'with history')}, ` +
+        `${formatCount(streets.filter(s => s.wikipedia).length, 'with Wikipedia')}`;
+    }
+  },
+  {
+    name: 'wikidata',
+    code: ['scripts/enrich_from_wikidata.js', 'scripts/http.js', 'public/names.js'],
+    inputs: [path.join(dataDir, 'calles_buenos_aires_final.json')],
+    outputs: [FILES.wikidata],
+    run: () => enrichPeople({ inputPath: path.join(dataDir, 'calles_buenos_aires_final.json'), outputPath: FILES.wikidata }),
+    count: () => formatCount(Object.keys(readJSON(FILES.wikidata).people).length, 'people')
+  },
+  {
+    name: 'segments',
+    code: ['scripts/build_street_segments.js', 'scripts/merge_street_ways.js', 'public/names.js'],
+    inputs: [FILES.mergedStreets, path.join(dataDir, 'calles_buenos_aires_final.json')],
+    optionalInputs: [path.join(dataDir, 'name_overrides.json')],
+    outputs: [FILES.segments],
+    run: () => buildSegmentsFile({
+      inputPath: FILES.mergedStreets,
+      streetsPath: path.join(dataDir, 'calles_buenos_aires_final.json'),
+      overridesPath: path.join(dataDir, 'name_overrides.json'),
+      outputPath: FILES.segments
+    }),
+    count: () => {
+      const { segments } = readJSON(FILES.segments);
+      return formatCount(Object.values(segments).reduce((sum, list) => sum + list.length, 0), 'stretches');
+    }
+  },
+  {
+    name: 'search-index',
+    code: ['scripts/build_search_index.js', 'public/fulltext.js', 'public/names.js'],
+    inputs: [path.join(dataDir, 'calles_buenos_aires_final.json')],
+    outputs: [FILES.searchIndex],
+    run: () => buildSearchIndexFile({
+      streetsPath: path.join(dataDir, 'calles_buenos_aires_final.json'),
+      outputPath: FILES.searchIndex
+    }),
+    count: () => formatCount(readJSON(FILES.searchIndex).documents.length, 'passages')
+  },
+  {
+    name: 'sync',
+    code: [],
+    inputs: SYNCED_FILES.map(file => path.join(dataDir, file)),
+    outputs: SYNCED_FILES.map(file => path.join(publicDataDir, file)),
+    run: () => SYNCED_FILES.forEach(file => {
+      fs.copyFileSync(path.join(dataDir, file), path.join(publicDataDir, file));
+      console.log(`Copied ${file} to public/data/`);
+    }),
+    count: () => formatCount(SYNCED_FILES.length, 'files')
+  }
+];
+
+// Hash of files and directories (by relative path and content); missing ones hash as such
+function hashPaths(paths) {
+  const hash = crypto.createHash('sha256');
+  const add = (target, label) => {
+    if (!fs.existsSync(target)) {
+      hash.update(`${label}\0missing\0`);
+    } else if (fs.statSync(target).isDirectory()) {
+      fs.readdirSync(target).sort().forEach(entry => add(path.join(target, entry), `${label}/${entry}`));
+    } else {
+      hash.update(`${label}\0`);
+      hash.update(fs.readFileSync(target));
+      hash.update('\0');
+    }
+  };
+  paths.forEach(target => add(target, path.relative(root, target)));
+  return hash.digest('hex');
+}
+
+// The code a stage runs is part of its key, so a fix to a script reruns it
+function getStageKey(stage) {
+  const code = stage.code.map(file => path.join(root, file));
+  return hashPaths(code.concat(stage.inputs, stage.optionalInputs || []));
+}
+
+function loadState(statePath) {
+  return fs.existsSync(statePath) ? readJSON(statePath) : { stages: {} };
+}
+
+function saveState(state, statePath) {
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+}
+
+async function runStage(stage, state, { force, statePath }) {
+  const missingInputs = stage.inputs.filter(input => !fs.existsSync(input));
+  const outputsExist = stage.outputs.every(output => fs.existsSync(output));
+  const previous = state.stages[stage.name];
+
+  if (missingInputs.length > 0) {
+    const missing = missingInputs.map(input => path.relative(root, input)).join(', ');
+    if (!outputsExist) return { status: 'blocked', detail: `missing ${missing}` };
+    return { status: 'kept', detail: `missing ${missing}`, count: stage.count() };
+  }
+
+  const key = getStageKey(stage);
+  if (!force && previous && previous.key === key && outputsExist &&
+      previous.outputs_hash === hashPaths(stage.outputs)) {
+    return { status: 'skipped', count: previous.count };
+  }
+
+  console.log(`\n== ${stage.name} ==`);
+  await stage.run();
+  const count = stage.count();
+  state.stages[stage.name] = {
+    key,
+    outputs_hash: hashPaths(stage.outputs),
+    count,
+    ran_at: new Date().toISOString()
+  };
+  saveState(state, statePath);
+  return { status: 'ran', count };
+}
+
+/**
+ * Run stages in order and return each stage's result for the summary. When
+ * a stage fails, the stages that read its outputs are blocked; the others
+ * still run. A stage blocked by missing inputs blocks nothing by itself: the
+ * stages after it use its outputs if they exist, or are blocked by their
+ * own missing inputs if not.
+ */
+async function runStages(stages, { force = false, statePath = defaultStatePath } = {}) {
+  const state = loadState(statePath);
+  const results = [];
+  const unusable = new Map(); // Output of a failed stage, or of one it blocked -> the failed stage
+  for (const stage of stages) {
+    const upstream = stage.inputs.find(input => unusable.has(input));
+    let result;
+    if (upstream) {
+      result = { status: 'blocked', detail: `${unusable.get(upstream)} did not finish` };
+    } else {
+      try {
+        result = await runStage(stage, state, { force, statePath });
+      } catch (error) {
+        console.error(`${stage.name} failed: ${error.message}`);
+        result = { status: 'failed', detail: error.message };
+      }
+    }
+
+    if (result.status === 'failed' || upstream) {
+      stage.outputs.forEach(output => unusable.set(output, upstream ? unusable.get(upstream) : stage.name));
+    }
+    results.push({ name: stage.name, ...result });
+  }
+  return results;
+}
+
+// Run the named stages (all by default) in pipeline order
+async function runPipeline({ stages: names = [], force = false } = {}) {
+  const unknown = names.filter(name => !STAGES.some(stage => stage.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown stage: ${unknown.join(', ')}. Stages: ${STAGES.map(s => s.name).join(', ')}`);
+  }
+  return runStages(STAGES.filter(stage => names.length === 0 || names.includes(stage.name)), { force });
+}
+
+function printSummary(results) {
+  console.log('\nPipeline summary:');
+  const width = Math.max(...STAGES.map(stage => stage.name.length));
+  results.forEach(({ name, status, count, detail }) => {
+    const text = [count, detail && `(${detail})`].filter(Boolean).join(' ');
+    console.log(`  ${name.padEnd(width)}  ${status.padEnd(7)}  ${text}`);
+  });
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  if (args.includes('--list')) {
+    STAGES.forEach(stage => console.log(stage.name));
+    process.exit(0);
+  }
+
+  runPipeline({ stages: args.filter(arg => !arg.startsWith('--')), force: args.includes('--force') })
+    .then(results => {
+      printSummary(results);
+      if (results.some(result => result.status === 'failed')) process.exit(1);
+    })
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runPipeline, runStages, printSummary, STAGES };
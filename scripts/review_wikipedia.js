@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * Review queue for the Wikipedia matches in data/wikipedia.json. Pending
+ * matches (status "auto") are shown lowest confidence first; accepting one
+ * shows it on the map whatever its confidence, rejecting one hides it and
+ * keeps enrich_from_wikipedia.js from adding the street again.
+ *
+ *   node scripts/review_wikipedia.js                    # Review one by one
+ *   node scripts/review_wikipedia.js --list             # List pending matches
+ *   node scripts/review_wikipedia.js --accept "PERÚ"    # Set a status directly
+ *   node scripts/review_wikipedia.js --reject "ALVEAR, EMILIO DE"
+ *
+ * Run `npm run pipeline -- assemble sync` afterwards to update the map data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline/promises');
+const { saveArticles, AUTO_ACCEPT_CONFIDENCE } = require('./enrich_from_wikipedia');
+
+const wikipediaPath = path.join(__dirname, '..', 'data', 'wikipedia.json');
+const STATUSES = ['auto', 'accepted', 'rejected'];
+
+// Unreviewed matches as [current_name, entry], lowest confidence first
+function getPending(articles) {
+  return Object.entries(articles)
+    .filter(([, entry]) => entry.status === 'auto')
+    .sort(([a, x], [b, y]) => x.confidence - y.confidence || a.localeCompare(b, 'es'));
+}
+
+function setStatus(output, currentName, status) {
+  if (!STATUSES.includes(status)) {
+    throw new Error(`Status must be one of ${STATUSES.join(', ')}, got "${status}"`);
+  }
+  const entry = output.articles[currentName];
+  if (!entry) throw new Error(`No Wikipedia match for "${currentName}"`);
+  entry.status = status;
+}
+
+function describe([currentName, entry]) {
+  const shown = entry.confidence >= AUTO_ACCEPT_CONFIDENCE ? 'shown' : 'hidden until accepted';
+  return [
+    `${currentName} -> ${entry.title}`,
+    `  confidence ${entry.confidence} (${shown})${entry.query ? `, found with "${entry.query}"` : ''}`,
+    `  ${entry.url}`,
+    `  ${entry.summary.replace(/\s+/g, ' ')}`
+  ].join('\n');
+}
+
+async function review(output) {
+  const pending = getPending(output.articles);
+  if (pending.length === 0) {
+    console.log('No matches to review.');
+    return;
+  }
+
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+  let reviewed = 0;
+  try {
+    for (const [index, match] of pending.entries()) {
+      console.log(`\n[${index + 1}/${pending.length}] ${describe(match)}`);
+      const answer = (await prompt.question('(a)ccept, (r)eject, (s)kip, (q)uit? ')).trim().toLowerCase();
+      if (answer === 'q') break;
+      if (answer !== 'a' && answer !== 'r') continue;
+
+      setStatus(output, match[0], answer === 'a' ? 'accepted' : 'rejected');
+      saveArticles(wikipediaPath, output);
+      reviewed++;
+    }
+  } finally {
+    prompt.close();
+  }
+  console.log(`\nReviewed ${reviewed} matches, ${getPending(output.articles).length} still pending.`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const output = JSON.parse(fs.readFileSync(wikipediaPath, 'utf8'));
+
+  if (args[0] === '--list') {
+    const pending = getPending(output.articles);
+    pending.forEach(match => console.log(describe(match)));
+    console.log(`\n${pending.length} matches pending review`);
+  } else if (args[0] === '--accept' || args[0] === '--reject') {
+    try {
+      setStatus(output, args[1], args[0] === '--accept' ? 'accepted' : 'rejected');
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    saveArticles(wikipediaPath, output);
+    console.log(`${args[1]}: ${output.articles[args[1]].status}`);
+  } else {
+    review(output).catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+  }
+}
+
+module.exports = { getPending, setStatus };
@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+/**
+ * Validates the street data files against data/street.schema.json, and the
+ * name overrides and collections against the shape app.js and
+ * analyze_matching.js expect.
+ * Exits with a non-zero status if any record does not conform.
+ *
+ *   node scripts/validate_data.js [data-dir]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const MAX_ERRORS_SHOWN = 20;
+
+const defaultDataDir = path.join(__dirname, '..', 'data');
+const streetSchema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'street.schema.json'), 'utf8'));
+
+const ajv = new Ajv({ allErrors: true });
+ajv.addSchema(streetSchema);
+
+// Envelope of each data file around the street records
+const FILE_SCHEMAS = {
+  'calles_buenos_aires_final.json': {
+    type: 'object',
+    required: ['metadata', 'streets', 'historical_names'],
+    additionalProperties: false,
+    properties: {
+      metadata: { type: 'object' },
+      streets: { type: 'array', items: { $ref: 'street.schema.json' } },
+      historical_names: { type: 'array', items: { $ref: 'street.schema.json#/definitions/historicalName' } }
+    }
+  },
+  'calles_map_data.json': {
+    type: 'object',
+    required: ['metadata', 'streets'],
+    additionalProperties: false,
+    properties: {
+      metadata: { type: 'object' },
+      streets: { type: 'array', items: { $ref: 'street.schema.json' } }
+    }
+  },
+  'calles_lookup.json': {
+    type: 'object',
+    additionalProperties: { $ref: 'street.schema.json' }
+  },
+  'wikipedia.json': {
+    type: 'object',
+    required: ['articles'],
+    additionalProperties: false,
+    properties: {
+      description: { type: 'string' },
+      articles: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['title', 'summary', 'url', 'confidence', 'query', 'status'],
+          additionalProperties: false,
+          properties: {
+            title: { type: 'string' },
+            summary: { type: 'string' },
+            url: { type: 'string', pattern: '^https://[a-z]+\\.wikipedia\\.org/' },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            query: { type: ['string', 'null'] },
+            status: { enum: ['auto', 'accepted', 'rejected'] }
+          }
+        }
+      }
+    }
+  },
+  'wikidata.json': {
+    type: 'object',
+    required: ['people'],
+    additionalProperties: false,
+    properties: {
+      description: { type: 'string' },
+      people: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['name', 'qid'],
+          additionalProperties: false,
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            qid: { type: 'string', pattern: '^Q[0-9]+$' },
+            description: { type: 'string' },
+            birth: { type: 'string', pattern: '^-?[0-9]+(-[0-9]{2}){0,2}$' },
+            death: { type: 'string', pattern: '^-?[0-9]+(-[0-9]{2}){0,2}$' },
+            occupations: { type: 'array', items: { type: 'string' } },
+            nationalities: { type: 'array', items: { type: 'string' } },
+            image: { type: 'string' },
+            wikipedia: { type: 'string', pattern: '^https://es\\.wikipedia\\.org/' }
+          }
+        }
+      }
+    }
+  },
+  'name_overrides.json': {
+    type: 'object',
+    required: ['overrides'],
+    additionalProperties: false,
+    properties: {
+      description: { type: 'string' },
+      overrides: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            osm_names: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+            no_geometry: { const: true },
+            note: { type: 'string' }
+          },
+          oneOf: [{ required: ['osm_names'] }, { required: ['no_geometry'] }]
+        }
+      }
+    }
+  },
+  'collections.json': {
+    type: 'object',
+    required: ['version', 'collections'],
+    additionalProperties: false,
+    properties: {
+      description: { type: 'string' },
+      version: { const: 1 },
+      collections: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'title', 'intro'],
+          additionalProperties: false,
+          properties: {
+            id: { type: 'string', pattern: '^[a-z0-9]+(-[a-z0-9]+)*$' },
+            title: { type: 'string', minLength: 1 },
+            intro: { type: 'string', minLength: 1 },
+            streets: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+            rule: {
+              type: 'object',
+              minProperties: 1,
+              additionalProperties: false,
+              properties: {
+                professions: { type: 'array', minItems: 1, items: { type: 'string', pattern: '^[^A-Z ]+$' } },
+                keywords: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+                person: { type: 'boolean' }
+              }
+            },
+            exclude: { type: 'array', items: { type: 'string', minLength: 1 } }
+          },
+          oneOf: [{ required: ['streets'] }, { required: ['rule'] }]
+        }
+      }
+    }
+  }
+};
+
+// Name of the record an error points into, for readable reports
+function describeLocation(data, instancePath) {
+  const [, collection, key] = instancePath.split('/');
+  const record = collection === undefined ? null
+    : Array.isArray(data[collection]) ? data[collection][key]
+      : data[collection];
+  const name = record && (record.current_name || record.old_name);
+  return name ? `${instancePath} (${name})` : instancePath || '/';
+}
+
+// current_names of the streets, to check the files that refer to them
+function readCurrentNames(dataDir) {
+  const finalPath = path.join(dataDir, 'calles_buenos_aires_final.json');
+  const streets = fs.existsSync(finalPath) ? JSON.parse(fs.readFileSync(finalPath, 'utf8')).streets : [];
+  return new Set(streets.map(street => street.current_name));
+}
+
+// Checks that a JSON schema can't express
+function checkConsistency(file, data, dataDir) {
+  const problems = [];
+  if (file === 'calles_lookup.json') {
+    Object.entries(data).forEach(([key, record]) => {
+      if (record.current_name !== key) {
+        problems.push(`/${key}: key does not match current_name "${record.current_name}"`);
+      }
+    });
+  }
+  if (file === 'name_overrides.json') {
+    const names = readCurrentNames(dataDir);
+    Object.keys(data.overrides || {}).forEach(name => {
+      if (!names.has(name)) problems.push(`/overrides/${name}: no street with this current_name`);
+    });
+  }
+  if (file === 'collections.json') {
+    const names = readCurrentNames(dataDir);
+    const ids = new Set();
+    (data.collections || []).forEach((collection, i) => {
+      if (ids.has(collection.id)) problems.push(`/collections/${i}: duplicate id "${collection.id}"`);
+      ids.add(collection.id);
+      [...(collection.streets || []), ...(collection.exclude || [])].forEach(name => {
+        if (!names.has(name)) problems.push(`/collections/${i} (${collection.id}): no street with current_name "${name}"`);
+      });
+    });
+  }
+  if (data.streets) {
+    const seen = new Set();
+    data.streets.forEach((street, i) => {
+      if (seen.has(street.current_name)) {
+        problems.push(`/streets/${i}: duplicate current_name "${street.current_name}"`);
+      }
+      seen.add(street.current_name);
+    });
+  }
+  return problems;
+}
+
+/**
+ * Problems of a data file, as readable messages: where the schema of `file`
+ * in FILE_SCHEMAS rejects the data, then the consistency checks. Files that
+ * refer to streets are checked against the streets in `dataDir`.
+ */
+function checkFile(file, data, dataDir = defaultDataDir) {
+  const check = ajv.compile(FILE_SCHEMAS[file]);
+  check(data);
+  return (check.errors || []).map(error =>
+    `${describeLocation(data, error.instancePath)}: ${error.message}` +
+    (error.params && error.params.additionalProperty ? ` (${error.params.additionalProperty})` : '')
+  ).concat(checkConsistency(file, data, dataDir));
+}
+
+function validate(dataDir) {
+  let failed = false;
+
+  for (const file of Object.keys(FILE_SCHEMAS)) {
+    const filePath = path.join(dataDir, file);
+    if (!fs.existsSync(filePath)) {
+      console.log(`- ${file}: not found, skipped`);
+      continue;
+    }
+
+    const problems = checkFile(file, JSON.parse(fs.readFileSync(filePath, 'utf8')), dataDir);
+    if (problems.length === 0) {
+      console.log(`✓ ${file}`);
+      continue;
+    }
+
+    failed = true;
+    console.log(`✗ ${file}: ${problems.length} problems`);
+    problems.slice(0, MAX_ERRORS_SHOWN).forEach(problem => console.log(`    ${problem}`));
+    if (problems.length > MAX_ERRORS_SHOWN) {
+      console.log(`    ... and ${problems.length - MAX_ERRORS_SHOWN} more`);
+    }
+  }
+
+  if (failed) {
+    console.error('\nData does not conform to data/street.schema.json');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  validate(path.resolve(process.argv[2] || defaultDataDir));
+}
+
+module.exports = { checkFile };
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { assemble } = require('../scripts/assemble_data');
+
+test('assemble adds the Wikipedia articles to show and writes the compact files', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'assemble-'));
+  const extractedPath = path.join(dir, 'streets_extracted.json');
+  const wikipediaPath = path.join(dir, 'wikipedia.json');
+  const article = { title: 'Calle Perú', summary: 'Calle de San Telmo.', url: 'https://es.wikipedia.org/wiki/Calle_Per%C3%BA' };
+
+  fs.writeFileSync(extractedPath, JSON.stringify({
+    metadata: { publisher: 'Instituto Histórico de la Ciudad de Buenos Aires', year: 2003 },
+    streets: [
+      { current_name: 'PERÚ', description: 'Ordenanza...', former_names: [{ name: 'SAN MARTÍN', order: 1 }] },
+      { current_name: 'BOLÍVAR', description: 'Ordenanza...', legal_basis: 'Ordenanza N° 1' },
+      { current_name: 'DEFENSA', description: 'Ordenanza...' },
+      { current_name: 'BALCARCE, FLORENCIO', description: 'Ordenanza...' }
+    ],
+    historical_names: []
+  }));
+  const other = { summary: 'Calle de San Telmo.', url: 'https://es.wikipedia.org/wiki/Calle' };
+  fs.writeFileSync(wikipediaPath, JSON.stringify({
+    articles: {
+      'PERÚ': { ...article, confidence: 0.9, query: 'Calle PERU Buenos Aires', status: 'auto' },
+      'BOLÍVAR': { ...other, title: 'Calle Bolívar (Quilmes)', confidence: 0.9, status: 'rejected' },
+      'DEFENSA': { ...other, title: 'Calle Defensa', confidence: 0.6, status: 'accepted' },
+      'BALCARCE, FLORENCIO': { ...other, title: 'Calle Balcarce', confidence: 0.7, status: 'auto' }
+    }
+  }));
+
+  try {
+    assemble({ extractedPath, wikipediaPath, outputDir: dir });
+    const read = file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+
+    const final = read('calles_buenos_aires_final.json');
+    assert.deepStrictEqual(final.streets[0].wikipedia, article);
+    assert.deepStrictEqual(final.streets.map(street => street.wikipedia && street.wikipedia.title),
+      ['Calle Perú', undefined, 'Calle Defensa', undefined]);
+
+    const mapData = read('calles_map_data.json');
+    assert.strictEqual(mapData.metadata.streets_with_history, 1);
+    assert.deepStrictEqual(mapData.streets[1], { current_name: 'BOLÍVAR', legal_basis: 'Ordenanza N° 1' });
+    assert.deepStrictEqual(Object.keys(read('calles_lookup.json')), ['PERÚ', 'BOLÍVAR', 'DEFENSA', 'BALCARCE, FLORENCIO']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { indexHistoricalNames } = require('../public/honorees');
+const { COLLECTIONS_VERSION, getCollectionStreets, resolveCollections } = require('../public/collections');
+
+const HISTORICAL_NAMES = [
+  { old_name: 'Bulnes', description: 'Eduardo Pérez Bulnes (1785-1851), jurisconsulto; diputado por Córdoba en el Congreso de Tucumán.', person: { name: 'Eduardo Pérez Bulnes', profession: 'jurisconsulto' } },
+  { old_name: 'Echeverría', description: 'Esteban Echeverría, poeta.', person: { name: 'Esteban Echeverría', profession: 'poeta y político' } },
+  { old_name: 'Pringles', description: 'Juan Pascual Pringles, coronel; combate en Chancay.', person: { name: 'Juan Pascual Pringles', profession: 'coronel' } },
+  { old_name: 'Caseros', description: 'Caseros: batalla librada en 1852.', etymology: 'batalla librada en 1852.' },
+  { old_name: 'Timbó', description: 'Timbó: combate librado durante la guerra del Paraguay.', etymology: 'combate librado durante la guerra del Paraguay.' },
+  { old_name: 'Paraná', description: 'Paraná: ciudad capital de Entre Ríos; su nombre fue sustituido por el de la batalla de Pavón.', etymology: 'ciudad capital de Entre Ríos.' }
+];
+
+const STREETS = ['BULNES', 'CASEROS', 'ECHEVERRÍA', 'PARANÁ', 'PRINGLES', 'TIMBÓ'].map(name => ({ current_name: name }));
+
+test('getCollectionStreets keeps the curated order and skips unknown names', () => {
+  const byName = indexHistoricalNames(HISTORICAL_NAMES);
+  assert.deepStrictEqual(
+    getCollectionStreets({ streets: ['TIMBÓ', 'INEXISTENTE', 'BULNES'] }, STREETS, byName),
+    ['TIMBÓ', 'BULNES']
+  );
+});
+
+test('getCollectionStreets applies professions, keywords and exclusions', () => {
+  const byName = indexHistoricalNames(HISTORICAL_NAMES);
+  const streetsOf = collection => getCollectionStreets(collection, STREETS, byName);
+
+  assert.deepStrictEqual(streetsOf({ rule: { professions: ['poeta'] } }), ['ECHEVERRÍA']);
+  assert.deepStrictEqual(streetsOf({ rule: { keywords: ['congreso de tucuman'] } }), ['BULNES']);
+  assert.deepStrictEqual(streetsOf({ rule: { keywords: ['batalla', 'combate'] } }), ['CASEROS', 'PARANÁ', 'PRINGLES', 'TIMBÓ']);
+  assert.deepStrictEqual(
+    streetsOf({ rule: { keywords: ['batalla', 'combate'], person: false }, exclude: ['PARANÁ'] }),
+    ['CASEROS', 'TIMBÓ']
+  );
+});
+
+test('resolveCollections reads only the current file version', () => {
+  const byName = indexHistoricalNames(HISTORICAL_NAMES);
+  const file = {
+    version: COLLECTIONS_VERSION,
+    collections: [
+      { id: 'poetas', title: 'Poetas', intro: 'Poetas.', rule: { professions: ['poeta'] } },
+      { id: 'norte', title: 'Norte', intro: 'Calles.', streets: ['PRINGLES'] }
+    ]
+  };
+  assert.deepStrictEqual(resolveCollections(file, STREETS, byName), [
+    { id: 'poetas', title: 'Poetas', intro: 'Poetas.', curated: false, streets: ['ECHEVERRÍA'] },
+    { id: 'norte', title: 'Norte', intro: 'Calles.', curated: true, streets: ['PRINGLES'] }
+  ]);
+  assert.deepStrictEqual(resolveCollections({ ...file, version: COLLECTIONS_VERSION + 1 }, STREETS, byName), []);
+  assert.deepStrictEqual(resolveCollections(null, STREETS, byName), []);
+});
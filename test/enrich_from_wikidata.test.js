@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { collectPeople, parseBookDates, formatTime, enrichPeople } = require('../scripts/enrich_from_wikidata');
+const { startStandInServer } = require('./support/stand_in_server');
+
+const time = (value, precision = 11) => ({ time: value, precision });
+const claim = value => ({ rank: 'normal', mainsnak: { snaktype: 'value', datavalue: { value } } });
+const item = id => ({ 'entity-type': 'item', id });
+
+// Two people called Mariano Boedo (only one with the book's dates), a
+// namesake ship and a person whose name is unique
+const ENTITIES = {
+  Q10: {
+    id: 'Q10',
+    labels: { es: { value: 'Mariano Boedo' } },
+    descriptions: { es: { value: 'futbolista' } },
+    claims: { P31: [claim(item('Q5'))], P569: [claim(time('+1950-01-01T00:00:00Z'))] }
+  },
+  Q11: {
+    id: 'Q11',
+    labels: { es: { value: 'Mariano Boedo' } },
+    descriptions: { es: { value: 'abogado y político argentino' } },
+    claims: {
+      P31: [claim(item('Q5'))],
+      P569: [claim(time('+1782-07-25T00:00:00Z'))],
+      P570: [claim(time('+1819-04-09T00:00:00Z', 9))],
+      P106: [claim(item('Q40')), claim(item('Q41'))],
+      P27: [claim(item('Q50'))],
+      P18: [claim('Mariano Boedo.jpg')]
+    },
+    sitelinks: { eswiki: { site: 'eswiki', title: 'Mariano Boedo' } }
+  },
+  Q12: {
+    id: 'Q12',
+    labels: { es: { value: 'Esteban Massini' } },
+    claims: { P31: [claim(item('Q5'))] }
+  },
+  Q13: {
+    id: 'Q13',
+    labels: { es: { value: 'Esteban Massini' } },
+    claims: { P31: [claim(item('Q11446'))] }
+  },
+  Q40: { id: 'Q40', labels: { es: { value: 'abogado' } } },
+  Q41: { id: 'Q41', labels: { es: { value: 'político' } } },
+  Q50: { id: 'Q50', labels: { es: { value: 'Argentina' } } }
+};
+
+const SEARCH = {
+  'Mariano Joaquín Boedo': ['Q10', 'Q11'],
+  'Esteban Massini': ['Q13', 'Q12'],
+  'Pelayo': []
+};
+
+let server;
+let dir;
+
+test.before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wikidata-'));
+  process.env.HTTP_CACHE = 'off';
+  server = await startStandInServer(({ url }) => {
+    const params = new URL(url, 'http://localhost').searchParams;
+    if (params.get('action') === 'wbsearchentities') {
+      return { body: { search: (SEARCH[params.get('search')] || []).map(id => ({ id })) } };
+    }
+    const entities = Object.fromEntries(params.get('ids').split('|').map(id => [id, ENTITIES[id]]));
+    return { body: { entities } };
+  });
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+  delete process.env.HTTP_CACHE;
+});
+
+test('parseBookDates reads the forms used in the book', () => {
+  assert.deepStrictEqual(parseBookDates('1782-1819'), { birth: [1782], death: [1819] });
+  assert.deepStrictEqual(parseBookDates('¿1810 o 1811?-1861'), { birth: [1810, 1811], death: [1861] });
+  assert.deepStrictEqual(parseBookDates('?-737'), { birth: [], death: [737] });
+  assert.deepStrictEqual(parseBookDates('63 a.C.-14'), { birth: [-63], death: [14] });
+  assert.deepStrictEqual(parseBookDates('¿-?'), { birth: [], death: [] });
+  assert.deepStrictEqual(parseBookDates('hoy Lisandro de la Torre'), { birth: [], death: [] });
+});
+
+test('formatTime keeps the precision of the value', () => {
+  assert.strictEqual(formatTime(time('+1782-07-25T00:00:00Z')), '1782-07-25');
+  assert.strictEqual(formatTime(time('+1819-04-00T00:00:00Z', 10)), '1819-04');
+  assert.strictEqual(formatTime(time('+0737-00-00T00:00:00Z', 9)), '737');
+  assert.strictEqual(formatTime(time('-0063-00-00T00:00:00Z', 9)), '-63');
+});
+
+test('collectPeople reads the people from the committed street data', () => {
+  const people = collectPeople(require('../data/calles_buenos_aires_final.json'));
+  assert.ok(people.size > 500);
+  assert.deepStrictEqual(people.get('FRANCISCO NARCISO DE LAPRIDA'), {
+    name: 'Francisco Narciso de Laprida',
+    dates: '1786-1829',
+    profession: 'jurisconsulto'
+  });
+});
+
+test('enrichPeople resolves people by dates, or by a unique name without them', async () => {
+  const inputPath = path.join(dir, 'calles_buenos_aires_final.json');
+  const outputPath = path.join(dir, 'wikidata.json');
+  fs.writeFileSync(inputPath, JSON.stringify({
+    streets: [{
+      current_name: 'BOEDO',
+      former_names: [{ name: 'Del Pino', person: { name: 'Esteban Massini', dates: '¿-?' } }]
+    }],
+    historical_names: [
+      { old_name: 'Boedo', person: { name: 'Mariano Joaquín Boedo', dates: '1782-1819', profession: 'jurisconsulto' } },
+      { old_name: 'Pelayo', person: { name: 'Pelayo', dates: '?-737' } }
+    ]
+  }));
+
+  await enrichPeople({ inputPath, outputPath, apiUrl: `${server.url}/w/api.php` });
+  const { people } = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+
+  assert.deepStrictEqual(Object.keys(people), ['ESTEBAN MASSINI', 'MARIANO JOAQUIN BOEDO']);
+  assert.deepStrictEqual(people['MARIANO JOAQUIN BOEDO'], {
+    name: 'Mariano Joaquín Boedo',
+    qid: 'Q11',
+    description: 'abogado y político argentino',
+    birth: '1782-07-25',
+    death: '1819',
+    occupations: ['abogado', 'político'],
+    nationalities: ['Argentina'],
+    image: 'Mariano Boedo.jpg',
+    wikipedia: 'https://es.wikipedia.org/wiki/Mariano_Boedo'
+  });
+  assert.deepStrictEqual(people['ESTEBAN MASSINI'], { name: 'Esteban Massini', qid: 'Q12' });
+
+  // People already resolved are not looked up again
+  const served = server.requests.length;
+  await enrichPeople({ inputPath, outputPath, apiUrl: `${server.url}/w/api.php` });
+  assert.deepStrictEqual(server.requests.slice(served).map(r => new URL(r.url, server.url).searchParams.get('search')), ['Pelayo']);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scoreArticle, enrichStreets, isArticleShown } = require('../scripts/enrich_from_wikipedia');
+const { getPending, setStatus } = require('../scripts/review_wikipedia');
+const { startStandInServer } = require('./support/stand_in_server');
+
+const CITY_TEXT = 'es una arteria vial de la Ciudad de Buenos Aires, Argentina, que recorre varios barrios de la zona sur.';
+
+const PAGES = {
+  'Calle Perú': `La calle Perú ${CITY_TEXT}`,
+  'Calle Perú (Rosario)': `La calle Perú es una calle de la ciudad de Rosario ${'.'.repeat(100)}`,
+  'Avenida Alvear': `La avenida Alvear ${CITY_TEXT}`
+};
+
+const SEARCH = {
+  'Calle PERU Buenos Aires': ['Calle Perú (Rosario)', 'Calle Perú'],
+  'Calle ALVEAR Buenos Aires': ['Avenida Alvear'],
+  'Calle DEFENSA Buenos Aires': ['Calle Defensa']
+};
+
+let server;
+let dir;
+
+test.before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wikipedia-'));
+  process.env.HTTP_CACHE = 'off';
+  server = await startStandInServer(({ url }) => {
+    const params = new URL(url, 'http://localhost').searchParams;
+    if (params.get('list') === 'search') {
+      const titles = SEARCH[params.get('srsearch')] || [];
+      return { body: { query: { search: titles.map(title => ({ title })) } } };
+    }
+    const title = params.get('titles');
+    const page = PAGES[title]
+      ? { title, extract: PAGES[title], fullurl: `https://es.wikipedia.org/wiki/${encodeURIComponent(title)}` }
+      : { title, missing: '' };
+    return { body: { query: { pages: { 1: page } } } };
+  });
+  process.env.WIKIPEDIA_API = `${server.url}/w/api.php`;
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+  delete process.env.HTTP_CACHE;
+  delete process.env.WIKIPEDIA_API;
+});
+
+test('scoreArticle rewards titles that repeat the whole name and no other', () => {
+  const text = `La avenida ${CITY_TEXT}`;
+  assert.strictEqual(scoreArticle('ALVEAR', 'Avenida Alvear', text), 0.9);
+  assert.strictEqual(scoreArticle('JUSTO, JUAN B.', 'Avenida Juan B. Justo (Buenos Aires)', text), 1);
+  assert.ok(scoreArticle('ALVEAR, EMILIO DE', 'Avenida Alvear', text) < 0.85);
+  assert.ok(scoreArticle('GARCÍA, MANUEL', 'Avenida Martín García', text) < 0.85);
+  assert.ok(scoreArticle('ALVEAR', 'Avenida Alvear', 'Una avenida.') === 0);
+});
+
+test('scoreArticle gives 0 to streets of other cities', () => {
+  const text = `La avenida ${CITY_TEXT}`;
+  assert.strictEqual(scoreArticle('MAIPÚ', 'Avenida Maipú (Vicente López)', text), 0);
+  assert.strictEqual(scoreArticle('PERÚ', 'Calle Perú (Rosario)', text), 0);
+  assert.strictEqual(scoreArticle('ALVEAR', 'Alvear', text), 0);
+});
+
+test('enrichStreets stores the confidence, query and status of each match', async () => {
+  const inputPath = path.join(dir, 'streets_extracted.json');
+  const outputPath = path.join(dir, 'wikipedia.json');
+  fs.writeFileSync(inputPath, JSON.stringify({
+    streets: [{ current_name: 'PERÚ' }, { current_name: 'ALVEAR, EMILIO DE' }, { current_name: 'DEFENSA' }]
+  }));
+
+  await enrichStreets({ inputPath, outputPath });
+  const { articles } = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+
+  assert.deepStrictEqual(Object.keys(articles), ['ALVEAR, EMILIO DE', 'PERÚ']);
+  assert.deepStrictEqual(articles['PERÚ'], {
+    title: 'Calle Perú',
+    summary: PAGES['Calle Perú'],
+    url: 'https://es.wikipedia.org/wiki/Calle%20Per%C3%BA',
+    confidence: 0.9,
+    query: 'Calle PERU Buenos Aires',
+    status: 'auto'
+  });
+  assert.ok(isArticleShown(articles['PERÚ']));
+  assert.ok(!isArticleShown(articles['ALVEAR, EMILIO DE']));
+});
+
+test('rejected matches stay out of the map and are not searched again', async () => {
+  const inputPath = path.join(dir, 'streets_extracted.json');
+  const outputPath = path.join(dir, 'wikipedia.json');
+  const output = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+
+  assert.deepStrictEqual(getPending(output.articles).map(([name]) => name), ['ALVEAR, EMILIO DE', 'PERÚ']);
+  setStatus(output, 'ALVEAR, EMILIO DE', 'rejected');
+  setStatus(output, 'PERÚ', 'accepted');
+  assert.throws(() => setStatus(output, 'DEFENSA', 'accepted'), /No Wikipedia match/);
+  assert.throws(() => setStatus(output, 'PERÚ', 'maybe'), /Status must be/);
+  fs.writeFileSync(outputPath, JSON.stringify(output));
+
+  const served = server.requests.length;
+  await enrichStreets({ inputPath, outputPath });
+  const { articles } = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+
+  assert.strictEqual(articles['ALVEAR, EMILIO DE'].status, 'rejected');
+  assert.ok(!isArticleShown(articles['ALVEAR, EMILIO DE']));
+  const searched = server.requests.slice(served).map(r => new URL(r.url, server.url).searchParams.get('srsearch'));
+  assert.deepStrictEqual(searched.filter(Boolean), ['Calle DEFENSA Buenos Aires', 'Avenida DEFENSA Buenos Aires']);
+});
+
+test('enrichStreets records the query of earlier matches that lack one', async () => {
+  const inputPath = path.join(dir, 'streets_extracted.json');
+  const outputPath = path.join(dir, 'wikipedia.json');
+  const output = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+  output.articles['PERÚ'].query = null;
+  output.articles['ALVEAR, EMILIO DE'].query = null;
+  output.articles.DEFENSA = { title: 'Avenida Defensa', summary: '', url: '', confidence: 0.9, query: null, status: 'auto' };
+  fs.writeFileSync(outputPath, JSON.stringify(output));
+
+  await enrichStreets({ inputPath, outputPath });
+  const { articles } = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+
+  assert.strictEqual(articles['PERÚ'].query, 'Calle PERU Buenos Aires');
+  assert.strictEqual(articles['PERÚ'].status, 'accepted');
+  // Rejected matches are not searched again, and a search that finds
+  // another article leaves the entry alone
+  assert.strictEqual(articles['ALVEAR, EMILIO DE'].query, null);
+  assert.strictEqual(articles.DEFENSA.query, null);
+});
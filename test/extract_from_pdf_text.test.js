@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Ajv = require('ajv');
+const { extract } = require('../scripts/extract_from_pdf_text');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'pineiro_excerpt.txt');
+const streetSchema = require('../data/street.schema.json');
+
+let extracted;
+
+test.before(() => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'extract-'));
+  const outputPath = path.join(dir, 'streets_extracted.json');
+  extract({ inputPath: FIXTURE, outputPath, correctionsPath: path.join(dir, 'none.json') });
+  extracted = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('extract writes records that match the street schema', () => {
+  const ajv = new Ajv({ allErrors: true });
+  ajv.addSchema(streetSchema);
+  const validStreet = ajv.compile({ $ref: 'street.schema.json' });
+  const validHistoricalName = ajv.compile({ $ref: 'street.schema.json#/definitions/historicalName' });
+
+  assert.deepStrictEqual(extracted.streets.filter(street => !validStreet(street)), []);
+  assert.deepStrictEqual(extracted.historical_names.filter(entry => !validHistoricalName(entry)), []);
+  const { total_current_streets, total_historical_names, linked_historical_names } = extracted.metadata;
+  assert.deepStrictEqual(
+    { total_current_streets, total_historical_names, linked_historical_names },
+    { total_current_streets: 2, total_historical_names: 3, linked_historical_names: 2 }
+  );
+});
+
+test('extract reads the current names past page furniture and wrapped lines', () => {
+  assert.deepStrictEqual(extracted.streets.map(street => street.current_name), ['AGÜERO', 'UDAONDO, GUILLERMO']);
+
+  const [aguero, udaondo] = extracted.streets;
+  assert.ok(aguero.description.startsWith('Ordenanza del 27/11/1893. Laprida. Disposición del Presidente de la Corporación Municipal,'));
+  assert.ok(aguero.description.endsWith('entre Córdoba y del Libertador.'));
+  assert.strictEqual(aguero.legal_basis, 'Ordenanza del 27/11/1893.');
+  assert.strictEqual(aguero.legal.date, '1893-11-27');
+
+  assert.strictEqual(udaondo.description, 'Ordenanza N° 11.104/1939, B.M. N° 5.722. Sin nombre anterior.');
+  assert.strictEqual(udaondo.legal_basis, 'Ordenanza N° 11.104/1939, B.M. N° 5.722.');
+  assert.strictEqual(udaondo.no_previous_name, true);
+  assert.strictEqual(udaondo.former_names, undefined);
+});
+
+test('extract links former names to their street, with their stretch', () => {
+  const [aguero] = extracted.streets;
+  assert.deepStrictEqual(aguero.former_names.map(({ name, segment }) => ({ name, segment })), [
+    { name: 'LAPRIDA', segment: { from: 'Rivadavia', to: 'Córdoba' } },
+    { name: 'LAPRIDA SEGUNDA', segment: { from: 'Córdoba', to: 'del Libertador' } }
+  ]);
+  assert.deepStrictEqual(aguero.former_names[0].person, {
+    name: 'Francisco Narciso de Laprida',
+    dates: '1786-1829',
+    profession: 'jurisconsulto'
+  });
+  // "dipu-" and "tado" are rejoined across the line break
+  assert.ok(aguero.former_names[0].description.includes('jurisconsulto; diputado por San Juan'));
+  assert.strictEqual(aguero.former_names[1].etymology, 'denominación dada por su trazado paralelo a Laprida.');
+
+  const aberastain = extracted.historical_names[0];
+  assert.strictEqual(aberastain.old_name, 'ABERASTAIN');
+  assert.strictEqual(aberastain.became, null);
+  assert.strictEqual(aberastain.person.name, 'Antonio Aberastain');
+});
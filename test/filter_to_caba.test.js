@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBoundary, pointInBoundary, clipLine, clipFeature } = require('../scripts/filter_to_caba');
+
+const square = (x, y, size) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]];
+
+// Two 10x10 squares side by side with a gap, the first with a 2x2 hole
+const boundary = createBoundary({
+  type: 'MultiPolygon',
+  coordinates: [
+    [square(0, 0, 10), square(4, 4, 2)],
+    [square(20, 0, 10)]
+  ]
+}, 3);
+
+function way(coordinates) {
+  return { type: 'Feature', properties: { id: 1, name: 'Perú' }, geometry: { type: 'LineString', coordinates } };
+}
+
+test('pointInBoundary counts every polygon and skips holes', () => {
+  assert.ok(pointInBoundary([1, 1], boundary));
+  assert.ok(pointInBoundary([25, 5], boundary));
+  assert.ok(!pointInBoundary([5, 5], boundary));
+  assert.ok(!pointInBoundary([15, 5], boundary));
+});
+
+test('clipLine cuts a line where it leaves the boundary', () => {
+  assert.deepStrictEqual(clipLine([[5, 1], [15, 1]], boundary), [[[5, 1], [10, 1]]]);
+  assert.deepStrictEqual(clipLine([[-5, 1], [5, 1], [5, 3]], boundary), [[[0, 1], [5, 1], [5, 3]]]);
+});
+
+test('clipLine keeps segments that cross without a vertex inside', () => {
+  assert.deepStrictEqual(clipLine([[15, 1], [35, 1]], boundary), [[[20, 1], [30, 1]]]);
+  assert.deepStrictEqual(clipLine([[-5, 1], [35, 1]], boundary), [[[0, 1], [10, 1]], [[20, 1], [30, 1]]]);
+});
+
+test('clipLine splits a line around a hole', () => {
+  assert.deepStrictEqual(clipLine([[1, 5], [9, 5]], boundary), [[[1, 5], [4, 5]], [[6, 5], [9, 5]]]);
+});
+
+test('clipFeature reports kept, clipped and dropped ways', () => {
+  const inside = way([[1, 1], [2, 2], [3, 1]]);
+  assert.deepStrictEqual(clipFeature(inside, boundary), { status: 'kept', feature: inside });
+  assert.deepStrictEqual(clipFeature(way([[12, 1], [18, 1]]), boundary), { status: 'dropped', feature: null });
+
+  assert.deepStrictEqual(clipFeature(way([[-1, 1], [5, 1]]), boundary).feature.geometry, {
+    type: 'LineString',
+    coordinates: [[0, 1], [5, 1]]
+  });
+
+  const clipped = clipFeature(way([[1, 5], [9, 5]]), boundary);
+  assert.strictEqual(clipped.status, 'clipped');
+  assert.deepStrictEqual(clipped.feature.properties, { id: 1, name: 'Perú' });
+  assert.deepStrictEqual(clipped.feature.geometry, {
+    type: 'MultiLineString',
+    coordinates: [[[1, 5], [4, 5]], [[6, 5], [9, 5]]]
+  });
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { stemWord, tokenizeText, buildSearchIndex, isSearchIndexFor, getSnippet, searchText } = require('../public/fulltext');
+
+const DATA = {
+  streets: [
+    {
+      current_name: 'BULNES',
+      description: 'Disposición del 6/3/1882. Sin nombre anterior.'
+    },
+    {
+      current_name: 'AGÜERO',
+      description: 'Ordenanza del 27/11/1893.',
+      former_names: [
+        { name: 'Laprida', description: 'Francisco Narciso de Laprida, diputado por San Juan en el Congreso de Tucumán.' },
+        { name: 'Otra' }
+      ],
+      wikipedia: { summary: 'La Calle Agüero cruza los barrios de Balvanera y Recoleta.' }
+    },
+    {
+      current_name: 'HUMBOLDT',
+      description: 'Ordenanza del 27/11/1893. Los naturalistas lo recuerdan.'
+    }
+  ],
+  historical_names: [
+    { old_name: 'BULNES', became: 'San Martín de Tours', description: 'Eduardo Pérez Bulnes, jurisconsulto; diputado por Córdoba en el Congreso de Tucumán.' },
+    { old_name: 'Tucumán', became: null, description: 'Tucumán: batalla librada en 1812.', etymology: 'batalla librada en 1812.' },
+    { old_name: 'Sin descripción', became: 'Agüero' }
+  ]
+};
+
+test('stemWord folds accents and drops plural and gender endings', () => {
+  assert.strictEqual(stemWord('Naturalistas'), stemWord('naturalista'));
+  assert.strictEqual(stemWord('calles'), stemWord('Calle'));
+  assert.strictEqual(stemWord('Tucumán'), 'tucuman');
+  assert.strictEqual(stemWord('1893'), '1893');
+  assert.deepStrictEqual(tokenizeText('El Congreso de Tucumán').map(token => token.stem), ['congres', 'tucuman']);
+});
+
+test('buildSearchIndex lists the passages and ties historical names to their street', () => {
+  const index = buildSearchIndex(DATA);
+  assert.deepStrictEqual(index.documents, [
+    ['d', 0], ['d', 1], ['f', 1, 0], ['w', 1], ['d', 2], ['h', 0, 0], ['h', 1]
+  ]);
+  assert.deepStrictEqual(index.terms['1893'], [1, 4]);
+  assert.deepStrictEqual(index.terms.tucuman, [2, 5, 6]);
+  assert.ok(isSearchIndexFor(index, DATA));
+  assert.ok(!isSearchIndexFor(index, { ...DATA, streets: DATA.streets.slice(1) }));
+});
+
+test('searchText finds every word, stemmed, and groups passages by street', () => {
+  const index = buildSearchIndex(DATA);
+  const names = query => searchText(index, DATA, query).map(result => result.name);
+
+  assert.deepStrictEqual(names('Congreso de Tucumán'), ['AGÜERO', 'BULNES']);
+  assert.deepStrictEqual(names('naturalista'), ['HUMBOLDT']);
+  assert.deepStrictEqual(names('1893'), ['AGÜERO', 'HUMBOLDT']);
+  assert.deepStrictEqual(names('batallas'), ['Tucumán']);
+  // The last word completes, unless it is a letter or two
+  assert.deepStrictEqual(names('Congreso de Tucu'), ['AGÜERO', 'BULNES']);
+  assert.deepStrictEqual(names('Balvanera Re'), ['AGÜERO']);
+  assert.deepStrictEqual(names('Tucu '), []);
+  assert.deepStrictEqual(names('de'), []);
+});
+
+test('getSnippet cuts the passage around the words and marks them', () => {
+  const text = `${'Antes de todo esto hubo otra historia muy larga. '.repeat(4)}Diputado por Córdoba en el Congreso de Tucumán, donde firma el acta.`;
+  const terms = [new Set(['congres']), new Set(['tucuman'])];
+  const snippet = getSnippet(text, terms, 80);
+  assert.ok(snippet.text.startsWith('…'));
+  assert.ok(snippet.text.includes('Congreso de Tucumán'));
+  assert.deepStrictEqual(
+    snippet.highlights.map(({ start, length }) => snippet.text.slice(start, start + length)),
+    ['Congreso', 'Tucumán']
+  );
+  assert.strictEqual(snippet.matched, 2);
+  assert.strictEqual(getSnippet('Nada que ver.', terms), null);
+});
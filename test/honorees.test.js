@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { indexHistoricalNames, getProfessions, getHonoredPerson, getNameEtymology, classifyStreet } = require('../public/honorees');
+
+const HISTORICAL_NAMES = [
+  { old_name: 'Boedo', person: { name: 'Mariano Joaquín Boedo', profession: 'jurisconsulto y político' } },
+  { old_name: 'Pringles', person: { name: 'Juan Pascual Pringles', profession: 'coronel' } },
+  { old_name: 'Echeverría', person: { name: 'Esteban Echeverría', profession: 'poeta y político' } },
+  { old_name: 'Muñiz', person: { name: 'Francisco Javier Muñiz', profession: 'Médico, naturalista y militar' } },
+  { old_name: 'Atenas', etymology: 'ciudad capital de Grecia.' },
+  { old_name: 'Caseros', etymology: 'batalla librada en 1852.' },
+  { old_name: 'Acacias, Las', etymology: 'árbol de la familia de las leguminosas.' }
+];
+
+test('getProfessions splits the list and groups military ranks', () => {
+  assert.deepStrictEqual(getProfessions({ profession: 'militar y político' }), ['militar', 'político']);
+  assert.deepStrictEqual(getProfessions({ profession: 'coronel, Guerra de la Independencia' }), ['militar']);
+  assert.deepStrictEqual(getProfessions({ profession: 'en la Revolución de Mayo' }), []);
+  assert.deepStrictEqual(getProfessions({}), []);
+});
+
+test('classifyStreet tells people, places, events and nature apart', () => {
+  const byName = indexHistoricalNames(HISTORICAL_NAMES);
+  const classify = currentName => classifyStreet({ current_name: currentName }, byName);
+
+  assert.strictEqual(classify('BOEDO'), 'person');
+  assert.strictEqual(classify('PRINGLES'), 'military');
+  assert.strictEqual(classify('ECHEVERRÍA'), 'writer');
+  assert.strictEqual(classify('MUÑIZ'), 'scientist');
+  assert.strictEqual(classify('ACEVEDO, EDUARDO'), 'person');
+  assert.strictEqual(classify('GENERAL HORNOS'), 'military');
+  assert.strictEqual(classify('ATENAS'), 'place');
+  assert.strictEqual(classify('CASEROS'), 'event');
+  assert.strictEqual(classify('25 DE MAYO'), 'event');
+  assert.strictEqual(classify('ACACIAS, LAS'), 'nature');
+  assert.strictEqual(classify('PAMPA, LA'), 'other');
+});
+
+test('getHonoredPerson finds the person behind a current name in either order', () => {
+  const byName = indexHistoricalNames([
+    ...HISTORICAL_NAMES,
+    { old_name: 'Esteban Echeverría', person: { name: 'Esteban Echeverría', profession: 'poeta' } }
+  ]);
+  assert.strictEqual(getHonoredPerson({ current_name: 'PRINGLES' }, byName).name, 'Juan Pascual Pringles');
+  assert.strictEqual(getHonoredPerson({ current_name: 'ECHEVERRÍA, ESTEBAN' }, byName).name, 'Esteban Echeverría');
+  assert.strictEqual(getHonoredPerson({ current_name: 'ATENAS' }, byName), null);
+});
+
+test('getNameEtymology finds the meaning of a current name', () => {
+  const byName = indexHistoricalNames(HISTORICAL_NAMES);
+  assert.strictEqual(getNameEtymology({ current_name: 'ATENAS' }, byName), 'ciudad capital de Grecia.');
+  assert.strictEqual(getNameEtymology({ current_name: 'ACACIAS, LAS' }, byName), 'árbol de la familia de las leguminosas.');
+  assert.strictEqual(getNameEtymology({ current_name: 'PRINGLES' }, byName), null);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { request, fetchJSON, HttpError } = require('../scripts/http');
+const { startStandInServer } = require('./support/stand_in_server');
+
+let server;
+let failuresLeft = 0;
+
+test.before(async () => {
+  process.env.HTTP_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-'));
+  server = await startStandInServer(({ method, url, body }) => {
+    if (url === '/missing') return { status: 404, body: 'not found' };
+    if (url === '/flaky' && failuresLeft > 0) {
+      failuresLeft--;
+      return { status: 503, body: 'busy' };
+    }
+    return { body: { method, url, body, served: server.requests.length } };
+  });
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(process.env.HTTP_CACHE_DIR, { recursive: true, force: true });
+  delete process.env.HTTP_CACHE;
+  delete process.env.HTTP_CACHE_DIR;
+});
+
+function withMode(mode, fn) {
+  return async () => {
+    process.env.HTTP_CACHE = mode;
+    try {
+      await fn();
+    } finally {
+      delete process.env.HTTP_CACHE;
+    }
+  };
+}
+
+test('auto mode records a response and replays it', withMode('auto', async () => {
+  const first = await fetchJSON(`${server.url}/streets?q=1`);
+  const second = await fetchJSON(`${server.url}/streets?q=1`);
+  assert.deepStrictEqual(second, first);
+  assert.strictEqual(server.requests.filter(r => r.url === '/streets?q=1').length, 1);
+}));
+
+test('the request body is part of the cache key', withMode('auto', async () => {
+  const a = await fetchJSON(`${server.url}/query`, { method: 'POST', body: 'data=a' });
+  const b = await fetchJSON(`${server.url}/query`, { method: 'POST', body: 'data=b' });
+  assert.strictEqual(a.body, 'data=a');
+  assert.strictEqual(b.body, 'data=b');
+}));
+
+test('replay mode never goes to the network', withMode('replay', async () => {
+  const served = server.requests.length;
+  assert.strictEqual((await fetchJSON(`${server.url}/streets?q=1`)).url, '/streets?q=1');
+  await assert.rejects(fetchJSON(`${server.url}/streets?q=2`), HttpError);
+  assert.strictEqual(server.requests.length, served);
+}));
+
+test('record mode refreshes cached responses', withMode('record', async () => {
+  const cached = (await request(`${server.url}/streets?q=1`)).body;
+  process.env.HTTP_CACHE = 'replay';
+  assert.strictEqual((await request(`${server.url}/streets?q=1`)).body, cached);
+  assert.notStrictEqual(JSON.parse(cached).served, 1);
+}));
+
+test('server errors are retried', withMode('off', async () => {
+  failuresLeft = 2;
+  const response = await fetchJSON(`${server.url}/flaky`, { retryDelayMs: 1 });
+  assert.strictEqual(response.url, '/flaky');
+  assert.strictEqual(server.requests.filter(r => r.url === '/flaky').length, 3);
+}));
+
+test('client errors fail at once and are not cached', withMode('auto', async () => {
+  await assert.rejects(request(`${server.url}/missing`, { retryDelayMs: 1 }), { name: 'HttpError', status: 404 });
+  await assert.rejects(request(`${server.url}/missing`, { retryDelayMs: 1 }), { status: 404 });
+  assert.strictEqual(server.requests.filter(r => r.url === '/missing').length, 2);
+}));
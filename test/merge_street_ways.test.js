@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { haversineDistance, joinLines, mergeStreetWays } = require('../scripts/merge_street_ways');
+
+function way(id, name, coordinates) {
+  return { type: 'Feature', properties: { id, name }, geometry: { type: 'LineString', coordinates } };
+}
+
+test('haversineDistance measures meters', () => {
+  // One thousandth of a degree of latitude is about 111 m
+  assert.strictEqual(Math.round(haversineDistance([-58.4, -34.6], [-58.4, -34.601])), 111);
+});
+
+test('joinLines joins ways that share an end point, in either direction', () => {
+  assert.deepStrictEqual(joinLines([[[0, 0], [1, 0]], [[2, 0], [1, 0]], [[2, 0], [3, 0]]]), [
+    [[0, 0], [1, 0], [2, 0], [3, 0]]
+  ]);
+  assert.deepStrictEqual(joinLines([[[1, 0], [2, 0]], [[0, 0], [1, 0]], [[5, 5], [6, 6]]]), [
+    [[0, 0], [1, 0], [2, 0]],
+    [[5, 5], [6, 6]]
+  ]);
+});
+
+test('mergeStreetWays keeps way IDs, length and bounding box per street', () => {
+  const streets = mergeStreetWays([
+    way(1, 'Perú', [[-58.4, -34.6], [-58.4, -34.601]]),
+    way(2, 'Bolívar', [[-58.41, -34.6], [-58.41, -34.61]]),
+    way(3, 'Perú', [[-58.4, -34.601], [-58.4, -34.602]]),
+    way(4, null, [[0, 0], [1, 1]])
+  ]);
+  assert.deepStrictEqual(streets.map(s => s.properties.name), ['Bolívar', 'Perú']);
+  const peru = streets[1];
+  assert.deepStrictEqual(peru.properties.way_ids, [1, 3]);
+  assert.strictEqual(peru.properties.length, 222);
+  assert.deepStrictEqual(peru.properties.bbox, [-58.4, -34.602, -58.4, -34.6]);
+  assert.deepStrictEqual(peru.geometry, {
+    type: 'MultiLineString',
+    coordinates: [[[-58.4, -34.6], [-58.4, -34.601], [-58.4, -34.602]]]
+  });
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergeFormerNames, migrateStreet, migrateCompactRecord } = require('../scripts/migrate_schema');
+
+test('mergeFormerNames adds linked details to the numbered name they match', () => {
+  const formerNames = mergeFormerNames(
+    ['Laprida', 'de la Capital'],
+    [
+      { name: 'CAPITAL, DE LA', meaning: 'por la ciudad.' },
+      { name: 'LAPRIDA', description: 'Francisco Narciso de Laprida...', person: { name: 'Francisco Narciso de Laprida' } },
+      { name: 'LAPRIDA SEGUNDA', etymology: 'paralela a Laprida.' }
+    ]
+  );
+  assert.deepStrictEqual(formerNames, [
+    { name: 'Laprida', order: 1, description: 'Francisco Narciso de Laprida...', person: { name: 'Francisco Narciso de Laprida' } },
+    { name: 'de la Capital', order: 2, etymology: 'por la ciudad.' },
+    { name: 'LAPRIDA SEGUNDA', etymology: 'paralela a Laprida.' }
+  ]);
+});
+
+test('mergeFormerNames matches names the book lists surname first', () => {
+  const formerNames = mergeFormerNames(
+    ['de la Capital', 'General Conesa'],
+    [
+      { name: 'CAPITAL, DE LA', etymology: 'por la ciudad.' },
+      { name: 'CONESA, GENERAL', description: 'Emilio Conesa.' },
+      { name: 'CAPITAL, DE LA NUEVA', etymology: 'otra.' }
+    ]
+  );
+  assert.deepStrictEqual(formerNames, [
+    { name: 'de la Capital', order: 1, etymology: 'por la ciudad.' },
+    { name: 'General Conesa', order: 2, description: 'Emilio Conesa.' },
+    { name: 'CAPITAL, DE LA NUEVA', etymology: 'otra.' }
+  ]);
+});
+
+test('mergeFormerNames links each numbered name once', () => {
+  const formerNames = mergeFormerNames(
+    ['Sarmiento', 'Sarmiento'],
+    [{ name: 'SARMIENTO', description: 'a' }, { name: 'SARMIENTO', description: 'b' }, { name: 'SARMIENTO', description: 'c' }]
+  );
+  assert.deepStrictEqual(formerNames, [
+    { name: 'Sarmiento', order: 1, description: 'a' },
+    { name: 'Sarmiento', order: 2, description: 'b' },
+    { name: 'SARMIENTO', description: 'c' }
+  ]);
+});
+
+test('migrateStreet merges previous and old names into former_names', () => {
+  const street = migrateStreet({
+    old_names: [{ name: 'LAPRIDA', description: 'Laprida.' }],
+    current_name: 'AGÜERO',
+    previous_names: ['Laprida', 'Laprida segunda'],
+    description: 'Ordenanza del 27/11/1893.'
+  });
+  assert.deepStrictEqual(street, {
+    current_name: 'AGÜERO',
+    description: 'Ordenanza del 27/11/1893.',
+    former_names: [
+      { name: 'Laprida', order: 1, description: 'Laprida.' },
+      { name: 'Laprida segunda', order: 2 }
+    ]
+  });
+  assert.deepStrictEqual(Object.keys(migrateStreet({ current_name: 'PERÚ', no_previous_name: true })), ['current_name', 'no_previous_name']);
+});
+
+test('migrating a migrated record changes nothing', () => {
+  const street = migrateStreet({
+    current_name: 'AGÜERO',
+    previous_names: ['Laprida'],
+    old_names: [{ name: 'LAPRIDA SEGUNDA', etymology: 'paralela a Laprida.' }]
+  });
+  assert.deepStrictEqual(migrateStreet(street), street);
+
+  const compact = migrateCompactRecord({
+    name: 'AGÜERO',
+    legal_basis: 'Ordenanza del 27/11/1893.',
+    previous_names: ['de la Capital'],
+    historical_names: [{ name: 'CAPITAL, DE LA', description: 'Capital.', meaning: 'por la ciudad.' }]
+  });
+  assert.deepStrictEqual(compact, {
+    current_name: 'AGÜERO',
+    legal_basis: 'Ordenanza del 27/11/1893.',
+    former_names: [{ name: 'de la Capital', order: 1, etymology: 'por la ciudad.' }]
+  });
+  assert.deepStrictEqual(migrateCompactRecord(compact), compact);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  foldName,
+  normalizeStreetName,
+  toNaturalOrder,
+  getNameVariants,
+  editDistance,
+  buildStreetIndex,
+  findStreetForOsmName
+} = require('../public/names');
+
+// A book name and an OSM name refer to the same street when they share a variant
+function matches(bookName, osmName) {
+  return getNameVariants(bookName).has(normalizeStreetName(osmName));
+}
+
+test('foldName removes accents, punctuation and extra spaces', () => {
+  assert.strictEqual(foldName('ACHÁVAL  RODRÍGUEZ, TRISTÁN'), 'ACHAVAL RODRIGUEZ TRISTAN');
+  assert.strictEqual(foldName('Echagüe'), 'ECHAGUE');
+  assert.strictEqual(foldName('AGACES.'), 'AGACES');
+  assert.strictEqual(foldName(null), '');
+});
+
+test('normalizeStreetName drops road types at the start', () => {
+  assert.strictEqual(normalizeStreetName('AV. DE MAYO'), 'DE MAYO');
+  assert.strictEqual(normalizeStreetName('Avenida de Mayo'), 'DE MAYO');
+  assert.strictEqual(normalizeStreetName('Paseo Colón'), 'COLON');
+  assert.strictEqual(normalizeStreetName('Avenida Costanera Rafael Obligado'), 'RAFAEL OBLIGADO');
+});
+
+test('normalizeStreetName drops ranks and titles anywhere', () => {
+  assert.strictEqual(normalizeStreetName('ACHÁVAL RODRÍGUEZ, COSTANERA DOCTOR TRISTÁN'), 'ACHAVAL RODRIGUEZ COSTANERA TRISTAN');
+  assert.strictEqual(normalizeStreetName('DELLEPIANE, TENIENTE GENERAL LUIS J.'), 'DELLEPIANE LUIS J');
+  assert.strictEqual(normalizeStreetName('Avenida General Paz'), 'PAZ');
+});
+
+test('toNaturalOrder moves the part after the comma to the front', () => {
+  assert.strictEqual(toNaturalOrder('ACEVEDO, EDUARDO'), 'EDUARDO ACEVEDO');
+  assert.strictEqual(toNaturalOrder('ACACIAS, LAS'), 'LAS ACACIAS');
+  assert.strictEqual(toNaturalOrder('MAYO, AVENIDA DE'), 'AVENIDA DE MAYO');
+  assert.strictEqual(toNaturalOrder('AGACES'), 'AGACES');
+});
+
+test('getNameVariants includes natural order and surname', () => {
+  assert.deepStrictEqual([...getNameVariants('ACACIAS, LAS')], ['ACACIAS LAS', 'LAS ACACIAS', 'ACACIAS']);
+  assert.deepStrictEqual(
+    [...getNameVariants('ACHÁVAL RODRÍGUEZ, COSTANERA DOCTOR TRISTÁN')],
+    ['ACHAVAL RODRIGUEZ COSTANERA TRISTAN', 'TRISTAN ACHAVAL RODRIGUEZ', 'ACHAVAL RODRIGUEZ']
+  );
+  assert.deepStrictEqual([...getNameVariants('AV. DE MAYO')], ['DE MAYO']);
+});
+
+test('getNameVariants can leave out the surname', () => {
+  assert.deepStrictEqual(
+    [...getNameVariants('ECHAGÜE, PEDRO', { includeSurname: false })],
+    ['ECHAGUE PEDRO', 'PEDRO ECHAGUE']
+  );
+});
+
+test('book names match their OSM names', () => {
+  assert.ok(matches('ACHÁVAL RODRÍGUEZ, COSTANERA DOCTOR TRISTÁN', 'Avenida Costanera Tristán Achával Rodríguez'));
+  assert.ok(matches('ACHÁVAL RODRÍGUEZ, COSTANERA DOCTOR TRISTÁN', 'Avenida Tristán Achával Rodríguez'));
+  assert.ok(matches('ACACIAS, LAS', 'Las Acacias'));
+  assert.ok(matches('MAYO, AVENIDA DE', 'Avenida de Mayo'));
+  assert.ok(matches('OBLIGADO, COSTANERA RAFAEL', 'Avenida Costanera Rafael Obligado'));
+  assert.ok(matches('COLÓN, PASEO', 'Paseo Colón'));
+  assert.ok(matches('ALEM, LEANDRO N.', 'Avenida Leandro N. Alem'));
+  assert.ok(matches('PAZ, GENERAL', 'Avenida General Paz'));
+  assert.ok(!matches('ACACIAS, LAS', 'Los Aromos'));
+});
+
+test('editDistance counts typos', () => {
+  assert.strictEqual(editDistance('RIVADABIA', 'RIVADAVIA'), 1);
+  assert.strictEqual(editDistance('SARMIENTO', 'SARMINETO'), 2);
+  assert.strictEqual(editDistance('MAYO', 'MAYO'), 0);
+  assert.strictEqual(editDistance('', 'PAZ'), 3);
+});
+
+test('editDistance stops past the limit', () => {
+  assert.strictEqual(editDistance('ACHEGA', 'RIVADAVIA', 2), 3);
+  assert.strictEqual(editDistance('PAZ', 'PASO', 1), 2);
+  assert.strictEqual(editDistance('PAZ', 'PAS', 1), 1);
+});
+
+test('buildStreetIndex leaves ambiguous surnames unmatched', () => {
+  const streets = [{ current_name: 'ALSINA, ADOLFO' }, { current_name: 'ALSINA, VALENTÍN' }];
+  const index = buildStreetIndex(streets);
+  assert.strictEqual(findStreetForOsmName(index, 'Alsina'), null);
+  assert.strictEqual(findStreetForOsmName(index, 'Valentín Alsina'), streets[1]);
+  assert.deepStrictEqual(index.collisions, [
+    { key: 'ALSINA', level: 'surname', streets: ['ALSINA, ADOLFO', 'ALSINA, VALENTÍN'] }
+  ]);
+});
+
+test('buildStreetIndex prefers a full name over a surname', () => {
+  const streets = [{ current_name: 'ACEVEDO, EDUARDO' }, { current_name: 'ACEVEDO' }];
+  const index = buildStreetIndex(streets);
+  assert.strictEqual(findStreetForOsmName(index, 'Acevedo'), streets[1]);
+  assert.deepStrictEqual(index.collisions, []);
+});
+
+test('buildStreetIndex honors overrides', () => {
+  const streets = [
+    { current_name: 'HUERGO' },
+    { current_name: 'HUERGO, INGENIERO' },
+    { current_name: 'AGACES' },
+    { current_name: 'AGACES.' }
+  ];
+  const index = buildStreetIndex(streets, {
+    'HUERGO, INGENIERO': { osm_names: ['Avenida Ingeniero Huergo'] },
+    'AGACES.': { no_geometry: true }
+  });
+  assert.strictEqual(findStreetForOsmName(index, 'Avenida Ingeniero Huergo'), streets[1]);
+  assert.strictEqual(findStreetForOsmName(index, 'Huergo'), streets[0]);
+  assert.strictEqual(findStreetForOsmName(index, 'Agaces'), streets[2]);
+  assert.deepStrictEqual(index.collisions, []);
+});
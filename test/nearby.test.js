@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSpatialIndex, addStreetLines, findNearbyStreets, findIntersection } = require('../public/nearby');
+
+// A corner in Palermo: Gurruchaga running east-west, Honduras crossing it,
+// and Costa Rica ending 10 m short of Gurruchaga
+function buildIndex() {
+  const index = createSpatialIndex();
+  addStreetLines(index, 'Gurruchaga', [[[-58.436, -34.59], [-58.432, -34.59], [-58.424, -34.59]]]);
+  addStreetLines(index, 'Honduras', [[[-58.43, -34.594], [-58.43, -34.586]]]);
+  addStreetLines(index, 'Costa Rica', [[[-58.426, -34.594], [-58.426, -34.59009]]]);
+  addStreetLines(index, 'Santa Fe', [[[-58.43, -34.6], [-58.42, -34.6]]]);
+  return index;
+}
+
+const round = point => point.map(value => Math.round(value * 1e5) / 1e5);
+
+test('findNearbyStreets lists the streets within the radius, closest first', () => {
+  const nearby = findNearbyStreets(buildIndex(), [-58.4302, -34.5895], 100);
+  assert.deepStrictEqual(nearby.map(street => street.name), ['Honduras', 'Gurruchaga']);
+  assert.ok(Math.abs(nearby[0].distance - 18.3) < 0.5);
+  assert.deepStrictEqual(round(nearby[0].point), [-58.43, -34.5895]);
+  assert.deepStrictEqual(findNearbyStreets(buildIndex(), [-58.45, -34.58], 100), []);
+});
+
+test('findNearbyStreets finds long segments from any cell they cross', () => {
+  const index = createSpatialIndex();
+  addStreetLines(index, 'Santa Fe', [[[-58.44, -34.6], [-58.40, -34.6]]]);
+  assert.deepStrictEqual(findNearbyStreets(index, [-58.42, -34.6003], 50).map(street => street.name), ['Santa Fe']);
+});
+
+test('findIntersection finds crossings and short T junctions', () => {
+  const index = buildIndex();
+  const corner = findIntersection(index, 'Gurruchaga', 'Honduras', [-58.4302, -34.5895], 200);
+  assert.deepStrictEqual(round(corner.point), [-58.43, -34.59]);
+  const junction = findIntersection(index, 'Costa Rica', 'Gurruchaga', [-58.4265, -34.5905], 200);
+  assert.deepStrictEqual(round(junction.point), [-58.426, -34.59]);
+  assert.strictEqual(findIntersection(index, 'Gurruchaga', 'Santa Fe', [-58.43, -34.595], 200), null);
+});
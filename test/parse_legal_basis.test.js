@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseLegalCitation, extractCitation } = require('../scripts/parse_legal_basis');
+
+test('extractCitation reads past bulletin abbreviations and initials', () => {
+  assert.strictEqual(
+    extractCitation('Decreto del 29/10/1931, B.M. N° 3.125. Sin nombre anterior.'),
+    'Decreto del 29/10/1931, B.M. N° 3.125.'
+  );
+  assert.strictEqual(
+    extractCitation('Ordenanza N° 3.456/1950, en homenaje a J. B. Alberdi. Sin nombre anterior.'),
+    'Ordenanza N° 3.456/1950, en homenaje a J. B. Alberdi.'
+  );
+  assert.strictEqual(extractCitation('Ordenanza del 27/11/1893. Arenales. Plano Municipal, 1895.'), 'Ordenanza del 27/11/1893.');
+  assert.strictEqual(extractCitation(undefined), '');
+});
+
+test('parseLegalCitation reads the number, its year suffix and the bulletin', () => {
+  const legal = parseLegalCitation({
+    legal_basis: 'Ordenanza N° 49.134/95, B.O. N° 258.',
+    description: 'Ordenanza N° 49.134/95, B.O. N° 258. Sin nombre anterior.'
+  });
+  assert.deepStrictEqual(legal, {
+    type: 'Ordenanza',
+    number: '49.134/95',
+    date: null,
+    year: 1995,
+    bulletin: { name: 'Boletín Oficial', number: '258' },
+    citation: 'Ordenanza N° 49.134/95, B.O. N° 258.',
+    status: 'ok',
+    issues: []
+  });
+
+  // Two-digit years pivot at the book's publication in 2003
+  const yearOfNumber = number => parseLegalCitation({ description: `Ordenanza N° ${number}. Sin nombre anterior.` }).year;
+  assert.strictEqual(yearOfNumber('7.412/15'), 1915);
+  assert.strictEqual(yearOfNumber('49.957/03'), 2003);
+  assert.strictEqual(yearOfNumber('50.001/04'), 1904);
+
+  const dated = parseLegalCitation({
+    legal_basis: 'Decreto N° 3.745 del 5 de mayo de 1943.',
+    description: 'Decreto N° 3.745 del 5 de mayo de 1943. Sin nombre anterior.'
+  });
+  assert.strictEqual(dated.number, '3.745');
+  assert.strictEqual(dated.date, '1943-05-05');
+});
+
+test('parseLegalCitation keeps the acts cited after a bulletin', () => {
+  const legal = parseLegalCitation({
+    legal_basis: 'Decreto del 13/12/1943, B.',
+    description: 'Decreto del 13/12/1943, B.M. N° 7.021, y Ordenanza N° 44.723/1990, B.M. N° 18.952. Sin nombre anterior.'
+  });
+  assert.strictEqual(legal.date, '1943-12-13');
+  assert.deepStrictEqual(legal.bulletin, { name: 'Boletín Municipal', number: '7.021' });
+  assert.deepStrictEqual(legal.other_acts, [{ number: '44.723/1990', date: null, year: 1990 }]);
+
+  const both = parseLegalCitation({
+    legal_basis: 'Ordenanzas N° 196 del 20/8/1919 y N° 514 del 28/11/1919.',
+    description: 'Ordenanzas N° 196 del 20/8/1919 y N° 514 del 28/11/1919. Sin nombre anterior.'
+  });
+  assert.strictEqual(both.number, '196');
+  assert.deepStrictEqual(both.other_acts, [{ number: '514', date: '1919-11-28', year: 1919 }]);
+});
+
+test('parseLegalCitation flags cut-off legal_basis and citations without an instrument', () => {
+  const truncated = parseLegalCitation({
+    legal_basis: 'Decreto N° 3.',
+    description: 'Decreto N° 3.745 del 5 de mayo de 1943. Sin nombre anterior.'
+  });
+  assert.strictEqual(truncated.status, 'ok');
+  assert.deepStrictEqual(truncated.issues, ['legal_basis_truncated']);
+
+  const plan = parseLegalCitation({
+    legal_basis: 'Plano Topográfico Municipal, 1892.',
+    description: 'Plano Topográfico Municipal, 1892. Frías.'
+  });
+  assert.strictEqual(plan.type, null);
+  assert.strictEqual(plan.status, 'failed');
+  assert.deepStrictEqual(plan.issues, ['no_instrument']);
+
+  assert.deepStrictEqual(
+    parseLegalCitation({ description: 'Resoluciones municipales. Frías.' }).issues,
+    ['no_instrument', 'missing_legal_basis']
+  );
+});
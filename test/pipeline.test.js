@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runStages } = require('../scripts/pipeline');
+
+let dir;
+
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-'));
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Stage that writes its input's text plus its name to its output
+function copyStage(name, input, output, run) {
+  return {
+    name,
+    code: [],
+    inputs: [input],
+    outputs: [output],
+    run: run || (() => fs.writeFileSync(output, `${fs.readFileSync(input, 'utf8')} ${name}`)),
+    count: () => fs.readFileSync(output, 'utf8')
+  };
+}
+
+test('without the book, the stages after it build from the committed outputs', async () => {
+  const file = name => path.join(dir, name);
+  fs.writeFileSync(file('final.json'), 'committed');
+
+  const results = await runStages([
+    copyStage('extract', file('book.txt'), file('extracted.json')),
+    copyStage('assemble', file('extracted.json'), file('final.json')),
+    copyStage('segments', file('extracted.json'), file('segments.json')),
+    copyStage('search-index', file('final.json'), file('index.json'))
+  ], { statePath: file('state.json') });
+
+  assert.deepStrictEqual(results.map(({ name, status }) => [name, status]), [
+    ['extract', 'blocked'],
+    ['assemble', 'kept'],
+    ['segments', 'blocked'],
+    ['search-index', 'ran']
+  ]);
+  assert.strictEqual(fs.readFileSync(file('index.json'), 'utf8'), 'committed search-index');
+});
+
+test('a failed stage blocks the stages that read its outputs, even old ones', async () => {
+  const file = name => path.join(dir, name);
+  fs.writeFileSync(file('raw.json'), 'raw');
+  fs.writeFileSync(file('streets.json'), 'old');
+
+  const results = await runStages([
+    copyStage('filter', file('raw.json'), file('streets.json'), () => { throw new Error('boundary not found'); }),
+    copyStage('merge', file('streets.json'), file('merged.json')),
+    copyStage('tiles', file('merged.json'), file('tiles.json')),
+    copyStage('other', file('raw.json'), file('other.json'))
+  ], { statePath: file('state.json') });
+
+  assert.deepStrictEqual(results.map(({ name, status, detail }) => [name, status, detail]), [
+    ['filter', 'failed', 'boundary not found'],
+    ['merge', 'blocked', 'filter did not finish'],
+    ['tiles', 'blocked', 'filter did not finish'],
+    ['other', 'ran', undefined]
+  ]);
+});
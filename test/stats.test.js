@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  countByDecade,
+  getMostRenamed,
+  getTopProfessions,
+  getMatchCoverage
+} = require('../public/stats');
+
+test('countByDecade fills the decades between the first and last', () => {
+  const streets = [
+    { legal: { year: 1904 } },
+    { legal: { year: 1909 } },
+    { legal: { year: 1931 } },
+    { legal: { status: 'failed' } },
+    {}
+  ];
+  assert.deepStrictEqual(countByDecade(streets), [
+    { label: '1900', value: 2 },
+    { label: '1910', value: 0 },
+    { label: '1920', value: 0 },
+    { label: '1930', value: 1 }
+  ]);
+  assert.deepStrictEqual(countByDecade([{}]), []);
+});
+
+test('getMostRenamed ranks streets by former names', () => {
+  const streets = [
+    { current_name: 'PERÚ', former_names: [{ name: 'San Cosme' }] },
+    { current_name: 'DEFENSA', former_names: [{ name: 'Santísima Trinidad' }, { name: 'San Martín' }] },
+    { current_name: 'BOLÍVAR', former_names: [{ name: 'San Carlos' }] },
+    { current_name: 'ALSINA' }
+  ];
+  assert.deepStrictEqual(getMostRenamed(streets, 2), [
+    { label: 'DEFENSA', value: 2 },
+    { label: 'BOLÍVAR', value: 1 }
+  ]);
+});
+
+test('getTopProfessions counts each person once and groups military ranks', () => {
+  const data = {
+    historical_names: [
+      { old_name: 'Boedo', person: { name: 'Mariano Joaquín Boedo', profession: 'jurisconsulto y político' } },
+      { old_name: 'Atenas', etymology: 'ciudad capital de Grecia.' },
+      { old_name: 'Boedo, Mariano', person: { name: 'Mariano Joaquín Boedo', profession: 'jurisconsulto' } },
+      { old_name: 'Pringles', person: { name: 'Juan Pascual Pringles', profession: 'coronel' } }
+    ],
+    streets: [
+      { current_name: 'LAVALLE', former_names: [{ name: 'Del Parque', person: { name: 'Juan Lavalle', profession: 'general, Guerra de la Independencia' } }] }
+    ]
+  };
+  assert.deepStrictEqual(getTopProfessions(data), [
+    { label: 'militar', value: 2 },
+    { label: 'jurisconsulto', value: 1 }
+  ]);
+});
+
+test('getMatchCoverage counts matches on both sides', () => {
+  const streets = [{ current_name: 'BOEDO' }, { current_name: 'ALVEAR, EMILIO DE' }, { current_name: 'ATENAS' }];
+  const osmNames = ['Avenida Boedo', 'Emilio de Alvear', 'Boedo', 'Calle Inexistente'];
+  assert.deepStrictEqual(getMatchCoverage(streets, osmNames), {
+    streets: { matched: 2, total: 3 },
+    osm: { matched: 3, total: 4 }
+  });
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSegment, addSegments } = require('../scripts/parse_segments');
+const { buildStreetSegments } = require('../scripts/build_street_segments');
+
+test('parseSegment reads the cross streets of a stretch', () => {
+  assert.deepStrictEqual(
+    parseSegment('La denominación Laprida abarcaba el tramo de Agüero comprendido entre las actuales Rivadavia y Córdoba.'),
+    { from: 'Rivadavia', to: 'Córdoba' }
+  );
+  assert.deepStrictEqual(
+    parseSegment('La denominación Norteamérica abarcaba el tramo de Arribeños comprendido entre las actuales Iberá y Manzanares.'),
+    { from: 'Iberá', to: 'Manzanares' }
+  );
+  assert.deepStrictEqual(
+    parseSegment('abarcaba el tramo de Guevara comprendido entre las actuales Dorrego y, aproximadamente, Federico Lacroze. Antiguo nombre.'),
+    { from: 'Dorrego', to: 'Federico Lacroze' }
+  );
+  assert.strictEqual(parseSegment('La denominación Montserrat abarcaba el tramo de Belgrano desde la actual Bernardo de Irigoyen hacia el oeste.'), null);
+  assert.strictEqual(parseSegment('Antiguo nombre de la calle.'), null);
+});
+
+test('parseSegment skips stretches the book places on another street', () => {
+  const description = 'abarcaba el tramo de Crámer comprendido entre Congreso y Virrey Avilés, y el de Conesa entre Virrey Avilés y Dorrego.';
+  assert.deepStrictEqual(parseSegment(description, 'CRÁMER'), { from: 'Congreso', to: 'Virrey Avilés' });
+  assert.strictEqual(parseSegment(description, 'CONESA'), null);
+});
+
+test('addSegments puts the segment after the description', () => {
+  const street = addSegments({
+    current_name: 'AGUILAR',
+    former_names: [
+      { name: 'Palpa', description: 'La denominación Palpa abarcaba el tramo de Aguilar comprendido entre las actuales Crámer y Conesa.', person: { name: 'X' } },
+      { name: 'Otra', description: null }
+    ]
+  });
+  assert.deepStrictEqual(Object.keys(street.former_names[0]), ['name', 'description', 'segment', 'person']);
+  assert.deepStrictEqual(street.former_names[0].segment, { from: 'Crámer', to: 'Conesa' });
+  assert.ok(!('segment' in street.former_names[1]));
+});
+
+const feature = (name, coordinates) => {
+  const lngs = coordinates.map(coord => coord[0]);
+  const lats = coordinates.map(coord => coord[1]);
+  return {
+    type: 'Feature',
+    properties: { name, bbox: [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)] },
+    geometry: { type: 'MultiLineString', coordinates: [coordinates] }
+  };
+};
+
+test('buildStreetSegments cuts the street between its cross streets', () => {
+  const features = [
+    feature('Aguilar', [[-58.46, -34.57], [-58.455, -34.57], [-58.45, -34.57]]),
+    feature('Crámer', [[-58.458, -34.575], [-58.458, -34.565]]),
+    // Ends about 10 m short of Aguilar
+    feature('Avenida Conesa', [[-58.453, -34.575], [-58.453, -34.5701]]),
+    feature('Zapiola', [[-58.451, -34.575], [-58.451, -34.565]])
+  ];
+  const streets = [{
+    current_name: 'AGUILAR',
+    former_names: [
+      { name: 'Palpa', segment: { from: 'Crámer', to: 'Conesa' } },
+      { name: 'Otra', segment: { from: 'Crámer', to: 'Inexistente' } }
+    ]
+  }];
+
+  const { segments, missing } = buildStreetSegments(features, streets);
+  assert.deepStrictEqual(segments, {
+    AGUILAR: [{
+      name: 'Palpa',
+      from: 'Crámer',
+      to: 'Conesa',
+      coordinates: [[[-58.458, -34.57], [-58.455, -34.57], [-58.453, -34.57]]]
+    }]
+  });
+  assert.deepStrictEqual(missing, ['AGUILAR: Otra (Crámer - Inexistente)']);
+});
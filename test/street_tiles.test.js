@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { simplifyLine, splitLineByCell } = require('../scripts/build_street_tiles');
+
+test('simplifyLine drops points closer to the line than the tolerance', () => {
+  const line = [[0, 0], [1, 0.00001], [2, -0.00001], [3, 0]];
+  assert.deepStrictEqual(simplifyLine(line, 0.0001), [[0, 0], [3, 0]]);
+});
+
+test('simplifyLine keeps corners', () => {
+  const line = [[0, 0], [1, 0], [1, 1], [2, 1]];
+  assert.deepStrictEqual(simplifyLine(line, 0.0001), line);
+  assert.deepStrictEqual(simplifyLine([[0, 0], [1, 1]], 10), [[0, 0], [1, 1]]);
+});
+
+test('splitLineByCell cuts lines at cell borders without repeating segments', () => {
+  assert.deepStrictEqual(splitLineByCell([[0.2, 0.2], [0.8, 0.2]], [0, 0], 1), [['0_0', [[0.2, 0.2], [0.8, 0.2]]]]);
+  assert.deepStrictEqual(splitLineByCell([[0.25, 0.5], [0.75, 0.5], [1.5, 0.5], [1.75, 0.5]], [0, 0], 1), [
+    ['0_0', [[0.25, 0.5], [0.75, 0.5], [1, 0.5]]],
+    ['1_0', [[1, 0.5], [1.5, 0.5], [1.75, 0.5]]]
+  ]);
+});
+
+test('splitLineByCell gives a segment spanning several cells a piece in each', () => {
+  assert.deepStrictEqual(splitLineByCell([[0.5, 0.5], [2.5, 0.5]], [0, 0], 1), [
+    ['0_0', [[0.5, 0.5], [1, 0.5]]],
+    ['1_0', [[1, 0.5], [2, 0.5]]],
+    ['2_0', [[2, 0.5], [2.5, 0.5]]]
+  ]);
+  // Cells 1_0 and 1_1 hold no vertex of the line
+  assert.deepStrictEqual(splitLineByCell([[0.5, 0.5], [2.5, 1.5]], [0, 0], 1), [
+    ['0_0', [[0.5, 0.5], [1, 0.75]]],
+    ['1_0', [[1, 0.75], [1.5, 1]]],
+    ['1_1', [[1.5, 1], [2, 1.25]]],
+    ['2_1', [[2, 1.25], [2.5, 1.5]]]
+  ]);
+});
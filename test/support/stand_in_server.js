@@ -0,0 +1,33 @@
+/**
+ * Local HTTP server standing in for Overpass, Nominatim, Wikipedia and
+ * friends in tests. `handler(request)` gets { method, url, body } and returns
+ * { status, body } (body as text or JSON-able value); every request is kept
+ * in `requests`.
+ */
+
+const http = require('http');
+
+async function startStandInServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const request = { method: req.method, url: req.url, body };
+      requests.push(request);
+      const { status = 200, body: responseBody = '' } = await handler(request);
+      const text = typeof responseBody === 'string' ? responseBody : JSON.stringify(responseBody);
+      res.writeHead(status, { 'Content-Type': typeof responseBody === 'string' ? 'text/plain' : 'application/json' });
+      res.end(text);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startStandInServer };
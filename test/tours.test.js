@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_TOUR_STOPS, encodeTour, decodeTour, getTourLength, buildGPX, buildBooklet } = require('../public/tours');
+
+const STOPS = [
+  { point: [-58.37521, -34.60312], names: ['Florida', 'Lavalle'] },
+  { point: [-58.3812, -34.6042], names: ['Avenida Corrientes'] }
+];
+
+test('encodeTour and decodeTour round-trip through the URL', () => {
+  const encoded = encodeTour(STOPS);
+  assert.strictEqual(encoded, '-34.60312,-58.37521,Florida|Lavalle~-34.60420,-58.38120,Avenida Corrientes');
+  const params = new URLSearchParams({ tour: encoded });
+  assert.deepStrictEqual(decodeTour(new URLSearchParams(params.toString()).get('tour')), STOPS);
+});
+
+test('decodeTour drops malformed stops and keeps at most MAX_TOUR_STOPS', () => {
+  assert.deepStrictEqual(decodeTour('x,y,Florida~-34.6,-58.38,~-34.6,-58.38,A|B|C~-34.6,-58.38,Perú, Calle'), [
+    { point: [-58.38, -34.6], names: ['Perú, Calle'] }
+  ]);
+  assert.deepStrictEqual(decodeTour(null), []);
+  const many = Array.from({ length: MAX_TOUR_STOPS + 5 }, () => '-34.6,-58.38,Florida').join('~');
+  assert.strictEqual(decodeTour(many).length, MAX_TOUR_STOPS);
+});
+
+test('getTourLength adds the straight lines between stops', () => {
+  assert.strictEqual(getTourLength([STOPS[0]]), 0);
+  assert.ok(Math.abs(getTourLength(STOPS) - 561) < 1);
+});
+
+test('buildGPX writes escaped waypoints and a route', () => {
+  const gpx = buildGPX('Paseo <centro>', [{ ...STOPS[0], summary: 'Antes: "Del Empedrado" & otras' }, STOPS[1]]);
+  assert.match(gpx, /<metadata><name>Paseo &lt;centro&gt;<\/name><\/metadata>/);
+  assert.match(gpx, /<wpt lat="-34.60312" lon="-58.37521">\n {4}<name>1\. Florida y Lavalle<\/name>\n {4}<desc>Antes: &quot;Del Empedrado&quot; &amp; otras<\/desc>/);
+  assert.strictEqual(gpx.match(/<rtept /g).length, 2);
+  assert.ok(!gpx.includes('<desc></desc>'));
+});
+
+test('buildBooklet writes a section per stop with the book data', () => {
+  const html = buildBooklet('Paseo', [
+    { ...STOPS[0], streets: [{ name: 'FLORIDA', summary: 'Batalla de Florida.', year: 1821 }, { name: 'LAVALLE' }] },
+    { ...STOPS[1], streets: [{ name: 'CORRIENTES', formerNames: [{ name: 'San Nicolás', description: '<b>Antigua</b>' }] }] }
+  ], 'https://example.org/?tour=x');
+  assert.match(html, /2 paradas · 0,6 km en línea recta/);
+  assert.match(html, /<h2>1\. Florida y Lavalle<\/h2>/);
+  assert.match(html, /<h3>FLORIDA<\/h3><p class="summary">Batalla de Florida\.<\/p><p>Nombre actual desde 1821\.<\/p>/);
+  assert.match(html, /<li><strong>San Nicolás<\/strong>: &lt;b&gt;Antigua&lt;\/b&gt;<\/li>/);
+  assert.ok(!html.includes('<h3>CORRIENTES</h3>'));
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkFile } = require('../scripts/validate_data');
+
+const STREETS = {
+  metadata: {},
+  streets: [
+    { current_name: 'AGÜERO', former_names: [{ name: 'LAPRIDA', order: 1 }] },
+    { current_name: 'PERÚ', no_previous_name: true }
+  ],
+  historical_names: [{ old_name: 'LAPRIDA', became: 'Agüero', description: 'Francisco Narciso de Laprida (1786-1829), jurisconsulto.' }]
+};
+
+let dir;
+
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-'));
+  fs.writeFileSync(path.join(dir, 'calles_buenos_aires_final.json'), JSON.stringify(STREETS));
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('checkFile accepts records in the canonical shape', () => {
+  assert.deepStrictEqual(checkFile('calles_buenos_aires_final.json', STREETS, dir), []);
+  assert.deepStrictEqual(checkFile('calles_lookup.json', { 'PERÚ': { current_name: 'PERÚ' } }, dir), []);
+});
+
+test('checkFile rejects records of the old shapes, naming the street', () => {
+  const problems = checkFile('calles_buenos_aires_final.json', {
+    ...STREETS,
+    streets: [
+      { current_name: 'AGÜERO', previous_names: ['Laprida'] },
+      { name: 'PERÚ' }
+    ]
+  }, dir);
+  assert.deepStrictEqual(problems, [
+    '/streets/0 (AGÜERO): must NOT have additional properties (previous_names)',
+    "/streets/1: must have required property 'current_name'",
+    '/streets/1: must NOT have additional properties (name)'
+  ]);
+});
+
+test('checkFile reports what the schema cannot express', () => {
+  assert.deepStrictEqual(
+    checkFile('calles_buenos_aires_final.json', { ...STREETS, streets: [...STREETS.streets, { current_name: 'PERÚ' }] }, dir),
+    ['/streets/2: duplicate current_name "PERÚ"']
+  );
+  assert.deepStrictEqual(
+    checkFile('calles_lookup.json', { PERU: { current_name: 'PERÚ' } }, dir),
+    ['/PERU: key does not match current_name "PERÚ"']
+  );
+  assert.deepStrictEqual(
+    checkFile('name_overrides.json', { overrides: { PERU: { osm_names: ['Perú'] } } }, dir),
+    ['/overrides/PERU: no street with this current_name']
+  );
+});